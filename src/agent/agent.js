@@ -25,13 +25,13 @@ Never invent values for required fields. If a required field is missing and you
 
 Inference rules for optional fields:
 - description: if missing, synthesize a one sentence description from the name and recent context.
-- priority: map keywords to high/medium/low defaults.
-- status: default to "todo" for new items unless implied otherwise.
+- priority: map keywords to urgent/high/medium/low (e.g. "ASAP", "blocker" -> urgent); default to medium.
+- status: leave unset for new items so the project's initial status applies, unless implied otherwise; statuses come from the project's workflow (tv_get_workflow).
 - dueDate: extract from natural language; if timeframe only, pick a sensible date inside it.
 - assignee: use the mentioned person; if none, use the user if implied, else leave unassigned.
 - tags: pull #hashtags or obvious thematic tags.
 - projectId: resolve by search; if multiple matches, pick the most recent; if none and not explicit, ask once.
-- estimates/points: infer conservative values if hinted; otherwise omit.
+- estimate: a number of points; infer conservative values if hinted; otherwise omit.
 - slug/key fields: derive from name with lowercase-hyphen convention.
 
 You can also create visual diagrams using Mermaid syntax when helpful. Use Mermaid diagrams to illustrate:
@@ -37,9 +37,11 @@ export async function createMCPClient(accessToken = null) {
     }
 
     // Add custom fetch to set required Accept header for MCP protocol
+    // X-TV-Client lets the MCP server attribute API changes to the agent
     transportOptions.requestInit = {
       headers: {
-        'Accept': 'application/json, text/event-stream'
+        'Accept': 'application/json, text/event-stream',
+        'X-TV-Client': 'agent'
       }
     };
 
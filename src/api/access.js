@@ -0,0 +1,52 @@
+/*
+ * Project-level roles on top of the org-wide scopes.
+ *
+ * A project has members [{ userId, role, addedAt, addedBy }] and a visibility:
+ *   'org'      everyone in the org gets `defaultRole`; listed members get their own role instead
+ *   'members'  only listed members can see the project
+ * Org admins (the admin:org scope) are admin on every project. Projects created before roles
+ * existed have no members and 'org' visibility, so they stay open to the whole org.
+ *
+ * viewer reads the project and its tasks, editor also changes tasks, admin also edits the
+ * project, its workflow and its members.
+ */
+
+export const PROJECT_ROLES = ['viewer', 'editor', 'admin'];
+export const PROJECT_VISIBILITIES = ['org', 'members'];
+export const DEFAULT_ROLE = 'editor';
+
+export const roleAtLeast = (role, needed) => !!role && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(needed);
+
+// the caller's role on `project`, or null when they cannot see it
+export function effectiveRole(project, { userId, orgAdmin }) {
+  if (orgAdmin) return 'admin';
+  if (!project) return null;
+  const member = (project.members || []).find(m => m.userId === userId);
+  if (member) return member.role;
+  if ((project.visibility || 'org') === 'org') return project.defaultRole || DEFAULT_ROLE;
+  return null;
+}
+
+// validate visibility and defaultRole from a request body; only keys present are checked
+export function validateAccess(b) {
+  const changes = {};
+  const errors = {};
+  if ('visibility' in b) {
+    if (PROJECT_VISIBILITIES.includes(b.visibility)) changes.visibility = b.visibility;
+    else errors.visibility = `must be one of ${PROJECT_VISIBILITIES.join(', ')}`;
+  }
+  if ('defaultRole' in b) {
+    if (PROJECT_ROLES.includes(b.defaultRole)) changes.defaultRole = b.defaultRole;
+    else errors.defaultRole = `must be one of ${PROJECT_ROLES.join(', ')}`;
+  }
+  return { changes, errors };
+}
+
+// members after setting `userId` to `role` (null removes them)
+export function withMember(members = [], userId, role, { actorId, at }) {
+  if (!role) return members.filter(m => m.userId !== userId);
+  if (members.some(m => m.userId === userId)) return members.map(m => (m.userId === userId ? { ...m, role } : m));
+  return [...members, { userId, role, addedAt: at, addedBy: actorId }];
+}
+
+export const adminCount = members => (members || []).filter(m => m.role === 'admin').length;
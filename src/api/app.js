@@ -1,15 +1,86 @@
 import * as env from './env.js';
 import { Hono } from 'hono';
-import { applyAuth, getAuth } from './auth.js';
-import { randomUUID } from 'node:crypto';
-import { createStore } from './store.js';
+import { streamSSE } from 'hono/streaming';
+import { applyAuth, getAuth, getProfile } from './auth.js';
+import { createHash, randomUUID } from 'node:crypto';
+import { createBlobStore, createEventBus, createStore } from './store.js';
+import { createHistory, clientOf, diffFields } from './history.js';
+import { paginate, parseSort } from './paging.js';
+import { createLinks } from './links.js';
+import { createTrash } from './trash.js';
+import { createMembers } from './members.js';
+import { createWebhooks, eventTypes, validateWebhook } from './webhooks.js';
+import { QueryError, compileQuery, parseQuery, rankingTerms, scoreTask, searchesComments } from './search.js';
+import { validateView, viewQuery } from './views.js';
+import { anchorRecurrence, nextOccurrence, normalizeRecurrence } from './recurrence.js';
+import { createAttachments, dispositionOf, validateUpload } from './attachments.js';
+import { createComments, textError } from './comments.js';
+import { createFeeds, renderCalendar, FEED_FILE } from './calendar.js';
+import { exportCsv, exportDocument, readImport } from './transfer.js';
+import { readTrackerExport } from './importers.js';
+import { createNotifications, mentionedMembers, validatePrefs, MAX_DUE_SOON_HOURS, NOTIFICATION_TYPES } from './notifications.js';
+import { adminCount, effectiveRole, roleAtLeast, validateAccess, withMember, PROJECT_ROLES } from './access.js';
+import { hasStatus, isClosedStatus, normalizeWorkflow, statusIds, statusIndex, transitionError, workflowOf } from './workflow.js';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('api-server');
 const db = createStore();
+const history = createHistory(db.history, { onRecord: event => announce(event) });
+const links = createLinks(db.tasks, { isClosed: t => isClosedTask(t) });
+const comments = createComments(db.comments);
+const attachments = createAttachments(createBlobStore());
+// a trashed task keeps its comments and attachments until the entry expires, so a restore brings them back
+const trash = createTrash(db.trash, {
+  retentionDays: env.API_TRASH_RETENTION_DAYS,
+  onPurge: async entry => {
+    await comments.removeForTask(entry.orgId, entry.id);
+    await attachments.removeForTask(entry.orgId, entry.id);
+  },
+});
+const members = createMembers(db.members);
+const feeds = createFeeds(db.feeds);
+const webhooks = createWebhooks(db.webhooks, db.deliveries, {
+  maxAttempts: env.API_WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: env.API_WEBHOOK_RETRY_BASE_SECONDS * 1000,
+  timeoutMs: env.API_WEBHOOK_TIMEOUT_MS,
+});
+const changeFeed = createEventBus();
+const notifications = createNotifications(db.notifications, db.notificationPrefs, {
+  // only the recipient's own /events streams pass these on
+  onCreate: n => changeFeed.publish({ type: 'notification.created', orgId: n.orgId, recipientId: n.userId, data: n }),
+});
+
+// the record as it is after a history event; deleted tasks come from the trash, deleted projects are null
+const entityAfter = async ({ orgId, entityType, entityId }) => {
+  if (entityType === 'project') return getOrgProject(orgId, entityId);
+  const task = await db.tasks.get(entityId);
+  return task?.orgId === orgId ? task : (await trash.get(orgId, entityId))?.item ?? null;
+};
+
+// every history event goes out to webhooks, to the live change feed (GET /events) and to the inboxes it concerns
+const announce = async event => {
+  const data = await entityAfter(event);
+  const projectId = event.entityType === 'project' ? event.entityId : data?.projectId ?? null;
+  await Promise.all([
+    webhooks.dispatch(event, data),
+    changeFeed.publish({ ...event, type: eventTypes(event)[0], projectId, data }),
+    notifyEvent(event, data),
+  ]);
+};
 const app = new Hono();
+// calendar apps cannot send an access token; feeds carry their own (see Calendar feeds below)
+app.get('/calendar/:file', (c, next) => (FEED_FILE.test(c.req.param('file')) ? serveFeed(c) : next()));
 applyAuth(app);
 
+// every authenticated caller lands in their org's member directory
+app.use('/*', async (c, next) => {
+  if (env.AUTH_ENABLED) {
+    const { orgId, userId } = getAuth(c);
+    if (userId !== 'anonymous') await members.touch(orgId, userId, getProfile(c));
+  }
+  return next();
+});
+
 const json = (c, data, code = 200) => c.json(data, code);
 
 // scope helpers
@@ -26,69 +97,730 @@ const requireScope = needed => c => {
   }
 };
 
+// optimistic concurrency: tasks and projects carry a version that is exposed as the ETag
+const etagOf = record => `"${record?.version || 0}"`;
+const withEtag = (c, record, code = 200) => {
+  c.header('ETag', etagOf(record));
+  return json(c, record, code);
+};
+
+// true when the client sent If-Match and none of its tags match the current version
+const ifMatchFails = (c, record) => {
+  const header = (c.req.header('if-match') || '').trim();
+  if (!header || header === '*') return false;
+  return !header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etagOf(record));
+};
+
+const preconditionFailed = (c, record) => {
+  if (record) c.header('ETag', etagOf(record));
+  return json(c, { error: 'precondition failed', currentVersion: record ? record.version || 0 : null }, 412);
+};
+
+// bump the version and write only if nobody else wrote since the record was read
+const saveVersioned = async (bucket, record) => {
+  const expected = record.version || 0;
+  const next = { ...record, version: expected + 1 };
+  if (!(await bucket.setIfVersion(record.id, next, expected))) return false;
+  record.version = next.version;
+  return true;
+};
+
+// task helpers shared by create and update
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DEFAULT_PRIORITY = 'medium';
+
+// returns an ISO string, null when cleared, or undefined when the value is not a date
+const normalizeDueAt = dueAt => {
+  if (dueAt == null || dueAt === '') return null;
+  const due = new Date(dueAt);
+  return Number.isNaN(due.getTime()) ? undefined : due.toISOString();
+};
+
+const getOrgProject = async (orgId, projectId) => {
+  const project = await db.projects.get(projectId);
+  return project && project.orgId === orgId ? project : null;
+};
+
+// archived projects and their tasks are hidden from default listings but stay readable
+const archivedProjectIds = async orgId => new Set(
+  (await db.projects.query({ orgId })).filter(p => p.archivedAt).map(p => p.id),
+);
+const projectArchived = c => json(c, { error: 'project is archived; restore it first' }, 409);
+
+// project roles (see access.js); org admins, and everyone in no-auth mode, are admin on every project
+const projectRole = (c, project) => effectiveRole(project, { userId: getAuth(c).userId, orgAdmin: hasScope(c, 'admin:org') });
+const withRole = (c, project) => ({ ...project, role: projectRole(c, project) });
+
+// 404 when the caller cannot see the project, so its existence does not leak; 403 when the role is too low
+const roleError = (c, project, needed, notFound = 'project not found') => {
+  const role = projectRole(c, project);
+  if (!role) return json(c, { error: notFound }, 404);
+  if (!roleAtLeast(role, needed)) {
+    log.warn('DENIED:', { principal: getAuth(c).userId, projectId: project?.id, role, needed });
+    return json(c, { error: 'insufficient_role', needed, role }, 403);
+  }
+};
+// a task is governed by its project's role; the tasks of an archived project are read-only
+const taskRoleError = async (c, task, needed, notFound = 'not found') => {
+  const project = await db.projects.get(task.projectId);
+  const denied = roleError(c, project, needed, notFound);
+  if (denied) return denied;
+  if (needed !== 'viewer' && project.archivedAt) return projectArchived(c);
+};
+
+// the caller's role on every project of the org they can see
+const visibleProjects = async (c, orgId) => {
+  const roles = new Map();
+  for (const p of await db.projects.query({ orgId })) {
+    const role = projectRole(c, p);
+    if (role) roles.set(p.id, role);
+  }
+  return roles;
+};
+
+const PROJECT_MUTABLE_FIELDS = ['name', 'description', 'visibility', 'defaultRole'];
+
+function validateProjectPatch(b) {
+  const changes = {};
+  const errors = {};
+  for (const key of Object.keys(b)) {
+    if (!PROJECT_MUTABLE_FIELDS.includes(key)) errors[key] = 'field is not editable';
+  }
+  if ('name' in b) {
+    if (isNonEmptyString(b.name)) changes.name = b.name;
+    else errors.name = 'must be a non-empty string';
+  }
+  if ('description' in b) {
+    if (typeof b.description === 'string') changes.description = b.description;
+    else errors.description = 'must be a string';
+  }
+  const access = validateAccess(b);
+  return { changes: { ...changes, ...access.changes }, errors: { ...errors, ...access.errors } };
+}
+
+// statuses come from the project's workflow (see workflow.js)
+const workflowFor = async projectId => workflowOf(await db.projects.get(projectId));
+const isClosedTask = async t => isClosedStatus(await workflowFor(t.projectId), t.status);
+
+// true when a write moves a task into a closed status
+const closesTask = async (before, after) => before.status !== after.status
+  && await isClosedTask(after) && !(await isClosedTask(before));
+
+const TASK_MUTABLE_FIELDS = [
+  'title', 'description', 'projectId', 'ownerId', 'dueAt', 'tags', 'status', 'priority', 'estimate', 'parentTaskId', 'blockedBy',
+];
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+// tags as set on a task and as added or removed by PATCH /tasks/:id/tags and bulk tag ops
+const isTagList = v => Array.isArray(v) && v.every(x => typeof x === 'string');
+const TAG_LIST_ERROR = 'must be an array of strings';
+const tagEditErrors = ({ add = [], remove = [] }) => Object.fromEntries(
+  Object.entries({ add, remove }).filter(([, list]) => !isTagList(list)).map(([field]) => [field, TAG_LIST_ERROR]));
+
+// validate a partial task body; returns { changes, errors } keyed by field
+function validateTaskPatch(b) {
+  const changes = {};
+  const errors = {};
+  for (const key of Object.keys(b)) {
+    if (!TASK_MUTABLE_FIELDS.includes(key)) errors[key] = key === 'recurrence' ? 'change it with PUT /tasks/:id/recurrence' : 'field is not editable';
+  }
+  if ('title' in b) {
+    if (isNonEmptyString(b.title)) changes.title = b.title;
+    else errors.title = 'must be a non-empty string';
+  }
+  if ('description' in b) {
+    if (typeof b.description === 'string') changes.description = b.description;
+    else errors.description = 'must be a string';
+  }
+  if ('projectId' in b) {
+    if (isNonEmptyString(b.projectId)) changes.projectId = b.projectId;
+    else errors.projectId = 'must be a non-empty string';
+  }
+  if ('ownerId' in b) {
+    if (isNonEmptyString(b.ownerId)) changes.ownerId = b.ownerId;
+    else errors.ownerId = 'must be a non-empty string';
+  }
+  if ('dueAt' in b) {
+    const due = normalizeDueAt(b.dueAt);
+    if (due === undefined) errors.dueAt = 'must be an ISO 8601 date or null';
+    else changes.dueAt = due;
+  }
+  if ('tags' in b) {
+    if (isTagList(b.tags)) changes.tags = [...new Set(b.tags)];
+    else errors.tags = TAG_LIST_ERROR;
+  }
+  if ('status' in b) {
+    // checked against the project's workflow by the caller
+    if (isNonEmptyString(b.status)) changes.status = b.status;
+    else errors.status = 'must be a non-empty string';
+  }
+  if ('priority' in b) {
+    if (TASK_PRIORITIES.includes(b.priority)) changes.priority = b.priority;
+    else errors.priority = `must be one of ${TASK_PRIORITIES.join(', ')}`;
+  }
+  if ('estimate' in b) {
+    // estimate is in points; null clears it
+    if (b.estimate === null || (typeof b.estimate === 'number' && Number.isFinite(b.estimate) && b.estimate >= 0)) changes.estimate = b.estimate;
+    else errors.estimate = 'must be a non-negative number or null';
+  }
+  if ('parentTaskId' in b) {
+    if (b.parentTaskId === null || isNonEmptyString(b.parentTaskId)) changes.parentTaskId = b.parentTaskId;
+    else errors.parentTaskId = 'must be a task id or null';
+  }
+  if ('blockedBy' in b) {
+    if (Array.isArray(b.blockedBy) && b.blockedBy.every(isNonEmptyString)) changes.blockedBy = [...new Set(b.blockedBy)];
+    else errors.blockedBy = 'must be an array of task ids';
+  }
+  return { changes, errors };
+}
+
+// linked tasks must exist in the same org and must not form a cycle
+const validateLinks = (orgId, taskId, changes) => ('parentTaskId' in changes || 'blockedBy' in changes
+  ? links.validate(orgId, taskId, changes)
+  : {});
+
+// new owners must be in the member directory or be the caller; unchanged owners are not rechecked
+const ownerError = async (orgId, ownerId, callerId) => ((await members.isKnown(orgId, ownerId, callerId))
+  ? null
+  : `${ownerId} is not a member of this organization (see GET /members)`);
+
+// closing a task while its blockers are open is refused unless the caller passes force
+const blockedResponse = async (c, orgId, task) => {
+  const open = await links.openBlockers(orgId, task);
+  if (!open.length) return null;
+  return json(c, {
+    error: 'task is blocked by open tasks; pass force: true to complete it anyway',
+    openBlockers: open.map(({ id, title, status }) => ({ id, title, status })),
+  }, 409);
+};
+
+const withRollup = async (orgId, t) => ({ ...t, rollup: await links.rollup(orgId, t) });
+
+// sortable fields for list routes (see paging.js)
+const dateMs = v => (v ? new Date(v).getTime() : null);
+const TASK_SORTS = {
+  dueAt: t => dateMs(t.dueAt),
+  createdAt: t => dateMs(t.createdAt),
+  updatedAt: t => dateMs(t.updatedAt),
+  title: t => t.title,
+  priority: t => TASK_PRIORITIES.indexOf(t.priority || DEFAULT_PRIORITY),
+  estimate: t => (typeof t.estimate === 'number' ? t.estimate : null),
+};
+const PROJECT_SORTS = {
+  name: p => p.name,
+  createdAt: p => dateMs(p.createdAt),
+};
+const WEBHOOK_SORTS = {
+  createdAt: w => dateMs(w.createdAt),
+  url: w => w.url,
+};
+const VIEW_SORTS = {
+  name: v => v.name.toLowerCase(),
+  createdAt: v => dateMs(v.createdAt),
+  updatedAt: v => dateMs(v.updatedAt),
+};
+const DELIVERY_SORTS = {
+  createdAt: d => dateMs(d.createdAt),
+};
+const FEED_SORTS = {
+  createdAt: f => dateMs(f.createdAt),
+};
+const IMPORT_SORTS = {
+  createdAt: j => dateMs(j.createdAt),
+};
+const MEMBER_SORTS = {
+  name: m => m.name?.toLowerCase() ?? null,
+  email: m => m.email,
+  lastSeenAt: m => dateMs(m.lastSeenAt),
+};
+// status sorts by position in each task's own project workflow
+const withStatusSort = async items => {
+  const ids = [...new Set(items.map(t => t.projectId))];
+  const workflows = new Map(await Promise.all(ids.map(async id => [id, await workflowFor(id)])));
+  return { ...TASK_SORTS, status: t => statusIndex(workflows.get(t.projectId), t.status) };
+};
+const pageOpts = qp => ({
+  sort: qp.sort,
+  cursor: qp.cursor,
+  limit: qp.limit ? parseInt(qp.limit, 10) : undefined,
+  offset: qp.offset ? parseInt(qp.offset, 10) || 0 : 0,
+});
+
+// activity history: who changed which field, when, and through which client
+const PROJECT_TRACKED_FIELDS = ['name', 'description', 'workflow', 'archivedAt', 'visibility', 'defaultRole', 'members'];
+// who a history event is attributed to; the scheduler records as SYSTEM_ACTOR
+const actorOf = c => ({ ...getAuth(c), client: clientOf(c) });
+const SYSTEM_ACTOR = { userId: 'system', client: 'system' };
+
+const recordEvent = ({ orgId, userId, client }, entityType, action, before, after, fields) => {
+  const changes = diffFields(before, after, fields);
+  if (action === 'updated' && !changes.length) return null;
+  return history.record({
+    orgId,
+    entityType,
+    entityId: (after || before).id,
+    action,
+    changes,
+    actorId: userId,
+    client,
+  });
+};
+const recordChange = (c, ...args) => recordEvent(actorOf(c), ...args);
+const TASK_TRACKED_FIELDS = [...TASK_MUTABLE_FIELDS, 'recurrence'];
+const recordTaskChange = (c, action, before, after) => recordChange(c, 'task', action, before, after, TASK_TRACKED_FIELDS);
+
+/*
+ * Recurring tasks (rules in recurrence.js). The occurrences of a series share seriesId, the id of
+ * the first one, and count up in seriesIndex. Only the latest occurrence has no nextOccurrenceId;
+ * its nextOccurrenceAt is the due date of the one that follows, which is created when the latest
+ * is closed or when that date's UTC day starts, whichever comes first.
+ */
+const reschedule = t => {
+  t.nextOccurrenceAt = t.recurrence && !t.nextOccurrenceId ? nextOccurrence(t.recurrence, t.dueAt, t.seriesIndex) : null;
+  return t;
+};
+
+const startSeries = (t, rule) => reschedule(Object.assign(t, {
+  recurrence: anchorRecurrence(rule, t.dueAt),
+  seriesId: t.seriesId || t.id,
+  seriesIndex: t.seriesIndex || 1,
+  nextOccurrenceId: null,
+}));
+
+// the occurrence that receives series edits; null once the latest one was deleted
+const latestOccurrence = async t => (t.seriesId
+  ? (await db.tasks.query({ orgId: t.orgId, seriesId: t.seriesId })).find(x => !x.nextOccurrenceId) || null
+  : t);
+
+/**
+ * Create the occurrence after `task` if it is due one. Claiming it through the task's version
+ * makes sure only one caller creates it; a caller that loses leaves it to the winner or to the
+ * next scheduler run. Returns the new task or null.
+ */
+const spawnNext = async (actor, task) => {
+  if (!task.recurrence || task.nextOccurrenceId || !task.nextOccurrenceAt) return null;
+  const project = await db.projects.get(task.projectId);
+  // archived projects take no new tasks; the series picks up again after a restore
+  if (!project || project.archivedAt) return null;
+  const now = new Date().toISOString();
+  const next = reschedule({
+    id: randomUUID(),
+    orgId: task.orgId,
+    projectId: task.projectId,
+    title: task.title,
+    description: task.description,
+    ownerId: task.ownerId,
+    dueAt: task.nextOccurrenceAt,
+    status: workflowOf(project).initial,
+    priority: task.priority,
+    estimate: task.estimate,
+    parentTaskId: task.parentTaskId,
+    blockedBy: [],
+    tags: task.tags,
+    commentCount: 0,
+    attachments: [],
+    recurrence: task.recurrence,
+    seriesId: task.seriesId,
+    seriesIndex: task.seriesIndex + 1,
+    nextOccurrenceId: null,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: actor.userId,
+    version: 1,
+  });
+  task.nextOccurrenceId = next.id;
+  task.updatedAt = now;
+  if (!(await saveVersioned(db.tasks, task))) {
+    log.warn('TASK occurrence claim lost:', { id: task.id, seriesId: task.seriesId });
+    return null;
+  }
+  await db.tasks.set(next.id, next);
+  await recordEvent({ ...actor, orgId: task.orgId }, 'task', 'created', null, next, TASK_TRACKED_FIELDS);
+  log.log('TASK occurrence created:', { id: next.id, seriesId: next.seriesId, seriesIndex: next.seriesIndex, dueAt: next.dueAt });
+  return next;
+};
+
+// create every occurrence whose day has started; run periodically by the server and on GET /tasks.
+// A new occurrence can itself be due already (the series was paused, or nobody listed tasks for a
+// while), so this repeats until the series have caught up.
+const spawnScheduled = async ({ orgId, now = Date.now() } = {}) => {
+  let created = 0;
+  for (let due = await db.tasks.query({ orgId, spawnAt: { max: now } }); due.length;) {
+    const spawned = [];
+    for (const task of due) {
+      const next = await spawnNext(SYSTEM_ACTOR, task);
+      if (next) spawned.push(next);
+    }
+    created += spawned.length;
+    // same test as the spawnAt index: the next occurrence is due once its day has started
+    due = spawned.filter(t => t.nextOccurrenceAt && Math.floor(new Date(t.nextOccurrenceAt).getTime() / 86400000) * 86400000 <= now);
+  }
+  return created;
+};
+
+/*
+ * Notifications (storage and preferences in notifications.js). History events notify the new owner
+ * of a task and the members @mentioned in a comment; notifyDue() reminds owners of due dates.
+ * Users only hear about tasks in projects they can see, and never about their own changes.
+ */
+const HOUR_MS = 3600000;
+// overdue reminders are not sent for tasks that passed their due date longer ago, e.g. while the server was down
+const OVERDUE_LOOKBACK_MS = 24 * HOUR_MS;
+
+// org admins see every project, but that comes from their token, which is not known here
+const canSee = (project, userId) => !!effectiveRole(project, { userId, orgAdmin: false });
+
+const notifyEvent = async (event, task) => {
+  // occurrences created by the scheduler are not assignments; due date reminders cover them
+  if (event.entityType !== 'task' || !task || event.actorId === SYSTEM_ACTOR.userId) return;
+  const { orgId, actorId } = event;
+  const project = await getOrgProject(orgId, task.projectId);
+  if (!project) return;
+  const actorName = (await members.get(orgId, actorId))?.name || actorId;
+
+  const owner = event.changes.find(ch => ch.field === 'ownerId')?.to;
+  if (['created', 'updated'].includes(event.action) && owner && owner !== actorId && canSee(project, owner)) {
+    await notifications.notify({ orgId, userId: owner, type: 'assigned', task, actorId, actorName });
+  }
+  // an edited comment only notifies the people it newly mentions
+  if (['commented', 'comment_edited'].includes(event.action)) {
+    const { from, to } = event.changes[0] || {};
+    const earlier = new Set(from?.mentions || []);
+    for (const userId of to?.mentions || []) {
+      if (userId === actorId || earlier.has(userId) || !canSee(project, userId)) continue;
+      await notifications.notify({ orgId, userId, type: 'mentioned', task, actorId, actorName, excerpt: to.text });
+    }
+  }
+};
+
+/*
+ * Due date reminders for task owners: due_soon once a task is within the owner's dueSoonHours,
+ * overdue once its due date has passed. Each is sent once per due date, so moving the date sends
+ * new ones. Closed tasks and tasks in archived projects are skipped. Run periodically by the
+ * server and on GET /notifications.
+ */
+const notifyDue = async ({ orgId, now = Date.now() } = {}) => {
+  const prefs = new Map();
+  let sent = 0;
+  for (const t of await db.tasks.query({ orgId, dueAt: { min: now - OVERDUE_LOOKBACK_MS, max: now + MAX_DUE_SOON_HOURS * HOUR_MS } })) {
+    if (!t.ownerId) continue;
+    const prefsKey = `${t.orgId}:${t.ownerId}`;
+    if (!prefs.has(prefsKey)) prefs.set(prefsKey, await notifications.prefs(t.orgId, t.ownerId));
+    const dueMs = new Date(t.dueAt).getTime();
+    const overdue = dueMs <= now;
+    if (!overdue && dueMs - now > prefs.get(prefsKey).dueSoonHours * HOUR_MS) continue;
+    const project = await db.projects.get(t.projectId);
+    if (!project || project.archivedAt || !canSee(project, t.ownerId) || await isClosedTask(t)) continue;
+    const type = overdue ? 'overdue' : 'due_soon';
+    if (await notifications.notify({ orgId: t.orgId, userId: t.ownerId, type, task: t, key: `${type}:${t.id}:${t.dueAt}` })) sent++;
+  }
+  return sent;
+};
+
+// after a task is deleted, drop references to it from subtasks and dependent tasks
+const detachDependents = async (c, orgId, taskId) => {
+  for (const { before, after } of await links.dependents(orgId, taskId)) {
+    after.updatedAt = new Date().toISOString();
+    if (await saveVersioned(db.tasks, after)) await recordTaskChange(c, 'updated', before, after);
+    else log.warn('TASK detach conflict:', { id: after.id, deleted: taskId });
+  }
+};
+
+// deleting a task moves it to the trash; the links other tasks had to it are kept for a restore
+const trashTask = async (c, orgId, task) => {
+  const { userId } = getAuth(c);
+  return trash.put(orgId, 'task', task, { deletedBy: userId, links: await links.inbound(orgId, task.id) });
+};
+
 // Projects
 app.post('/projects', async c => {
   const err = requireScope('projects:write')(c); if (err) return err;
 
-  const { orgId } = getAuth(c);
-  const { name, description = '' } = await c.req.json().catch(() => ({}));
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => ({}));
+  const { name, description = '', workflow: rawWorkflow } = b;
   if (!name) return json(c, { error: 'name is required' }, 400);
+  const access = validateAccess(b);
+  if (Object.keys(access.errors).length) return json(c, { error: 'validation failed', fields: access.errors }, 400);
+  let workflow = null;
+  if (rawWorkflow != null) {
+    const result = normalizeWorkflow(rawWorkflow);
+    if (!result.workflow) return json(c, { error: 'invalid workflow', fields: result.errors }, 400);
+    workflow = result.workflow;
+  }
 
   const id = randomUUID();
   const now = new Date().toISOString();
-  const project = { id, orgId, name, description, createdAt: now };
+  // the creator administers the project; everyone else gets access through visibility or membership
+  const project = {
+    id,
+    orgId,
+    name,
+    description,
+    workflow: workflowOf({ workflow }),
+    visibility: 'org',
+    defaultRole: 'editor',
+    ...access.changes,
+    members: withMember([], userId, 'admin', { actorId: userId, at: now }),
+    createdAt: now,
+    version: 1,
+  };
   await db.projects.set(id, project);
-  log.log('Project created:', { id, name, orgId });
-  return json(c, project, 201);
+  await recordChange(c, 'project', 'created', null, project, PROJECT_TRACKED_FIELDS);
+  log.log('Project created:', { id, name, orgId, visibility: project.visibility });
+  return withEtag(c, withRole(c, project), 201);
+});
+
+app.get('/projects/:id', async c => {
+  const err = requireScope('projects:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const project = await getOrgProject(orgId, c.req.param('id'));
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'viewer'); if (denied) return denied;
+  return withEtag(c, withRole(c, project));
 });
 
 app.get('/projects', async c => {
   const err = requireScope('projects:read')(c); if (err) return err;
 
   const { orgId } = getAuth(c);
-  const q = (c.req.query('q') || '').toLowerCase();
-  const items = (await db.projects.values())
-    .filter(p => p.orgId === orgId)
-    .filter(p => (q ? (p.name + ' ' + p.description).toLowerCase().includes(q) : true))
-    .sort((a, b) => a.name.localeCompare(b.name));
-  log.log('PROJECTS listed:', { orgId, count: items.length, query: q || 'all' });
-  return json(c, items);
+  const qp = c.req.query();
+  const q = (qp.q || '').toLowerCase();
+  // archived=false (default) hides archived projects, true lists only them, all lists both
+  const archived = qp.archived || 'false';
+  if (!['true', 'false', 'all'].includes(archived)) return json(c, { error: 'archived must be true, false or all' }, 400);
+  const items = (await db.projects.query({ orgId }))
+    .map(p => withRole(c, p))
+    .filter(p => p.role)
+    .filter(p => archived === 'all' || !!p.archivedAt === (archived === 'true'))
+    .filter(p => (q ? (p.name + ' ' + p.description).toLowerCase().includes(q) : true));
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'name', tiebreak: p => p.name }, PROJECT_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  log.log('PROJECTS listed:', { orgId, count: page.items.length, query: q || 'all' });
+  return json(c, page);
+});
+
+app.patch('/projects/:id', async c => {
+  const err = requireScope('projects:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const project = await getOrgProject(orgId, id);
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'admin'); if (denied) return denied;
+  if (ifMatchFails(c, project)) return preconditionFailed(c, project);
+  const before = { ...project };
+
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { changes, errors } = validateProjectPatch(b);
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  if (!Object.keys(changes).length) return json(c, { error: 'no editable fields provided' }, 400);
+
+  Object.assign(project, changes);
+  project.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.projects, project))) return preconditionFailed(c, await db.projects.get(id));
+  await recordChange(c, 'project', 'updated', before, project, PROJECT_TRACKED_FIELDS);
+  log.log('Project updated:', { id, fields: Object.keys(changes) });
+  return withEtag(c, withRole(c, project));
+});
+
+// archive and restore only flip archivedAt; tasks are untouched and reappear on restore
+const setArchived = archive => async c => {
+  const err = requireScope('projects:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const id = c.req.param('id');
+  const project = await getOrgProject(orgId, id);
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'admin'); if (denied) return denied;
+  if (ifMatchFails(c, project)) return preconditionFailed(c, project);
+  if (!!project.archivedAt === archive) return withEtag(c, withRole(c, project));
+  const before = { ...project };
+
+  const now = new Date().toISOString();
+  project.archivedAt = archive ? now : null;
+  project.archivedBy = archive ? userId : null;
+  project.updatedAt = now;
+  if (!(await saveVersioned(db.projects, project))) return preconditionFailed(c, await db.projects.get(id));
+  await recordChange(c, 'project', archive ? 'archived' : 'restored', before, project, PROJECT_TRACKED_FIELDS);
+  log.log(archive ? 'Project archived:' : 'Project restored:', { id, name: project.name, orgId });
+  return withEtag(c, withRole(c, project));
+};
+
+app.post('/projects/:id/archive', setArchived(true));
+app.post('/projects/:id/restore', setArchived(false));
+
+// Workflow
+app.get('/projects/:id/workflow', async c => {
+  const err = requireScope('projects:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const project = await getOrgProject(orgId, c.req.param('id'));
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'viewer'); if (denied) return denied;
+  c.header('ETag', etagOf(project));
+  return json(c, { projectId: project.id, ...workflowOf(project) });
+});
+
+app.put('/projects/:id/workflow', async c => {
+  const err = requireScope('projects:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const project = await getOrgProject(orgId, id);
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'admin'); if (denied) return denied;
+  if (ifMatchFails(c, project)) return preconditionFailed(c, project);
+  const before = { ...project };
+
+  const { workflow, errors } = normalizeWorkflow(await c.req.json().catch(() => null));
+  if (!workflow) return json(c, { error: 'invalid workflow', fields: errors }, 400);
+
+  // refuse to drop statuses that tasks are still in; move those tasks first
+  const inUse = {};
+  for (const t of await db.tasks.query({ orgId, projectId: id })) {
+    if (!hasStatus(workflow, t.status)) inUse[t.status] = (inUse[t.status] || 0) + 1;
+  }
+  if (Object.keys(inUse).length) {
+    return json(c, { error: 'workflow removes statuses that tasks are still in', statuses: inUse }, 409);
+  }
+
+  project.workflow = workflow;
+  if (!(await saveVersioned(db.projects, project))) return preconditionFailed(c, await db.projects.get(id));
+  await recordChange(c, 'project', 'updated', before, project, PROJECT_TRACKED_FIELDS);
+  log.log('Project workflow updated:', { id, statuses: workflow.statuses.map(s => s.id) });
+  c.header('ETag', etagOf(project));
+  return json(c, { projectId: id, ...workflow });
+});
+
+// Project members
+app.get('/projects/:id/members', async c => {
+  const err = requireScope('projects:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const project = await getOrgProject(orgId, c.req.param('id'));
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'viewer'); if (denied) return denied;
+
+  // names and emails come from the org directory
+  const items = await Promise.all((project.members || []).map(async m => {
+    const member = await members.get(orgId, m.userId);
+    return { ...m, name: member?.name ?? null, email: member?.email ?? null, picture: member?.picture ?? null };
+  }));
+  c.header('ETag', etagOf(project));
+  return json(c, {
+    projectId: project.id,
+    visibility: project.visibility || 'org',
+    defaultRole: project.defaultRole || 'editor',
+    role: projectRole(c, project),
+    items,
+  });
 });
 
+// add a member or change their role (PUT /projects/:id/members { userId, role }) or remove them
+const setProjectMember = remove => async c => {
+  const err = requireScope('projects:write')(c); if (err) return err;
+
+  const { orgId, userId: actorId } = getAuth(c);
+  const id = c.req.param('id');
+  const project = await getOrgProject(orgId, id);
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'admin'); if (denied) return denied;
+  if (ifMatchFails(c, project)) return preconditionFailed(c, project);
+  const before = { ...project };
+
+  let userId = c.req.param('userId');
+  let role = null;
+  if (!remove) {
+    const b = await c.req.json().catch(() => ({}));
+    userId = b.userId;
+    role = b.role;
+    const fields = {};
+    if (!isNonEmptyString(userId)) fields.userId = 'must be a non-empty string';
+    else if (!(await members.isKnown(orgId, userId, actorId))) fields.userId = `${userId} is not a member of this organization (see GET /members)`;
+    if (!PROJECT_ROLES.includes(role)) fields.role = `must be one of ${PROJECT_ROLES.join(', ')}`;
+    if (Object.keys(fields).length) return json(c, { error: 'validation failed', fields }, 400);
+  } else if (!(project.members || []).some(m => m.userId === userId)) {
+    return json(c, { error: 'not a member of this project' }, 404);
+  }
+
+  const next = withMember(project.members, userId, role, { actorId, at: new Date().toISOString() });
+  if (adminCount(project.members) && !adminCount(next)) {
+    return json(c, { error: 'a project needs at least one admin; make someone else admin first' }, 409);
+  }
+  project.members = next;
+  project.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.projects, project))) return preconditionFailed(c, await db.projects.get(id));
+  await recordChange(c, 'project', 'updated', before, project, PROJECT_TRACKED_FIELDS);
+  log.log(remove ? 'Project member removed:' : 'Project member set:', { id, userId, role });
+  return withEtag(c, withRole(c, project));
+};
+
+app.put('/projects/:id/members', setProjectMember(false));
+app.delete('/projects/:id/members/:userId', setProjectMember(true));
+
 // Tasks
 app.post('/tasks', async c => {
   const err = requireScope('tasks:write')(c); if (err) return err;
 
   const { orgId, userId } = getAuth(c);
   const b = await c.req.json().catch(() => ({}));
-  const { projectId, title, ownerId, description = '', dueAt = null, tags = [] } = b;
+  const { projectId, title, ownerId } = b;
   if (!projectId || !title || !ownerId) {
     return json(c, { error: 'projectId, title, ownerId are required' }, 400);
   }
-  const project = await db.projects.get(projectId);
-  if (!project || project.orgId !== orgId) return json(c, { error: 'project not found' }, 404);
+  // the same checks and messages as PATCH /tasks/:id
+  const { changes, errors } = validateTaskPatch(Object.fromEntries(TASK_MUTABLE_FIELDS.filter(k => k in b).map(k => [k, b[k]])));
+  const ownerProblem = errors.ownerId ? null : await ownerError(orgId, ownerId, userId);
+  if (ownerProblem) errors.ownerId = ownerProblem;
+  let recurrence = null;
+  if (b.recurrence != null) {
+    const result = normalizeRecurrence(b.recurrence);
+    if (result.error) errors.recurrence = result.error;
+    else if (!changes.dueAt && !errors.dueAt) errors.recurrence = 'needs dueAt, the due date of the first occurrence';
+    else recurrence = result.recurrence;
+  }
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  const project = await getOrgProject(orgId, projectId);
+  if (!project) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'editor'); if (denied) return denied;
+  if (project.archivedAt) return projectArchived(c);
+  const workflow = workflowOf(project);
+  const statusError = changes.status ? transitionError(workflow, null, changes.status) : null;
+  if (statusError) return json(c, { error: 'validation failed', fields: { status: statusError } }, 400);
+  const linkErrors = await validateLinks(orgId, null, changes);
+  if (Object.keys(linkErrors).length) return json(c, { error: 'validation failed', fields: linkErrors }, 400);
 
   const id = randomUUID();
   const now = new Date().toISOString();
-  const due = dueAt ? new Date(dueAt) : null;
   const task = {
     id,
     orgId,
     projectId,
     title,
-    description,
+    description: changes.description ?? '',
     ownerId,
-    dueAt: due && !Number.isNaN(due.getTime()) ? due.toISOString() : null,
-    status: 'todo',
-    tags: [...new Set(tags)],
-    comments: [],
+    dueAt: changes.dueAt ?? null,
+    status: changes.status || workflow.initial,
+    priority: changes.priority || DEFAULT_PRIORITY,
+    estimate: changes.estimate ?? null,
+    parentTaskId: changes.parentTaskId ?? null,
+    blockedBy: changes.blockedBy || [],
+    tags: changes.tags || [],
+    commentCount: 0,
+    attachments: [],
+    recurrence: null,
     createdAt: now,
     updatedAt: now,
     createdBy: userId,
+    version: 1,
   };
+  if (recurrence) startSeries(task, recurrence);
   await db.tasks.set(id, task);
+  await recordTaskChange(c, 'created', null, task);
   log.log('TASK created:', { id, title, projectId, ownerId });
-  return json(c, task, 201);
+  return withEtag(c, task, 201);
 });
 
 app.get('/tasks/:id', async c => {
@@ -97,140 +829,890 @@ app.get('/tasks/:id', async c => {
   const { orgId } = getAuth(c);
   const t = await db.tasks.get(c.req.param('id'));
   if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
-  return json(c, t);
+  const denied = await taskRoleError(c, t, 'viewer'); if (denied) return denied;
+  return withEtag(c, await withRollup(orgId, t));
 });
 
-app.get('/tasks', async c => {
-  const err = requireScope('tasks:read')(c); if (err) return err;
-
-  const { orgId } = getAuth(c);
-  const qp = c.req.query();
+// GET /tasks and saved views (GET /views/:id/tasks) answer with the same listing
+const listTasks = async (c, qp) => {
+  const { orgId, userId } = getAuth(c);
+  // serverless deployments have no scheduler timer, so due occurrences are also created when tasks are listed
+  await spawnScheduled({ orgId });
   const projectId = qp.projectId;
   const ownerId = qp.ownerId;
   const status = qp.status;
+  const priority = qp.priority;
   const tag = qp.tag;
-  const q = (qp.q || '').toLowerCase();
   const dueBefore = qp.dueBefore ? new Date(qp.dueBefore) : null;
   const dueAfter = qp.dueAfter ? new Date(qp.dueAfter) : null;
-  const limit = Math.min(parseInt(qp.limit || '100', 10), 500);
-  const offset = Math.max(parseInt(qp.offset || '0', 10), 0);
 
-  let items = (await db.tasks.values()).filter(t => t.orgId === orgId);
-  if (projectId) items = items.filter(t => t.projectId === projectId);
-  if (ownerId) items = items.filter(t => t.ownerId === ownerId);
-  if (status) items = items.filter(t => t.status === status);
-  if (tag) items = items.filter(t => t.tags.includes(tag));
-  if (dueBefore && !Number.isNaN(dueBefore.getTime())) items = items.filter(t => t.dueAt && new Date(t.dueAt) <= dueBefore);
-  if (dueAfter && !Number.isNaN(dueAfter.getTime())) items = items.filter(t => t.dueAt && new Date(t.dueAt) >= dueAfter);
-  if (q) items = items.filter(t => [t.title, t.description, t.ownerId, ...(t.tags || [])].join(' ').toLowerCase().includes(q));
-  items.sort((a, b) => {
-    const ad = a.dueAt ? new Date(a.dueAt).getTime() : Infinity;
-    const bd = b.dueAt ? new Date(b.dueAt).getTime() : Infinity;
-    return ad - bd || a.title.localeCompare(b.title);
-  });
-  const page = items.slice(offset, offset + limit);
+  const validDate = d => d && !Number.isNaN(d.getTime());
+  const dueRange = validDate(dueBefore) || validDate(dueAfter)
+    ? { min: validDate(dueAfter) ? dueAfter.getTime() : null, max: validDate(dueBefore) ? dueBefore.getTime() : null }
+    : null;
+
+  const minEstimate = qp.minEstimate ? Number(qp.minEstimate) : null;
+  const maxEstimate = qp.maxEstimate ? Number(qp.maxEstimate) : null;
+
+  let items = await db.tasks.query({ orgId, projectId, ownerId, status, priority, tag, dueAt: dueRange });
+  if (Number.isFinite(minEstimate)) items = items.filter(t => typeof t.estimate === 'number' && t.estimate >= minEstimate);
+  if (Number.isFinite(maxEstimate)) items = items.filter(t => typeof t.estimate === 'number' && t.estimate <= maxEstimate);
+  const visible = await visibleProjects(c, orgId);
+  items = items.filter(t => visible.has(t.projectId));
+  // naming a project in the query is enough to see the tasks of an archived one
+  if (!projectId && qp.includeArchived !== 'true') {
+    const archived = await archivedProjectIds(orgId);
+    if (archived.size) items = items.filter(t => !archived.has(t.projectId));
+  }
+
+  // q is the search language in search.js; terms that rank go into `scores`
+  const scores = new Map();
+  if (qp.q) {
+    const projects = new Map((await db.projects.query({ orgId })).map(p => [p.id, p]));
+    // comment texts by task id; comments live in their own bucket and are only read for queries that look at them
+    const commentTexts = new Map();
+    let query;
+    let matches;
+    try {
+      query = parseQuery(qp.q);
+      if (searchesComments(query)) {
+        for (const x of await db.comments.query({ orgId })) if (x.text) commentTexts.set(x.taskId, [...(commentTexts.get(x.taskId) || []), x.text]);
+      }
+      matches = compileQuery(query, {
+        comments: commentTexts,
+        userId,
+        now: Date.now(),
+        projects,
+        members: new Map((await members.list(orgId)).map(m => [m.userId, m])),
+        isClosed: t => isClosedStatus(workflowOf(projects.get(t.projectId)), t.status),
+        statusName: t => workflowOf(projects.get(t.projectId)).statuses.find(s => s.id === t.status)?.name,
+      });
+    } catch (e) {
+      if (e instanceof QueryError) return json(c, { error: 'invalid query', fields: { q: e.message } }, 400);
+      throw e;
+    }
+    items = items.filter(matches);
+    const terms = rankingTerms(query);
+    if (terms.length) for (const t of items) scores.set(t.id, scoreTask(t, terms, commentTexts.get(t.id)));
+  }
 
-  log.log('TASKS listed:', { orgId, count: page.length, status: status || 'all' });
+  // default order is relevance when the query has text to rank by, else dueAt (undated last) then title
+  const sorts = { ...await withStatusSort(items), relevance: t => scores.get(t.id) ?? null };
+  const fallbackSort = scores.size ? 'relevance:desc' : 'dueAt';
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort, tiebreak: t => t.title }, sorts);
+  if (page.error) return json(c, { error: page.error }, 400);
+  page.items = await Promise.all(page.items.map(async t => ({
+    ...await withRollup(orgId, t),
+    ...(scores.has(t.id) ? { score: scores.get(t.id) } : {}),
+  })));
 
-  return json(c, { total: items.length, items: page });
+  log.log('TASKS listed:', { orgId, count: page.items.length, status: status || 'all' });
+
+  return json(c, page);
+};
+
+app.get('/tasks', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+  return listTasks(c, c.req.query());
 });
 
-app.patch('/tasks/:id/status', async c => {
+app.patch('/tasks/:id', async c => {
   const err = requireScope('tasks:write')(c); if (err) return err;
 
-  const { orgId } = getAuth(c);
+  const { orgId, userId } = getAuth(c);
   const id = c.req.param('id');
   const t = await db.tasks.get(id);
   if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
-  const { status } = await c.req.json().catch(() => ({}));
-  if (!['todo', 'in_progress', 'done'].includes(status)) return json(c, { error: 'invalid status' }, 400);
-  t.status = status;
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const before = { ...t };
+
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { force = false, ...fields } = b;
+  const { changes, errors } = validateTaskPatch(fields);
+  if (changes.ownerId && changes.ownerId !== t.ownerId) {
+    const ownerProblem = await ownerError(orgId, changes.ownerId, userId);
+    if (ownerProblem) errors.ownerId = ownerProblem;
+  }
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  if (!Object.keys(changes).length) return json(c, { error: 'no editable fields provided' }, 400);
+  const moving = !!changes.projectId && changes.projectId !== t.projectId;
+  const project = await getOrgProject(orgId, moving ? changes.projectId : t.projectId);
+  if (moving && !project) return json(c, { error: 'project not found' }, 404);
+  if (moving) {
+    const deniedTarget = roleError(c, project, 'editor'); if (deniedTarget) return deniedTarget;
+  }
+  if (moving && project.archivedAt) return projectArchived(c);
+  // a task moved to another project must land in a status of that project's workflow; transitions do not apply
+  if (moving || 'status' in changes) {
+    const statusError = transitionError(workflowOf(project), moving ? null : t.status, changes.status ?? t.status);
+    if (statusError) return json(c, { error: 'validation failed', fields: { status: statusError } }, 400);
+  }
+  const linkErrors = await validateLinks(orgId, id, changes);
+  if (Object.keys(linkErrors).length) return json(c, { error: 'validation failed', fields: linkErrors }, 400);
+
+  Object.assign(t, changes);
+  const closing = await closesTask(before, t);
+  if (closing && !force) {
+    const blocked = await blockedResponse(c, orgId, t);
+    if (blocked) return blocked;
+  }
+  // a new due date moves the rest of the series with it
+  if ('dueAt' in changes) reschedule(t);
   t.updatedAt = new Date().toISOString();
-  await db.tasks.set(id, t);
-  return json(c, t);
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  if (closing) await spawnNext(actorOf(c), t);
+  log.log('TASK updated:', { id, fields: Object.keys(changes) });
+  return withEtag(c, t);
 });
 
-app.patch('/tasks/:id/assign', async c => {
+app.patch('/tasks/:id/status', async c => {
   const err = requireScope('tasks:write')(c); if (err) return err;
 
   const { orgId } = getAuth(c);
   const id = c.req.param('id');
   const t = await db.tasks.get(id);
   if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
-  const { ownerId } = await c.req.json().catch(() => ({}));
-  if (!ownerId) return json(c, { error: 'ownerId required' }, 400);
-  t.ownerId = ownerId;
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const before = { ...t };
+  const { status, force = false } = await c.req.json().catch(() => ({}));
+  const statusError = transitionError(await workflowFor(t.projectId), t.status, status);
+  if (statusError) return json(c, { error: statusError }, 400);
+  t.status = status;
+  const closing = await closesTask(before, t);
+  if (closing && !force) {
+    const blocked = await blockedResponse(c, orgId, t);
+    if (blocked) return blocked;
+  }
   t.updatedAt = new Date().toISOString();
-  await db.tasks.set(id, t);
-  return json(c, t);
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  if (closing) await spawnNext(actorOf(c), t);
+  return withEtag(c, t);
 });
 
-app.post('/tasks/:id/comments', async c => {
+app.patch('/tasks/:id/assign', async c => {
   const err = requireScope('tasks:write')(c); if (err) return err;
 
   const { orgId, userId } = getAuth(c);
   const id = c.req.param('id');
   const t = await db.tasks.get(id);
   if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
-  const { text } = await c.req.json().catch(() => ({}));
-  if (!text) return json(c, { error: 'text required' }, 400);
-  const comment = { id: randomUUID(), authorId: userId, text, createdAt: new Date().toISOString() };
-  t.comments.push(comment);
-  t.updatedAt = comment.createdAt;
-  await db.tasks.set(id, t);
-  return json(c, comment, 201);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const before = { ...t };
+  const { ownerId } = await c.req.json().catch(() => ({}));
+  if (!ownerId) return json(c, { error: 'ownerId required' }, 400);
+  const ownerProblem = ownerId === t.ownerId ? null : await ownerError(orgId, ownerId, userId);
+  if (ownerProblem) return json(c, { error: 'validation failed', fields: { ownerId: ownerProblem } }, 400);
+  t.ownerId = ownerId;
+  t.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  return withEtag(c, t);
 });
 
-app.patch('/tasks/:id/tags', async c => {
+// edit or stop a series from any of its occurrences; the change lands on the latest one, the only one
+// that creates more. On a task that does not repeat yet, a rule starts a series with it.
+app.put('/tasks/:id/recurrence', async c => {
   const err = requireScope('tasks:write')(c); if (err) return err;
 
   const { orgId } = getAuth(c);
   const id = c.req.param('id');
   const t = await db.tasks.get(id);
   if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
-  const { add = [], remove = [] } = await c.req.json().catch(() => ({}));
-  const cur = new Set(t.tags || []);
-  add.forEach(x => cur.add(x));
-  remove.forEach(x => cur.delete(x));
-  t.tags = [...cur];
-  t.updatedAt = new Date().toISOString();
-  await db.tasks.set(id, t);
-  return json(c, t);
-});
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
 
-app.get('/tasks-due-soon', async c => {
-  const err = requireScope('tasks:read')(c); if (err) return err;
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || !('recurrence' in b)) return json(c, { error: 'body must be { recurrence } with a rule or null' }, 400);
+  let rule = null;
+  if (b.recurrence !== null) {
+    const result = normalizeRecurrence(b.recurrence);
+    if (result.error) return json(c, { error: 'validation failed', fields: { recurrence: result.error } }, 400);
+    rule = result.recurrence;
+  }
 
-  const { orgId } = getAuth(c);
-  const days = Math.min(parseInt(c.req.query('days') || '7', 10), 90);
-  const ownerId = c.req.query('ownerId') || null;
-  const horizon = Date.now() + days * 86400000;
-  let items = (await db.tasks.values()).filter(
-    t => t.orgId === orgId && t.dueAt && new Date(t.dueAt).getTime() <= horizon && t.status !== 'done',
-  );
-  if (ownerId) items = items.filter(t => t.ownerId === ownerId);
-  items.sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
-  return json(c, items);
+  const latest = await latestOccurrence(t);
+  if (!latest) return json(c, { error: 'the series has ended: its latest occurrence was deleted' }, 409);
+  if (rule && !latest.dueAt) return json(c, { error: 'validation failed', fields: { recurrence: 'needs dueAt on the task, the due date of the first occurrence' } }, 400);
+  const before = { ...latest };
+  if (rule) startSeries(latest, rule);
+  else reschedule(Object.assign(latest, { recurrence: null }));
+  latest.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, latest))) return preconditionFailed(c, await db.tasks.get(latest.id));
+  await recordTaskChange(c, 'updated', before, latest);
+  log.log(rule ? 'TASK recurrence set:' : 'TASK recurrence stopped:', { id: latest.id, seriesId: latest.seriesId, from: id });
+  // a rule whose next date has already come creates that occurrence right away
+  if (rule) await spawnScheduled({ orgId });
+  return withEtag(c, await db.tasks.get(latest.id));
 });
 
-// Delete project
-app.delete('/projects/:id', async c => {
-  const err = requireScope('projects:write')(c); if (err) return err;
+/*
+ * Comments (storage and threads in comments.js). They are kept out of the task document; the task
+ * only carries commentCount, the number of comments that are not deleted. Comment events are task
+ * history entries with the comment before and after as their one change.
+ */
+const COMMENT_SORTS = {
+  createdAt: x => dateMs(x.createdAt),
+  updatedAt: x => dateMs(x.updatedAt),
+};
+
+// tasks written before comments had their own bucket embed them; they are moved out on first use.
+// That is not a change to the task, so its version (and ETag) stays.
+const withCommentsMoved = async task => {
+  for (let t = task; t; t = await db.tasks.get(task.id)) {
+    const moved = await comments.moveEmbedded(t);
+    if (!moved) return t;
+    if (await db.tasks.setIfVersion(t.id, moved, t.version || 0)) {
+      log.log('TASK comments moved:', { id: t.id, count: moved.commentCount });
+      return moved;
+    }
+  }
+  return null;
+};
 
+// the task of a comment route, or an error response
+const commentTask = async (c, needed) => {
   const { orgId } = getAuth(c);
-  const id = c.req.param('id');
-  const project = await db.projects.get(id);
-  if (!project || project.orgId !== orgId) return json(c, { error: 'project not found' }, 404);
+  const t = await db.tasks.get(c.req.param('id'));
+  if (!t || t.orgId !== orgId) return { error: json(c, { error: 'not found' }, 404) };
+  const denied = await taskRoleError(c, t, needed);
+  if (denied) return { error: denied };
+  // null when the task was deleted while its comments were being moved
+  const task = await withCommentsMoved(t);
+  return task ? { task } : { error: json(c, { error: 'not found' }, 404) };
+};
 
-  // Delete all tasks in the project first
-  const projectTasks = (await db.tasks.values()).filter(t => t.projectId === id && t.orgId === orgId);
-  for (const task of projectTasks) {
-    await db.tasks.delete(task.id);
-  }
+const mentionsIn = async (orgId, text) => mentionedMembers(text, await members.list(orgId)).map(m => m.userId);
 
-  await db.projects.delete(id);
-  log.log('Project deleted:', { id, name: project.name, orgId, tasksDeleted: projectTasks.length });
-  return json(c, { message: 'Project and associated tasks deleted successfully' });
+// things kept beside the task (comments, attachments) change through their own history actions, with one change of that field
+const recordTaskEvent = (c, task, action, field, from, to) => history.record({
+  orgId: task.orgId,
+  entityType: 'task',
+  entityId: task.id,
+  action,
+  changes: [{ field, from, to }],
+  actorId: getAuth(c).userId,
+  client: clientOf(c),
+});
+const commentSnapshot = x => x && { id: x.id, parentId: x.parentId, text: x.text, mentions: x.mentions };
+const recordComment = (c, task, action, before, after) => recordTaskEvent(c, task, action, 'comments', commentSnapshot(before), commentSnapshot(after));
+
+// deleting a comment lowers the count whatever else happened to the task meanwhile
+const countDeletedComment = async task => {
+  for (let t = task; t; t = await db.tasks.get(task.id)) {
+    t.commentCount = Math.max((t.commentCount || 0) - 1, 0);
+    t.updatedAt = new Date().toISOString();
+    if (await saveVersioned(db.tasks, t)) return;
+  }
+};
+
+// top-level comments page by page, each with all of its replies
+app.get('/tasks/:id/comments', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { task, error } = await commentTask(c, 'viewer'); if (error) return error;
+  const qp = c.req.query();
+  const page = paginate(await comments.threads(task.orgId, task.id), {
+    ...pageOpts(qp),
+    fallbackSort: 'createdAt',
+  }, COMMENT_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
+});
+
+app.post('/tasks/:id/comments', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const { task: t, error } = await commentTask(c, 'editor'); if (error) return error;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const { text, parentId = null } = await c.req.json().catch(() => ({}));
+  const fields = {};
+  const problem = textError(text);
+  if (problem) fields.text = problem;
+  const parent = parentId == null ? null : await comments.get(orgId, t.id, parentId);
+  if (parentId != null && (!parent || parent.deletedAt)) fields.parentId = 'no comment with this id on this task';
+  if (Object.keys(fields).length) return json(c, { error: 'validation failed', fields }, 400);
+
+  const at = new Date().toISOString();
+  t.commentCount = (t.commentCount || 0) + 1;
+  t.updatedAt = at;
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(t.id));
+  const comment = await comments.create(orgId, t.id, { text, mentions: await mentionsIn(orgId, text), authorId: userId, parent, at });
+  await recordComment(c, t, 'commented', null, comment);
+  c.header('ETag', etagOf(t));
+  return json(c, comment, 201);
+});
+
+// only the author can edit or delete a comment; If-Match takes the comment's version
+app.patch('/tasks/:id/comments/:commentId', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const { task: t, error } = await commentTask(c, 'editor'); if (error) return error;
+  const comment = await comments.get(orgId, t.id, c.req.param('commentId'));
+  if (!comment || comment.deletedAt) return json(c, { error: 'comment not found' }, 404);
+  if (comment.authorId !== userId) return json(c, { error: 'only the author can edit this comment' }, 403);
+  if (ifMatchFails(c, comment)) return preconditionFailed(c, comment);
+  const { text } = await c.req.json().catch(() => ({}));
+  const problem = textError(text);
+  if (problem) return json(c, { error: 'validation failed', fields: { text: problem } }, 400);
+
+  const edited = await comments.update(comment, { text, mentions: await mentionsIn(orgId, text) });
+  if (!edited) return preconditionFailed(c, await comments.get(orgId, t.id, comment.id));
+  await recordComment(c, t, 'comment_edited', comment, edited);
+  return withEtag(c, edited);
+});
+
+// a comment with replies stays as a placeholder (text null, deletedAt set) so the thread still reads
+app.delete('/tasks/:id/comments/:commentId', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const { task: t, error } = await commentTask(c, 'editor'); if (error) return error;
+  const comment = await comments.get(orgId, t.id, c.req.param('commentId'));
+  if (!comment || comment.deletedAt) return json(c, { error: 'comment not found' }, 404);
+  if (comment.authorId !== userId) return json(c, { error: 'only the author can delete this comment' }, 403);
+  if (ifMatchFails(c, comment)) return preconditionFailed(c, comment);
+
+  const placeholder = await comments.remove(comment);
+  await countDeletedComment(t);
+  await recordComment(c, t, 'comment_deleted', comment, null);
+  return json(c, { message: placeholder ? 'Comment deleted; its replies are kept' : 'Comment deleted', id: comment.id });
+});
+
+/*
+ * Attachments (limits and storage in attachments.js). The metadata is part of the task, in
+ * `attachments`, so uploads and deletes are task writes; the contents live in the blob store.
+ */
+const attachmentOf = (t, id) => (t.attachments || []).find(a => a.id === id) || null;
+
+app.get('/tasks/:id/attachments', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const t = await db.tasks.get(c.req.param('id'));
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'viewer'); if (denied) return denied;
+  return withEtag(c, { items: t.attachments || [], version: t.version });
+});
+
+// multipart/form-data with the file in a `file` field
+app.post('/tasks/:id/attachments', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const id = c.req.param('id');
+  const t = await db.tasks.get(id);
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  // turn away bodies that cannot fit before reading them; the multipart framing adds a little
+  const maxBytes = env.API_ATTACHMENT_MAX_BYTES;
+  if (Number(c.req.header('content-length')) > maxBytes + 64 * 1024) {
+    return json(c, { error: `attachments are limited to ${maxBytes} bytes` }, 413);
+  }
+  if (!(c.req.header('content-type') || '').startsWith('multipart/form-data')) {
+    return json(c, { error: 'send the file as multipart/form-data in a file field' }, 415);
+  }
+  const body = await c.req.parseBody().catch(() => null);
+  if (!body) return json(c, { error: 'could not read the multipart body' }, 400);
+  const upload = validateUpload(body.file, { maxBytes, types: env.API_ATTACHMENT_TYPES });
+  if (upload.errors) return json(c, { error: 'validation failed', fields: upload.errors }, upload.errors.file?.startsWith('must be at most') ? 413 : 400);
+
+  const bytes = Buffer.from(await body.file.arrayBuffer());
+  const meta = await attachments.put(orgId, id, { ...upload, bytes, uploadedBy: userId });
+  t.attachments = [...(t.attachments || []), meta];
+  t.updatedAt = meta.uploadedAt;
+  if (!(await saveVersioned(db.tasks, t))) {
+    await attachments.remove(orgId, id, meta.id);
+    return preconditionFailed(c, await db.tasks.get(id));
+  }
+  await recordTaskEvent(c, t, 'attachment_added', 'attachments', null, meta);
+  log.log('TASK attachment added:', { id, attachmentId: meta.id, name: meta.name, size: meta.size });
+  c.header('ETag', etagOf(t));
+  return json(c, meta, 201);
+});
+
+// the file itself; ?download=true asks the browser to save it even when it could show it
+app.get('/tasks/:id/attachments/:attachmentId', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const t = await db.tasks.get(c.req.param('id'));
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'viewer'); if (denied) return denied;
+  const meta = attachmentOf(t, c.req.param('attachmentId'));
+  const bytes = meta && await attachments.read(orgId, t.id, meta.id);
+  if (!bytes) return json(c, { error: 'attachment not found' }, 404);
+  return c.body(bytes, 200, {
+    'Content-Type': meta.type,
+    'Content-Length': String(bytes.length),
+    'Content-Disposition': dispositionOf(meta, c.req.query('download') === 'true'),
+    // uploads are user content: never let the browser guess a more dangerous type
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox",
+    'Cache-Control': 'private, max-age=300',
+  });
+});
+
+app.delete('/tasks/:id/attachments/:attachmentId', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const t = await db.tasks.get(id);
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const meta = attachmentOf(t, c.req.param('attachmentId'));
+  if (!meta) return json(c, { error: 'attachment not found' }, 404);
+
+  t.attachments = t.attachments.filter(a => a.id !== meta.id);
+  t.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await attachments.remove(orgId, id, meta.id);
+  await recordTaskEvent(c, t, 'attachment_removed', 'attachments', meta, null);
+  log.log('TASK attachment removed:', { id, attachmentId: meta.id, name: meta.name });
+  c.header('ETag', etagOf(t));
+  return json(c, { message: 'Attachment deleted', id: meta.id });
+});
+
+app.patch('/tasks/:id/tags', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const t = await db.tasks.get(id);
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const fields = tagEditErrors(b);
+  if (Object.keys(fields).length) return json(c, { error: 'validation failed', fields }, 400);
+  const { add = [], remove = [] } = b;
+  const before = { ...t };
+  const cur = new Set(t.tags || []);
+  add.forEach(x => cur.add(x));
+  remove.forEach(x => cur.delete(x));
+  t.tags = [...cur];
+  t.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  return withEtag(c, t);
+});
+
+// Subtasks and dependencies
+app.get('/tasks/:id/dependencies', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const t = await db.tasks.get(c.req.param('id'));
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'viewer'); if (denied) return denied;
+  const [graph, rollup, visible] = await Promise.all([links.graph(orgId, t), links.rollup(orgId, t), visibleProjects(c, orgId)]);
+  // links can cross projects; tasks in projects the caller cannot see are left out
+  const seen = list => list.filter(x => visible.has(x.projectId));
+  return json(c, {
+    taskId: t.id,
+    parent: graph.parent && visible.has(graph.parent.projectId) ? graph.parent : null,
+    subtasks: seen(graph.subtasks),
+    blockedBy: seen(graph.blockedBy),
+    blocks: seen(graph.blocks),
+    rollup,
+  });
+});
+
+app.post('/tasks/:id/blockers', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const t = await db.tasks.get(id);
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  const before = { ...t };
+  const { taskId } = await c.req.json().catch(() => ({}));
+  if (!isNonEmptyString(taskId)) return json(c, { error: 'taskId required' }, 400);
+  if ((t.blockedBy || []).includes(taskId)) return withEtag(c, t);
+
+  const linkErrors = await links.validate(orgId, id, { blockedBy: [taskId] });
+  if (Object.keys(linkErrors).length) return json(c, { error: 'validation failed', fields: linkErrors }, 400);
+  t.blockedBy = [...(t.blockedBy || []), taskId];
+  t.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  log.log('TASK blocker added:', { id, blockedBy: taskId });
+  return withEtag(c, t);
+});
+
+app.delete('/tasks/:id/blockers/:blockerId', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const blockerId = c.req.param('blockerId');
+  const t = await db.tasks.get(id);
+  if (!t || t.orgId !== orgId) return json(c, { error: 'not found' }, 404);
+  const denied = await taskRoleError(c, t, 'editor'); if (denied) return denied;
+  if (ifMatchFails(c, t)) return preconditionFailed(c, t);
+  if (!(t.blockedBy || []).includes(blockerId)) return json(c, { error: 'task is not blocked by that task' }, 404);
+  const before = { ...t };
+  t.blockedBy = t.blockedBy.filter(x => x !== blockerId);
+  t.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.tasks, t))) return preconditionFailed(c, await db.tasks.get(id));
+  await recordTaskChange(c, 'updated', before, t);
+  log.log('TASK blocker removed:', { id, blockedBy: blockerId });
+  return withEtag(c, t);
+});
+
+// Bulk operations
+const BULK_MAX_OPERATIONS = 100;
+const BULK_OPS = ['status', 'assign', 'tag', 'delete'];
+
+// apply one bulk operation to a staged task; returns an error message or null
+function applyBulkOp(t, op) {
+  switch (op.op) {
+    case 'status':
+      // workflow membership and transitions are checked by the caller
+      if (!isNonEmptyString(op.status)) return 'status required';
+      t.status = op.status;
+      return null;
+    case 'assign':
+      if (!isNonEmptyString(op.ownerId)) return 'ownerId required';
+      t.ownerId = op.ownerId;
+      return null;
+    case 'tag': {
+      const errors = Object.entries(tagEditErrors(op));
+      if (errors.length) return errors.map(([field, error]) => `${field} ${error}`).join('; ');
+      const { add = [], remove = [] } = op;
+      const cur = new Set(t.tags || []);
+      add.forEach(x => cur.add(x));
+      remove.forEach(x => cur.delete(x));
+      t.tags = [...cur];
+      return null;
+    }
+    case 'delete':
+      return null;
+    default:
+      return `op must be one of ${BULK_OPS.join(', ')}`;
+  }
+}
+
+/*
+ * POST /tasks/bulk { operations: [{ taskId, op, ...fields, expectedVersion? }], atomic? }
+ * Operations are validated and staged first (several operations on one task are merged into
+ * a single write), then committed task by task. With atomic=true nothing is kept unless every
+ * operation succeeds; writes already made are rolled back if a later one hits a conflict.
+ * A status op to done on a task with open blockers fails with 409 unless it sets force: true.
+ * Deleted tasks go to the trash, like DELETE /tasks/:id.
+ */
+app.post('/tasks/bulk', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const { operations, atomic = false } = await c.req.json().catch(() => ({}));
+  if (!Array.isArray(operations) || !operations.length) return json(c, { error: 'operations must be a non-empty array' }, 400);
+  if (operations.length > BULK_MAX_OPERATIONS) return json(c, { error: `at most ${BULK_MAX_OPERATIONS} operations per request` }, 400);
+
+  const visible = await visibleProjects(c, orgId);
+  const archived = await archivedProjectIds(orgId);
+  const staged = new Map();
+  const results = [];
+  for (const [index, op] of operations.entries()) {
+    const taskId = op?.taskId;
+    const fail = (code, error) => results.push({ index, taskId, op: op?.op, ok: false, code, error });
+    if (!isNonEmptyString(taskId)) { fail(400, 'taskId required'); continue; }
+
+    let entry = staged.get(taskId);
+    if (!entry) {
+      const t = await db.tasks.get(taskId);
+      if (!t || t.orgId !== orgId || !visible.has(t.projectId)) { fail(404, 'not found'); continue; }
+      if (!roleAtLeast(visible.get(t.projectId), 'editor')) { fail(403, 'insufficient_role'); continue; }
+      if (archived.has(t.projectId)) { fail(409, 'project is archived; restore it first'); continue; }
+      entry = { before: { ...t }, task: t, deleted: false, results: [] };
+      staged.set(taskId, entry);
+    }
+    if (entry.deleted) { fail(409, 'task is deleted earlier in this batch'); continue; }
+    if (op.expectedVersion != null && op.expectedVersion !== (entry.before.version || 0)) {
+      fail(412, `precondition failed, current version ${entry.before.version || 0}`);
+      continue;
+    }
+    if (op.op === 'status' && isNonEmptyString(op.status)) {
+      const statusError = transitionError(await workflowFor(entry.task.projectId), entry.task.status, op.status);
+      if (statusError) { fail(400, statusError); continue; }
+    }
+    if (op.op === 'assign' && isNonEmptyString(op.ownerId) && op.ownerId !== entry.task.ownerId) {
+      const ownerProblem = await ownerError(orgId, op.ownerId, userId);
+      if (ownerProblem) { fail(400, ownerProblem); continue; }
+    }
+    const error = applyBulkOp(entry.task, op);
+    if (error) { fail(400, error); continue; }
+
+    if (op.op === 'delete') entry.deleted = true;
+    if (op.force === true) entry.force = true;
+    const result = { index, taskId, op: op.op, ok: true, code: 200 };
+    entry.results.push(result);
+    results.push(result);
+  }
+
+  const abort = (reason) => results.forEach(r => {
+    if (r.ok) Object.assign(r, { ok: false, code: 424, error: reason });
+  });
+
+  const respond = (aborted) => {
+    results.sort((a, b) => a.index - b.index);
+    const succeeded = results.filter(r => r.ok).length;
+    log.log('TASKS bulk:', { orgId, atomic, operations: operations.length, succeeded, aborted });
+    return json(c, { atomic, succeeded, failed: results.length - succeeded, results }, aborted ? 409 : 200);
+  };
+
+  // completing a task with open blockers needs force; blockers completed or deleted in this batch do not count
+  for (const entry of staged.values()) {
+    if (!entry.results.length || entry.deleted || entry.force) continue;
+    if (!(await closesTask(entry.before, entry.task))) continue;
+    const open = [];
+    for (const blocker of await links.openBlockers(orgId, entry.task)) {
+      const other = staged.get(blocker.id);
+      if (!other || (!other.deleted && !(await isClosedTask(other.task)))) open.push(blocker);
+    }
+    if (!open.length) continue;
+    const error = `blocked by open tasks ${open.map(blocker => blocker.id).join(', ')}; pass force: true to complete anyway`;
+    entry.results.forEach(r => Object.assign(r, { ok: false, code: 409, error }));
+    entry.results = [];
+  }
+
+  if (atomic && results.some(r => !r.ok)) {
+    abort('not applied: another operation in this atomic batch failed');
+    return respond(true);
+  }
+
+  const committed = [];
+  const now = new Date().toISOString();
+  for (const [taskId, entry] of staged) {
+    if (!entry.results.length) continue;
+    let ok;
+    if (entry.deleted) {
+      const current = await db.tasks.get(taskId);
+      ok = (current?.version || 0) === (entry.before.version || 0);
+      if (ok) {
+        await trashTask(c, orgId, entry.before);
+        await db.tasks.delete(taskId);
+      }
+    } else {
+      entry.task.updatedAt = now;
+      ok = await saveVersioned(db.tasks, entry.task);
+    }
+
+    if (!ok) {
+      entry.results.forEach(r => Object.assign(r, { ok: false, code: 412, error: 'task was changed concurrently' }));
+      if (atomic) {
+        // best-effort rollback of what this batch already wrote
+        for (const done of committed.reverse()) {
+          if (done.deleted) {
+            await db.tasks.set(done.before.id, done.before);
+            await trash.remove(done.before.id);
+          } else await saveVersioned(db.tasks, { ...done.before, version: done.task.version });
+        }
+        abort('rolled back: another operation in this atomic batch failed');
+        return respond(true);
+      }
+      continue;
+    }
+
+    committed.push(entry);
+    entry.results.forEach(r => { if (!entry.deleted) r.version = entry.task.version; });
+  }
+
+  for (const entry of committed) {
+    if (entry.deleted) await recordTaskChange(c, 'deleted', entry.before, null);
+    else await recordTaskChange(c, 'updated', entry.before, entry.task);
+  }
+  for (const entry of committed) {
+    if (entry.deleted) await detachDependents(c, orgId, entry.before.id);
+    // completing the latest occurrence of a series creates the next; that bumps the version again
+    else if (await closesTask(entry.before, entry.task) && await spawnNext(actorOf(c), entry.task)) {
+      entry.results.forEach(r => { r.version = entry.task.version; });
+    }
+  }
+  return respond(false);
+});
+
+app.get('/tasks-due-soon', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const days = Math.min(parseInt(c.req.query('days') || '7', 10), 90);
+  const ownerId = c.req.query('ownerId') || null;
+  const horizon = Date.now() + days * 86400000;
+  // tasks in a status their project's workflow marks as closed, or in archived projects, are not due
+  const archived = await archivedProjectIds(orgId);
+  const visible = await visibleProjects(c, orgId);
+  const workflows = new Map();
+  const items = [];
+  for (const t of await db.tasks.query({ orgId, ownerId, dueAt: { max: horizon } })) {
+    if (archived.has(t.projectId) || !visible.has(t.projectId)) continue;
+    if (!workflows.has(t.projectId)) workflows.set(t.projectId, await workflowFor(t.projectId));
+    if (!isClosedStatus(workflows.get(t.projectId), t.status)) items.push(t);
+  }
+  items.sort((a, b) => new Date(a.dueAt).getTime() - new Date(b.dueAt).getTime());
+  return json(c, items);
+});
+
+// the project each task belongs, or last belonged, to: from the task, its trash entry, or `events`
+const taskProjectIds = async (orgId, events) => {
+  const ids = new Map();
+  for (const e of events) {
+    const change = e.entityType === 'task' && e.changes.find(ch => ch.field === 'projectId');
+    if (!change) continue;
+    const prev = ids.get(e.entityId);
+    if (!prev || prev.at < e.at) ids.set(e.entityId, { at: e.at, projectId: change.to ?? change.from });
+  }
+  const result = new Map([...ids].map(([id, { projectId }]) => [id, projectId]));
+  for (const entry of await trash.list(orgId)) result.set(entry.id, entry.projectId);
+  for (const t of await db.tasks.query({ orgId })) result.set(t.id, t.projectId);
+  return result;
+};
+
+// Activity history
+app.get('/tasks/:id/history', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const items = await history.forEntity(orgId, 'task', id);
+  // deleted tasks keep their history; only 404 when the task never existed in this org
+  const t = await db.tasks.get(id);
+  if (!items.length && (!t || t.orgId !== orgId)) return json(c, { error: 'not found' }, 404);
+  const projectId = (await taskProjectIds(orgId, items)).get(id);
+  const project = projectId ? await getOrgProject(orgId, projectId) : null;
+  // the history of a task whose project is gone is only shown to org admins
+  if (!project && !hasScope(c, 'admin:org')) return json(c, { error: 'not found' }, 404);
+  if (project) {
+    const denied = roleError(c, project, 'viewer', 'not found'); if (denied) return denied;
+  }
+  return json(c, { taskId: id, items });
+});
+
+app.get('/audit', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const qp = c.req.query();
+  const from = qp.from ? new Date(qp.from) : null;
+  const to = qp.to ? new Date(qp.to) : null;
+  if (from && Number.isNaN(from.getTime())) return json(c, { error: 'from must be an ISO 8601 date' }, 400);
+  if (to && Number.isNaN(to.getTime())) return json(c, { error: 'to must be an ISO 8601 date' }, 400);
+  const limit = Math.min(parseInt(qp.limit || '100', 10), 500);
+  const offset = Math.max(parseInt(qp.offset || '0', 10), 0);
+
+  let items = await history.query(orgId, {
+    from,
+    to,
+    entityType: qp.entityType,
+    entityId: qp.entityId,
+    actorId: qp.actorId,
+    action: qp.action,
+    client: qp.client,
+  });
+  // org admins see everything; everyone else only events of projects they can see, and of their tasks
+  if (!hasScope(c, 'admin:org')) {
+    const visible = await visibleProjects(c, orgId);
+    const taskProjects = await taskProjectIds(orgId, items);
+    items = items.filter(e => visible.has(e.entityType === 'project' ? e.entityId : taskProjects.get(e.entityId)));
+  }
+  log.log('AUDIT listed:', { orgId, count: items.length });
+  return json(c, { total: items.length, items: items.slice(offset, offset + limit) });
+});
+
+// Change feed
+// keeps proxies and load balancers from closing an idle stream
+const SSE_KEEPALIVE_MS = 25000;
+
+/*
+ * GET /events streams the caller's org changes as Server-Sent Events:
+ *   event: ready    once connected; clients that reconnect should reload, since missed changes are not replayed
+ *   event: change   a history event with its type, projectId and data (the record after the change)
+ * Changes in projects the caller cannot see are left out, as are deleted projects for everyone but org admins.
+ */
+app.get('/events', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const visible = async message => {
+    if (!message.projectId) return hasScope(c, 'admin:org');
+    return !!projectRole(c, await getOrgProject(orgId, message.projectId));
+  };
+  return streamSSE(c, async stream => {
+    let sending = Promise.resolve();
+    const off = changeFeed.subscribe(message => {
+      if (message.orgId !== orgId) return;
+      // notifications go to their recipient only, as their own event type
+      if (message.recipientId) {
+        if (message.recipientId !== userId) return;
+        sending = sending.then(() => stream.writeSSE({ event: 'notification', id: message.data.id, data: JSON.stringify(message.data) }))
+          .catch(e => log.warn('EVENTS send failed:', { orgId, userId, err: String(e) }));
+        return;
+      }
+      // keep the order of changes even though the visibility check is async
+      sending = sending.then(async () => {
+        if (await visible(message)) await stream.writeSSE({ event: 'change', id: message.id, data: JSON.stringify(message) });
+      }).catch(e => log.warn('EVENTS send failed:', { orgId, userId, err: String(e) }));
+    });
+    log.log('EVENTS connected:', { orgId, userId });
+    await stream.writeSSE({ event: 'ready', data: JSON.stringify({ orgId }), retry: 3000 });
+    await new Promise(resolve => {
+      const keepalive = setInterval(() => stream.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+      stream.onAbort(() => {
+        clearInterval(keepalive);
+        off();
+        log.log('EVENTS disconnected:', { orgId, userId });
+        resolve();
+      });
+    });
+  });
+});
+
+// Delete project permanently; archiving is the reversible default, so this needs its own scope
+app.delete('/projects/:id', async c => {
+  const err = requireScope('projects:delete')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const project = await db.projects.get(id);
+  if (!project || project.orgId !== orgId) return json(c, { error: 'project not found' }, 404);
+  const denied = roleError(c, project, 'admin'); if (denied) return denied;
+  if (ifMatchFails(c, project)) return preconditionFailed(c, project);
+
+  // Delete all tasks in the project first
+  const projectTasks = await db.tasks.query({ orgId, projectId: id });
+  for (const task of projectTasks) {
+    await db.tasks.delete(task.id);
+    await comments.removeForTask(orgId, task.id);
+    await attachments.removeForTask(orgId, task.id);
+    await recordTaskChange(c, 'deleted', task, null);
+  }
+  // tasks in other projects may still be subtasks of, or blocked by, what was just deleted
+  for (const task of projectTasks) await detachDependents(c, orgId, task.id);
+  // trashed tasks of the project could not be restored anymore
+  for (const entry of await trash.list(orgId, { projectId: id })) {
+    await trash.remove(entry.id);
+    await comments.removeForTask(orgId, entry.id);
+    await attachments.removeForTask(orgId, entry.id);
+  }
+
+  await feeds.revokeProject(orgId, id);
+  await db.projects.delete(id);
+  await recordChange(c, 'project', 'deleted', project, null, PROJECT_TRACKED_FIELDS);
+  log.log('Project deleted:', { id, name: project.name, orgId, tasksDeleted: projectTasks.length });
+  return json(c, { message: 'Project and associated tasks deleted successfully' });
 });
 
 // Delete task
@@ -241,29 +1723,970 @@ app.delete('/tasks/:id', async c => {
   const id = c.req.param('id');
   const task = await db.tasks.get(id);
   if (!task || task.orgId !== orgId) return json(c, { error: 'task not found' }, 404);
+  const denied = await taskRoleError(c, task, 'editor', 'task not found'); if (denied) return denied;
+  if (ifMatchFails(c, task)) return preconditionFailed(c, task);
 
+  const entry = await trashTask(c, orgId, task);
   await db.tasks.delete(id);
+  await recordTaskChange(c, 'deleted', task, null);
+  await detachDependents(c, orgId, id);
   log.log('Task deleted:', { id, title: task.title, projectId: task.projectId, orgId });
-  return json(c, { message: 'Task deleted successfully' });
+  return json(c, { message: 'Task moved to trash', id, expiresAt: entry.expiresAt });
+});
+
+// Members
+app.get('/members', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const qp = c.req.query();
+  const q = (qp.q || '').toLowerCase();
+  const items = (await members.list(orgId))
+    .filter(m => (q ? [m.userId, m.name, m.email].filter(Boolean).join(' ').toLowerCase().includes(q) : true));
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'name', tiebreak: m => m.userId }, MEMBER_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  log.log('MEMBERS listed:', { orgId, count: page.items.length, query: q || 'all' });
+  return json(c, page);
+});
+
+// the caller's own record and org-level role, so clients can offer org admin actions only to org admins
+app.get('/members/me', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const member = await members.get(orgId, userId);
+  return json(c, { orgId, userId, orgRole: hasScope(c, 'admin:org') ? 'admin' : 'member', member });
+});
+
+const MEMBER_IMPORT_MAX = 1000;
+
+// POST /members/import { members: [{ userId, name?, email?, picture? }] }, e.g. from an IdP user export
+app.post('/members/import', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const { members: items } = await c.req.json().catch(() => ({}));
+  if (!Array.isArray(items) || !items.length) return json(c, { error: 'members must be a non-empty array' }, 400);
+  if (items.length > MEMBER_IMPORT_MAX) return json(c, { error: `at most ${MEMBER_IMPORT_MAX} members per request` }, 400);
+  const fields = {};
+  items.forEach((m, i) => {
+    if (!m || !isNonEmptyString(m.userId)) fields[`members[${i}].userId`] = 'must be a non-empty string';
+    for (const f of ['name', 'email', 'picture']) {
+      if (m?.[f] != null && typeof m[f] !== 'string') fields[`members[${i}].${f}`] = 'must be a string';
+    }
+  });
+  if (Object.keys(fields).length) return json(c, { error: 'validation failed', fields }, 400);
+
+  const result = await members.import(orgId, items);
+  return json(c, { ...result, unchanged: items.length - result.created - result.updated });
+});
+
+// Trash
+app.get('/trash', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const qp = c.req.query();
+  // serverless deployments have no purge timer, so expired entries are also dropped when read
+  await trash.purge({ orgId });
+  const visible = await visibleProjects(c, orgId);
+  const entries = (await trash.list(orgId, { projectId: qp.projectId })).filter(e => visible.has(e.projectId));
+  const page = paginate(entries, {
+    sort: qp.sort,
+    cursor: qp.cursor,
+    limit: qp.limit ? parseInt(qp.limit, 10) : undefined,
+    fallbackSort: 'deletedAt:desc',
+  }, { deletedAt: e => e.deletedAt, expiresAt: e => e.expiresAt });
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, { ...page, retentionDays: trash.retentionDays });
+});
+
+app.post('/trash/:id/restore', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  const entry = await trash.get(orgId, id);
+  if (!entry) return json(c, { error: 'not found in trash' }, 404);
+  const task = { ...entry.item };
+  const project = await getOrgProject(orgId, task.projectId);
+  if (!project) return json(c, { error: 'the task\'s project no longer exists' }, 409);
+  const denied = roleError(c, project, 'editor', 'not found in trash'); if (denied) return denied;
+  if (project.archivedAt) return projectArchived(c);
+
+  // links to tasks deleted in the meantime are dropped; a status removed from the workflow falls back to the initial one
+  const exists = async taskId => (await db.tasks.get(taskId))?.orgId === orgId;
+  if (task.parentTaskId && !(await exists(task.parentTaskId))) task.parentTaskId = null;
+  const blockedBy = [];
+  for (const blockerId of task.blockedBy || []) if (await exists(blockerId)) blockedBy.push(blockerId);
+  task.blockedBy = blockedBy;
+  const workflow = workflowOf(project);
+  if (!hasStatus(workflow, task.status)) task.status = workflow.initial;
+
+  task.updatedAt = new Date().toISOString();
+  task.version = (task.version || 0) + 1;
+  if (!(await db.tasks.setIfVersion(id, task, 0))) return json(c, { error: 'a task with this id already exists' }, 409);
+  await trash.remove(id);
+  await recordTaskChange(c, 'restored', null, task);
+
+  let relinked = 0;
+  for (const { before, after } of await links.reattach(orgId, id, entry.links || {})) {
+    after.updatedAt = new Date().toISOString();
+    if (await saveVersioned(db.tasks, after)) {
+      await recordTaskChange(c, 'updated', before, after);
+      relinked++;
+    } else log.warn('TASK relink conflict:', { id: after.id, restored: id });
+  }
+  log.log('Task restored:', { id, title: task.title, projectId: task.projectId, orgId, relinked });
+  return withEtag(c, await withRollup(orgId, task));
+});
+
+// Saved views
+// views only hold filters, so reading tasks is enough to keep your own; running one applies the runner's access
+const TASK_SORT_FIELDS = [...Object.keys(TASK_SORTS), 'status', 'relevance'];
+const viewRules = {
+  checkSort: sort => (parseSort(sort, Object.fromEntries(TASK_SORT_FIELDS.map(f => [f, true])))
+    ? null
+    : `must be one of ${TASK_SORT_FIELDS.join(', ')} with optional :asc or :desc`),
+  // compiling checks field values too (priority:huge, due<soon); nothing is matched yet
+  checkQuery: q => {
+    try {
+      compileQuery(parseQuery(q), { now: Date.now() });
+      return null;
+    } catch (e) {
+      if (e instanceof QueryError) return e.message;
+      throw e;
+    }
+  },
+};
+
+// a view the caller can see: their own or one shared with the org
+const getVisibleView = async (c, id) => {
+  const { orgId, userId } = getAuth(c);
+  const view = await db.views.get(id);
+  return view && view.orgId === orgId && (view.ownerId === userId || view.shared) ? view : null;
+};
+
+app.post('/views', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { changes, errors } = validateView(b, viewRules);
+  if (!('name' in b)) errors.name = 'is required';
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+
+  const now = new Date().toISOString();
+  const view = {
+    id: randomUUID(),
+    orgId,
+    ownerId: userId,
+    name: changes.name,
+    description: '',
+    filters: {},
+    sort: null,
+    shared: false,
+    ...changes,
+    createdAt: now,
+    updatedAt: now,
+    version: 1,
+  };
+  await db.views.set(view.id, view);
+  log.log('VIEW created:', { id: view.id, orgId, ownerId: userId, shared: view.shared });
+  return withEtag(c, view, 201);
+});
+
+// the caller's views and the ones shared with the org; mine=true leaves out other people's
+app.get('/views', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const qp = c.req.query();
+  const items = (await db.views.query({ orgId }))
+    .filter(v => v.ownerId === userId || (v.shared && qp.mine !== 'true'));
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'name', tiebreak: v => v.createdAt }, VIEW_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
+});
+
+app.get('/views/:id', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const view = await getVisibleView(c, c.req.param('id'));
+  if (!view) return json(c, { error: 'view not found' }, 404);
+  return withEtag(c, view);
+});
+
+app.patch('/views/:id', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { userId } = getAuth(c);
+  const id = c.req.param('id');
+  const view = await getVisibleView(c, id);
+  if (!view) return json(c, { error: 'view not found' }, 404);
+  if (view.ownerId !== userId) return json(c, { error: 'only the owner can change a view' }, 403);
+  if (ifMatchFails(c, view)) return preconditionFailed(c, view);
+
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { changes, errors } = validateView(b, viewRules);
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  if (!Object.keys(changes).length) return json(c, { error: 'no editable fields provided' }, 400);
+
+  Object.assign(view, changes);
+  view.updatedAt = new Date().toISOString();
+  if (!(await saveVersioned(db.views, view))) return preconditionFailed(c, await db.views.get(id));
+  log.log('VIEW updated:', { id, fields: Object.keys(changes) });
+  return withEtag(c, view);
+});
+
+// org admins can also remove views shared with the org
+app.delete('/views/:id', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { userId } = getAuth(c);
+  const id = c.req.param('id');
+  const view = await getVisibleView(c, id);
+  if (!view) return json(c, { error: 'view not found' }, 404);
+  if (view.ownerId !== userId && !hasScope(c, 'admin:org')) return json(c, { error: 'only the owner can delete a view' }, 403);
+  if (ifMatchFails(c, view)) return preconditionFailed(c, view);
+  await db.views.delete(id);
+  log.log('VIEW deleted:', { id, ownerId: view.ownerId, by: userId });
+  return json(c, { message: 'View deleted', id });
+});
+
+// run a view: GET /tasks with the view's filters and sort; paging (limit, cursor, offset) comes from the request
+app.get('/views/:id/tasks', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const view = await getVisibleView(c, c.req.param('id'));
+  if (!view) return json(c, { error: 'view not found' }, 404);
+  const { limit, cursor, offset } = c.req.query();
+  const paging = Object.fromEntries(Object.entries({ limit, cursor, offset }).filter(([, v]) => v != null));
+  return listTasks(c, { ...viewQuery(view), ...paging });
+});
+
+// Notifications: the caller's own inbox
+const NOTIFICATION_SORTS = {
+  createdAt: n => dateMs(n.createdAt),
+};
+
+app.get('/notifications', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  // serverless deployments have no scheduler timer, so due date reminders are also checked here
+  await notifyDue({ orgId });
+  const qp = c.req.query();
+  if (qp.type && !NOTIFICATION_TYPES.includes(qp.type)) {
+    return json(c, { error: 'validation failed', fields: { type: `must be one of ${NOTIFICATION_TYPES.join(', ')}` } }, 400);
+  }
+  const inbox = await notifications.list(orgId, userId);
+  const items = inbox
+    .filter(n => !qp.type || n.type === qp.type)
+    .filter(n => qp.unread !== 'true' || !n.readAt);
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'createdAt:desc', tiebreak: n => n.id }, NOTIFICATION_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, { ...page, unread: inbox.filter(n => !n.readAt).length });
+});
+
+app.get('/notifications/preferences', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  return json(c, await notifications.prefs(orgId, userId));
+});
+
+app.patch('/notifications/preferences', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { changes, errors } = validatePrefs(b);
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  return json(c, await notifications.updatePrefs(orgId, userId, changes));
+});
+
+// mark some notifications read ({ ids }), or all of them without a body
+app.post('/notifications/read', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => ({}));
+  if (b?.ids != null && (!Array.isArray(b.ids) || b.ids.some(id => typeof id !== 'string'))) {
+    return json(c, { error: 'validation failed', fields: { ids: 'must be an array of notification ids' } }, 400);
+  }
+  const updated = await notifications.markRead(orgId, userId, b?.ids ?? null);
+  return json(c, { updated });
+});
+
+app.post('/notifications/:id/read', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const id = c.req.param('id');
+  if (!(await notifications.get(orgId, userId, id))) return json(c, { error: 'notification not found' }, 404);
+  await notifications.markRead(orgId, userId, [id]);
+  return json(c, await notifications.get(orgId, userId, id));
+});
+
+// Webhooks
+// subscriptions see every event of the org, whatever the project roles, so managing them needs admin:org
+app.post('/webhooks', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object' || Array.isArray(b)) return json(c, { error: 'JSON object body required' }, 400);
+  const { changes, errors } = validateWebhook(b);
+  if (Object.keys(errors).length) return json(c, { error: 'validation failed', fields: errors }, 400);
+  return json(c, await webhooks.create(orgId, changes, { createdBy: userId }), 201);
+});
+
+app.get('/webhooks', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const qp = c.req.query();
+  const page = paginate(await webhooks.list(orgId), { ...pageOpts(qp), fallbackSort: 'createdAt', tiebreak: w => w.url }, WEBHOOK_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
+});
+
+app.get('/webhooks/:id', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const hook = await webhooks.get(orgId, c.req.param('id'));
+  if (!hook) return json(c, { error: 'webhook not found' }, 404);
+  return json(c, hook);
+});
+
+app.delete('/webhooks/:id', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  if (!(await webhooks.remove(orgId, id))) return json(c, { error: 'webhook not found' }, 404);
+  return json(c, { message: 'Webhook deleted', id });
+});
+
+// the last deliveries of a subscription, newest first by default, with every attempt
+app.get('/webhooks/:id/deliveries', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const id = c.req.param('id');
+  if (!(await webhooks.get(orgId, id))) return json(c, { error: 'webhook not found' }, 404);
+  const qp = c.req.query();
+  const items = (await webhooks.deliveries(orgId, id)).filter(d => !qp.status || d.status === qp.status);
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'createdAt:desc' }, DELIVERY_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
+});
+
+// send a ping event right away and answer with the delivery, including the receiver's status code
+app.post('/webhooks/:id/ping', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const delivery = await webhooks.ping(orgId, c.req.param('id'));
+  if (!delivery) return json(c, { error: 'webhook not found' }, 404);
+  return json(c, delivery);
+});
+
+/*
+ * Calendar feeds (tokens and ICS in calendar.js). A feed shows what its owner can see when it is
+ * read: org admin rights come from a token, so they do not count, and archived projects are left out.
+ */
+const FEED_HOST = new URL(env.API_BASE_URL).host;
+const feedView = feed => ({ ...feed, url: `${env.API_BASE_URL}/calendar/${feed.token}.ics` });
+
+// the open tasks with a due date that a feed covers, and their projects; null once its project is out of reach
+const feedTasks = async feed => {
+  const { orgId, userId, projectId } = feed;
+  const projects = new Map();
+  for (const p of await db.projects.query({ orgId })) {
+    if (!p.archivedAt && canSee(p, userId)) projects.set(p.id, { name: p.name, workflow: workflowOf(p) });
+  }
+  if (projectId && !projects.has(projectId)) return null;
+  const tasks = (await db.tasks.query(projectId ? { orgId, projectId } : { orgId, ownerId: userId }))
+    .filter(t => t.dueAt && projects.has(t.projectId) && !isClosedStatus(projects.get(t.projectId).workflow, t.status))
+    .sort((a, b) => dateMs(a.dueAt) - dateMs(b.dueAt));
+  return { tasks, projects };
+};
+
+// GET /calendar/:token.ics?type=event|todo, registered before the auth middleware
+const serveFeed = async c => {
+  const feed = await feeds.byToken(FEED_FILE.exec(c.req.param('file'))[1]);
+  const covered = feed && await feedTasks(feed);
+  if (!covered) return json(c, { error: 'calendar feed not found' }, 404);
+  await feeds.touch(feed);
+  const name = feed.projectId ? `Task Vantage: ${covered.projects.get(feed.projectId).name}` : 'Task Vantage: my tasks';
+  const type = c.req.query('type') === 'todo' ? 'todo' : 'event';
+  const body = renderCalendar({ name, tasks: covered.tasks, projects: covered.projects, type, host: FEED_HOST });
+  // calendar apps poll; an unchanged feed is not sent again
+  const headers = { ETag: `"${createHash('sha1').update(body).digest('base64url')}"`, 'Cache-Control': 'private, max-age=300' };
+  if (c.req.header('if-none-match') === headers.ETag) return c.body(null, 304, headers);
+  return c.body(body, 200, { ...headers, 'Content-Type': 'text/calendar; charset=utf-8' });
+};
+
+// your own feeds, with their URLs
+app.get('/calendar/feeds', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const qp = c.req.query();
+  const page = paginate((await feeds.list(orgId, userId)).map(feedView), { ...pageOpts(qp), fallbackSort: 'createdAt', tiebreak: f => f.id }, FEED_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
 });
 
-app.post('/admin/clear', async c => {
-  const err = requireScope('projects:write')(c); if (err) return err; // Require admin-level access
+// POST /calendar/feeds { projectId? }: your tasks, or a project's; returns the existing feed for the same scope
+app.post('/calendar/feeds', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const b = await c.req.json().catch(() => ({}));
+  const projectId = b?.projectId ?? null;
+  if (projectId !== null) {
+    if (!isNonEmptyString(projectId)) return json(c, { error: 'validation failed', fields: { projectId: 'must be a project id' } }, 400);
+    const project = await getOrgProject(orgId, projectId);
+    if (!project || !projectRole(c, project)) return json(c, { error: 'project not found' }, 404);
+    if (project.archivedAt) return projectArchived(c);
+    if (!canSee(project, userId)) return json(c, { error: 'calendar feeds only cover projects you are a member of or that are open to the organization' }, 403);
+  }
+  const result = await feeds.open(orgId, userId, projectId);
+  if (result.error) return json(c, { error: result.error }, 409);
+  return json(c, feedView(result.feed), result.created ? 201 : 200);
+});
+
+// revoke a feed: its URL stops working right away
+app.delete('/calendar/feeds/:id', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
 
   const { orgId, userId } = getAuth(c);
+  const id = c.req.param('id');
+  if (!(await feeds.revoke(orgId, userId, id))) return json(c, { error: 'calendar feed not found' }, 404);
+  return json(c, { message: 'Calendar feed deleted', id });
+});
+
+/*
+ * Export and import (formats in transfer.js). An import always creates records: every project,
+ * task and comment gets a new id, links between imported tasks follow the new ids, and the
+ * report's idMap tells which source id became which.
+ */
+const IMPORT_PREVIEW_SIZE = 20;
+
+// GET /export?format=json|csv&projectId=; without projectId, every project the caller can see
+app.get('/export', async c => {
+  const err = requireScope('tasks:read')(c) || requireScope('projects:read')(c); if (err) return err;
+
+  const { orgId } = getAuth(c);
+  const qp = c.req.query();
+  const format = qp.format || 'json';
+  if (!['json', 'csv'].includes(format)) return json(c, { error: 'format must be json or csv' }, 400);
+  let projects;
+  if (qp.projectId) {
+    const project = await getOrgProject(orgId, qp.projectId);
+    if (!project) return json(c, { error: 'project not found' }, 404);
+    const denied = roleError(c, project, 'viewer'); if (denied) return denied;
+    projects = [project];
+  } else {
+    const visible = await visibleProjects(c, orgId);
+    projects = (await db.projects.query({ orgId })).filter(p => visible.has(p.id));
+  }
+  const tasks = [];
+  const taskComments = new Map();
+  for (const p of projects.sort((a, b) => a.name.localeCompare(b.name))) {
+    const items = (await db.tasks.query({ orgId, projectId: p.id })).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const t of items) {
+      tasks.push(t);
+      const list = await comments.list(orgId, t.id);
+      if (list.length) taskComments.set(t.id, list.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+    }
+  }
+
+  const doc = exportDocument({ orgId, projects, tasks, comments: taskComments });
+  const stem = qp.projectId ? projects[0].name : orgId;
+  const name = `taskvantage-${stem}-${doc.exportedAt.slice(0, 10)}.${format}`;
+  const type = format === 'csv' ? 'text/csv' : 'application/json';
+  log.log('EXPORT:', { orgId, format, projects: projects.length, tasks: tasks.length });
+  return c.body(format === 'csv' ? exportCsv(doc) : JSON.stringify(doc, null, 2), 200, {
+    'Content-Type': `${type}; charset=utf-8`,
+    'Content-Disposition': dispositionOf({ name, type }, true),
+  });
+});
+
+// a status by id or by name, ignoring case, so spreadsheets can say "In Progress"
+const statusFor = (workflow, value) => {
+  const v = String(value).trim().toLowerCase();
+  return workflow.statuses.find(s => s.id === v || s.name.toLowerCase() === v || s.id === v.replace(/\s+/g, '_'))?.id;
+};
+
+// where a tracker's status category (see importers.js) goes when its status is not in the workflow
+const statusForCategory = (workflow, category) => {
+  if (category === 'done') return workflow.statuses.find(s => s.closed)?.id;
+  if (category === 'in_progress') return workflow.statuses.find(s => !s.closed && s.id !== workflow.initial)?.id ?? workflow.initial;
+  return category === 'todo' ? workflow.initial : undefined;
+};
+
+/**
+ * Import a source (see transfer.js) as `actor` ({ orgId, userId, client, orgAdmin, canCreateProjects }).
+ * With projectId every task goes into that project; otherwise into the source's projects, which are
+ * created (or, for CSV project names, matched by name). Invalid tasks are skipped and reported; an
+ * unknown owner falls back to the importing user and a dangling or cyclic link is dropped, both
+ * with a warning. Returns the report, or { error, status } when nothing can be imported.
+ *
+ * For sources from other trackers (importers.js), statusMap and ownerMap translate their status and
+ * user names; unmapped owners are matched to members by user id, email or name, and unmapped
+ * statuses by name, then by the status category. onProgress({ phase, done, total }) is awaited as
+ * records are saved.
+ */
+const importSource = async (actor, source, { projectId = null, dryRun = false, statusMap = {}, ownerMap = {}, onProgress = null } = {}) => {
+  const { orgId, userId } = actor;
+  const roleOn = p => effectiveRole(p, { userId, orgAdmin: actor.orgAdmin });
+  const now = new Date().toISOString();
+  const warnings = [...(source.warnings || [])];
+  const skipped = [];
+  const idMap = { projects: {}, tasks: {} };
+
+  // where each source project's tasks go
+  let target = null;
+  if (projectId) {
+    target = await getOrgProject(orgId, projectId);
+    if (!target || !roleOn(target)) return { error: 'project not found', status: 404 };
+    if (!roleAtLeast(roleOn(target), 'editor')) return { error: 'insufficient_role', status: 403 };
+    if (target.archivedAt) return { error: 'project is archived; restore it first', status: 409 };
+  }
+  const projectsByKey = new Map();
+  let newProjects = [];
+  if (!target) {
+    const existing = await db.projects.query({ orgId });
+    for (const p of source.projects) {
+      const match = p.byName && existing.find(x => !x.archivedAt && x.name.toLowerCase() === p.name.toLowerCase() && roleAtLeast(roleOn(x), 'editor'));
+      if (match) {
+        projectsByKey.set(p.key, match);
+        idMap.projects[p.key] = match.id;
+        continue;
+      }
+      if (!actor.canCreateProjects) continue;
+      const result = p.workflow ? normalizeWorkflow(p.workflow) : { workflow: null };
+      if (!result.workflow && p.workflow) warnings.push(`project ${p.name}: its workflow is invalid, so it gets the default one`);
+      const access = validateAccess(Object.fromEntries(['visibility', 'defaultRole'].filter(k => p[k] != null).map(k => [k, p[k]])));
+      const project = {
+        id: randomUUID(),
+        orgId,
+        name: p.name,
+        description: p.description || '',
+        workflow: workflowOf({ workflow: result.workflow }),
+        visibility: 'org',
+        defaultRole: 'editor',
+        ...(Object.keys(access.errors).length ? {} : access.changes),
+        members: withMember([], userId, 'admin', { actorId: userId, at: now }),
+        createdAt: now,
+        version: 1,
+      };
+      newProjects.push(project);
+      projectsByKey.set(p.key, project);
+      idMap.projects[p.key] = project.id;
+    }
+  }
+
+  // tasks, checked like POST /tasks; links come after, once every new id is known
+  const planned = [];
+  const taskIds = new Map();
+  const owners = new Map();
+  const directory = await members.list(orgId);
+  const same = (a, b) => !!a && a.toLowerCase() === String(b).toLowerCase();
+  const memberFor = name => directory.find(m => [m.userId, m.email, m.name, m.email?.split('@')[0]].some(v => same(v, name)))?.userId;
+  // statuses placed by category, reported once per project and status
+  const placed = new Map();
+  for (const src of source.tasks) {
+    const skip = (reason, fields) => skipped.push({ row: src.row, id: src.id ?? null, title: src.title ?? null, reason, ...(fields ? { fields } : {}) });
+    if (Object.keys(src.errors).length) { skip('invalid values', src.errors); continue; }
+    if (taskIds.has(src.key)) { skip(`duplicate id ${src.key}`); continue; }
+    const project = target || projectsByKey.get(src.projectKey);
+    if (!project) {
+      skip(src.projectKey == null
+        ? 'no project; map a project column or choose a project to import into'
+        : 'its project would be new, which needs the projects:write scope');
+      continue;
+    }
+    const fields = ['title', 'description', 'dueAt', 'tags', 'priority', 'estimate'].filter(k => src[k] !== undefined);
+    const { changes, errors } = validateTaskPatch(Object.fromEntries(fields.map(k => [k, src[k]])));
+    if (!('title' in changes) && !errors.title) errors.title = 'is required';
+    const workflow = workflowOf(project);
+    let status = src.status === undefined ? statusForCategory(workflow, src.statusCategory || 'todo') : statusFor(workflow, statusMap[src.status] ?? src.status);
+    if (!status && statusMap[src.status] == null && src.statusCategory) {
+      status = statusForCategory(workflow, src.statusCategory);
+      const key = `${project.id}\n${src.status}`;
+      if (status) placed.set(key, { project: project.name, from: src.status, to: status, count: (placed.get(key)?.count || 0) + 1 });
+    }
+    if (!status && src.status === undefined) errors.status = `${project.name} has no closed status`;
+    else if (!status) errors.status = `${statusMap[src.status] ?? src.status} is not a status of ${project.name}; use ${statusIds(workflow).join(', ')}`;
+    if (Object.keys(errors).length) { skip('validation failed', errors); continue; }
+
+    let ownerId = src.ownerId == null ? userId : ownerMap[src.ownerId] ?? src.ownerId;
+    if (!owners.has(ownerId)) owners.set(ownerId, (await ownerError(orgId, ownerId, userId)) ? memberFor(ownerId) ?? null : ownerId);
+    if (!owners.get(ownerId)) {
+      warnings.push(`row ${src.row}: ${ownerId} is not a member of this organization, so the task is assigned to you`);
+      ownerId = userId;
+    } else ownerId = owners.get(ownerId);
+    const task = {
+      id: randomUUID(),
+      orgId,
+      projectId: project.id,
+      title: changes.title,
+      description: changes.description ?? '',
+      ownerId,
+      dueAt: changes.dueAt ?? null,
+      status,
+      priority: changes.priority || DEFAULT_PRIORITY,
+      estimate: changes.estimate ?? null,
+      parentTaskId: null,
+      blockedBy: [],
+      tags: changes.tags || [],
+      commentCount: 0,
+      attachments: [],
+      recurrence: null,
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId,
+      version: 1,
+    };
+    if (src.recurrence != null) {
+      const result = normalizeRecurrence(src.recurrence);
+      if (result.error || !task.dueAt) warnings.push(`row ${src.row}: recurrence dropped (${result.error || 'needs dueAt'})`);
+      else startSeries(task, result.recurrence);
+    }
+    const texts = src.comments.filter(x => !textError(x.text));
+    if (texts.length < src.comments.length) warnings.push(`row ${src.row}: ${src.comments.length - texts.length} empty or too long comments dropped`);
+    task.commentCount = texts.length;
+    planned.push({ src, task, comments: texts });
+    taskIds.set(src.key, task.id);
+    if (src.id) idMap.tasks[src.id] = task.id;
+  }
+
+  for (const x of placed.values()) warnings.push(`status ${x.from} is not in ${x.project}, so ${x.count} tasks are in ${x.to}`);
+
+  // links resolve to an imported task or an existing one of the org; the check sees the other
+  // planned tasks through an overlay, so a cycle inside the file is caught in a dry run too
+  const overlay = new Map(planned.map(({ task }) => [task.id, task]));
+  const planLinks = createLinks({ get: async id => overlay.get(id) ?? db.tasks.get(id) }, { isClosed: isClosedTask });
+  const resolve = async key => taskIds.get(key) ?? ((await db.tasks.get(key))?.orgId === orgId ? key : null);
+  for (const { src, task } of planned) {
+    const proposed = {};
+    if (src.parentKey) {
+      const id = await resolve(src.parentKey);
+      if (id) proposed.parentTaskId = id;
+      else warnings.push(`row ${src.row}: parent ${src.parentKey} not found, link dropped`);
+    }
+    const blockers = [];
+    for (const key of src.blockerKeys) {
+      const id = await resolve(key);
+      if (id) blockers.push(id);
+      else warnings.push(`row ${src.row}: blocker ${key} not found, link dropped`);
+    }
+    if (blockers.length) proposed.blockedBy = [...new Set(blockers)];
+    const linkErrors = await planLinks.validate(orgId, task.id, proposed);
+    for (const [field, message] of Object.entries(linkErrors)) {
+      warnings.push(`row ${src.row}: ${field} dropped (${message})`);
+      delete proposed[field];
+    }
+    Object.assign(task, proposed);
+  }
+
+  // a new project is only created when some of its tasks are
+  const used = new Set(planned.map(x => x.task.projectId));
+  newProjects = newProjects.filter(p => used.has(p.id));
+  for (const [key, id] of Object.entries(idMap.projects)) if (!used.has(id)) delete idMap.projects[key];
+  const counts = { projects: newProjects.length, tasks: planned.length, comments: planned.reduce((n, x) => n + x.comments.length, 0) };
+  if (dryRun) {
+    const names = new Map([...newProjects, ...projectsByKey.values(), ...(target ? [target] : [])].map(p => [p.id, p.name]));
+    const preview = planned.slice(0, IMPORT_PREVIEW_SIZE).map(({ src, task }) => ({
+      row: src.row, title: task.title, project: names.get(task.projectId), status: task.status, ownerId: task.ownerId,
+    }));
+    return { dryRun, wouldCreate: counts, skipped, warnings, preview };
+  }
+
+  const progress = async (phase, done, total) => { if (onProgress) await onProgress({ phase, done, total }); };
+  for (const [i, project] of newProjects.entries()) {
+    await db.projects.set(project.id, project);
+    await recordEvent(actor, 'project', 'imported', null, project, PROJECT_TRACKED_FIELDS);
+    await progress('projects', i + 1, newProjects.length);
+  }
+  for (const [i, { task }] of planned.entries()) {
+    await db.tasks.set(task.id, task);
+    await recordEvent(actor, 'task', 'imported', null, task, TASK_TRACKED_FIELDS);
+    await progress('tasks', i + 1, planned.length);
+  }
+  // comment authors are kept as given unless they map to a member
+  const authorFor = id => (id ? ownerMap[id] ?? memberFor(id) ?? id : userId);
+  let commented = 0;
+  for (const { task, comments: list } of planned) {
+    const created = new Map();
+    for (const x of list) {
+      const at = normalizeDueAt(x.createdAt) || now;
+      const comment = await comments.create(orgId, task.id, { text: x.text, mentions: [], authorId: authorFor(x.authorId), parent: created.get(x.parentKey) || null, at });
+      created.set(x.key, comment);
+    }
+    if (list.length) await progress('comments', commented += list.length, counts.comments);
+  }
+  log.log('IMPORT:', { orgId, userId, ...counts, skipped: skipped.length, warnings: warnings.length });
+  return { dryRun, created: counts, skipped, warnings, idMap };
+};
+
+const importActor = c => ({ ...actorOf(c), orgAdmin: hasScope(c, 'admin:org'), canCreateProjects: hasScope(c, 'projects:write') });
+
+// POST /import { format: json|csv, data, mapping?, projectId?, dryRun? }
+app.post('/import', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object') return json(c, { error: 'body must be a JSON object' }, 400);
+  if (b.projectId != null && !isNonEmptyString(b.projectId)) return json(c, { error: 'validation failed', fields: { projectId: 'must be a project id' } }, 400);
+  const read = readImport(b);
+  if (read.error) return json(c, { error: read.error, ...(read.fields ? { fields: read.fields } : {}), ...(read.columns ? { columns: read.columns, mapping: read.mapping } : {}) }, 400);
+
+  const dryRun = b.dryRun === true || c.req.query('dryRun') === 'true';
+  const report = await importSource(importActor(c), read.source, { projectId: b.projectId ?? null, dryRun });
+  if (report.error) return json(c, { error: report.error }, report.status);
+  return json(c, { ...(read.columns ? { columns: read.columns, mapping: read.mapping } : {}), ...report });
+});
+
+/*
+ * Imports from other trackers (parsers in importers.js). A dry run answers right away; a real one
+ * becomes a job in the imports bucket that runImports() works through in the background, saving
+ * its progress as it goes. The file's parsed contents stay on the job until it has run, so any
+ * server can pick it up.
+ */
+// a running job that has not saved progress for this long lost its server and is failed, not rerun
+const IMPORT_STALE_MS = 120000;
+const IMPORT_PROGRESS_SAVE_MS = 1000;
+
+// jobs are returned without the parsed file and the importing principal
+const publicJob = ({ input, actor, ...job }) => job;
 
+const validateNameMap = (value, field, fields) => {
+  if (value == null) return {};
+  if (typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(v => !isNonEmptyString(v))) {
+    fields[field] = 'must map names to strings';
+    return {};
+  }
+  return value;
+};
+
+const finishImport = async (job, changes) => {
+  const at = new Date().toISOString();
+  Object.assign(job, { ...changes, input: null, finishedAt: at, updatedAt: at });
+  await saveVersioned(db.imports, job);
+  log.log('IMPORT job finished:', { id: job.id, orgId: job.orgId, status: job.status, error: job.error });
+};
+
+const runImport = async job => {
+  const started = new Date().toISOString();
+  const running = { ...job, status: 'running', startedAt: started, updatedAt: started, version: (job.version || 0) + 1 };
+  // another server may have claimed it first
+  if (!(await db.imports.setIfVersion(job.id, running, job.version || 0))) return false;
+  let savedAt = 0;
+  const onProgress = async progress => {
+    running.progress = progress;
+    if (Date.now() - savedAt < IMPORT_PROGRESS_SAVE_MS && progress.done < progress.total) return;
+    savedAt = Date.now();
+    running.updatedAt = new Date(savedAt).toISOString();
+    await saveVersioned(db.imports, running);
+  };
+  try {
+    const { projectId, statusMap, ownerMap } = running.options;
+    const report = await importSource(running.actor, running.input, { projectId, statusMap, ownerMap, onProgress });
+    await finishImport(running, report.error ? { status: 'failed', error: report.error } : { status: 'succeeded', report });
+  } catch (err) {
+    log.warn('IMPORT job failed:', { id: job.id, err: String(err) });
+    await finishImport(running, { status: 'failed', error: 'the import failed part way; check the projects it created before retrying' });
+  }
+  return true;
+};
+
+// run queued imports one at a time; run periodically by the server and after POST and GET /imports
+let importing = false;
+const runImports = async ({ now = Date.now() } = {}) => {
+  if (importing) return 0;
+  importing = true;
+  try {
+    for (const job of await db.imports.query({ status: 'running' })) {
+      if (now - dateMs(job.updatedAt) > IMPORT_STALE_MS) {
+        await finishImport(job, { status: 'failed', error: 'the import stopped before it finished; check the projects it created before retrying' });
+      }
+    }
+    let ran = 0;
+    const queued = (await db.imports.query({ status: 'queued' })).sort((a, b) => dateMs(a.createdAt) - dateMs(b.createdAt));
+    for (const job of queued) if (await runImport(job)) ran++;
+    return ran;
+  } finally {
+    importing = false;
+  }
+};
+const kickImports = () => { runImports().catch(err => log.warn('IMPORT run failed:', { err: String(err) })); };
+
+// POST /imports { source: jira|trello|github, data, format?, fileName?, projectId?, statusMap?, ownerMap?, dryRun? }
+app.post('/imports', async c => {
+  const err = requireScope('tasks:write')(c); if (err) return err;
+
+  const b = await c.req.json().catch(() => null);
+  if (!b || typeof b !== 'object') return json(c, { error: 'body must be a JSON object' }, 400);
+  const fields = {};
+  if (b.projectId != null && !isNonEmptyString(b.projectId)) fields.projectId = 'must be a project id';
+  if (b.fileName != null && typeof b.fileName !== 'string') fields.fileName = 'must be a string';
+  const statusMap = validateNameMap(b.statusMap, 'statusMap', fields);
+  const ownerMap = validateNameMap(b.ownerMap, 'ownerMap', fields);
+  if (Object.keys(fields).length) return json(c, { error: 'validation failed', fields }, 400);
+  const read = readTrackerExport(b.source, b.data, b.format ?? null);
+  if (read.error) return json(c, { error: read.error }, 400);
+
+  const actor = importActor(c);
+  const options = { projectId: b.projectId ?? null, statusMap, ownerMap };
+  if (b.dryRun === true || c.req.query('dryRun') === 'true') {
+    const report = await importSource(actor, read.source, { ...options, dryRun: true });
+    if (report.error) return json(c, { error: report.error }, report.status);
+    return json(c, { source: b.source, ...report });
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    orgId: actor.orgId,
+    source: b.source,
+    fileName: b.fileName?.slice(0, 255) || null,
+    status: 'queued',
+    progress: { phase: 'queued', done: 0, total: read.source.tasks.length },
+    options,
+    actor,
+    input: read.source,
+    report: null,
+    error: null,
+    createdBy: actor.userId,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now,
+    version: 1,
+  };
+  await db.imports.set(job.id, job);
+  log.log('IMPORT job queued:', { id: job.id, orgId: job.orgId, source: job.source, tasks: read.source.tasks.length });
+  kickImports();
+  c.header('Location', `/imports/${job.id}`);
+  return json(c, publicJob(job), 202);
+});
+
+// your own import jobs; admin:org sees the organization's
+app.get('/imports', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const qp = c.req.query();
+  kickImports();
+  const items = (await db.imports.query({ orgId }))
+    .filter(j => (hasScope(c, 'admin:org') || j.createdBy === userId) && (!qp.status || j.status === qp.status))
+    .map(publicJob);
+  const page = paginate(items, { ...pageOpts(qp), fallbackSort: 'createdAt:desc', tiebreak: j => j.id }, IMPORT_SORTS);
+  if (page.error) return json(c, { error: page.error }, 400);
+  return json(c, page);
+});
+
+app.get('/imports/:id', async c => {
+  const err = requireScope('tasks:read')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const job = await db.imports.get(c.req.param('id'));
+  if (!job || job.orgId !== orgId || (job.createdBy !== userId && !hasScope(c, 'admin:org'))) return json(c, { error: 'import not found' }, 404);
+  if (job.status === 'queued') kickImports();
+  return json(c, publicJob(job));
+});
+
+// Admin
+// admin:org resets the caller's organization and admin:super wipes every organization.
+// Both take { dryRun: true } (or ?dryRun=true) to report what would be deleted without deleting it.
+const ADMIN_BUCKETS = ['projects', 'tasks', 'history', 'trash', 'members', 'views', 'webhooks', 'deliveries', 'notifications', 'notificationPrefs', 'comments', 'imports', 'feeds'];
+
+const readDryRun = async c => {
+  const b = await c.req.json().catch(() => null);
+  return b?.dryRun === true || c.req.query('dryRun') === 'true';
+};
+
+app.post('/admin/reset', async c => {
+  const err = requireScope('admin:org')(c); if (err) return err;
+
+  const { orgId, userId } = getAuth(c);
+  const dryRun = await readDryRun(c);
+  const counts = {};
   try {
-    await db.projects.clear();
-    await db.tasks.clear();
+    for (const name of ADMIN_BUCKETS) {
+      const records = await db[name].query({ orgId });
+      counts[name] = records.length;
+      if (!dryRun) for (const record of records) await db[name].delete(record.id);
+    }
+    // attachment contents sit in the blob store, not in a bucket
+    if (!dryRun) await attachments.removeForOrg(orgId);
+  } catch (error) {
+    log.warn('ADMIN: Org reset failed', { userId, orgId, counts, error: String(error) });
+    return json(c, { error: 'Failed to reset organization', deleted: counts }, 500);
+  }
+
+  log.log(dryRun ? 'ADMIN: Org reset dry run' : 'ADMIN: Org reset', { userId, orgId, counts });
+  return json(c, { orgId, dryRun, [dryRun ? 'wouldDelete' : 'deleted']: counts });
+});
+
+app.post('/admin/wipe', async c => {
+  const err = requireScope('admin:super')(c); if (err) return err;
 
-    log.log('ADMIN: All data cleared', { userId, orgId });
-    return json(c, { message: 'All data cleared successfully' });
+  const { orgId, userId } = getAuth(c);
+  const dryRun = await readDryRun(c);
+  const counts = {};
+  const orgs = new Set();
+  try {
+    for (const name of ADMIN_BUCKETS) {
+      const records = await db[name].values();
+      counts[name] = records.length;
+      records.forEach(record => orgs.add(record.orgId));
+      if (!dryRun) await db[name].clear();
+    }
+    if (!dryRun) await attachments.clear();
   } catch (error) {
-    log.warn('ADMIN: Clear failed', { userId, orgId, error: String(error) });
-    return json(c, { error: 'Failed to clear data' }, 500);
+    log.warn('ADMIN: Wipe failed', { userId, orgId, error: String(error) });
+    return json(c, { error: 'Failed to wipe data' }, 500);
   }
+
+  log.log(dryRun ? 'ADMIN: Wipe dry run' : 'ADMIN: All data wiped', { userId, orgId, organizations: orgs.size, counts });
+  return json(c, { dryRun, organizations: orgs.size, [dryRun ? 'wouldDelete' : 'deleted']: counts });
 });
 
+// removes trash entries past the retention window in every org; run periodically by the server
+export const purgeExpiredTrash = () => trash.purge();
+
+// retries webhook deliveries whose backoff has passed in every org; run periodically by the server
+export const retryWebhookDeliveries = opts => webhooks.retryDue(opts);
+
+// creates the occurrences of recurring tasks whose day has started, in every org; run periodically by the server
+export const spawnScheduledOccurrences = opts => spawnScheduled(opts);
+
+// sends due date reminders in every org; run periodically by the server
+export const sendDueReminders = opts => notifyDue(opts);
+
+// start queued imports from other trackers
+export const runQueuedImports = opts => runImports(opts);
+
+// moves comments still embedded in tasks into the comments bucket; run once when the server starts.
+// Serverless deployments move a task's comments the first time a comment route touches it instead.
+export const migrateTaskComments = async () => {
+  let moved = 0;
+  for (const t of await db.tasks.values()) if (Array.isArray(t.comments) && await withCommentsMoved(t)) moved++;
+  if (moved) log.log('TASK comments migration:', { tasks: moved });
+  return moved;
+};
+
 export default function createApp() {
   return app;
 }
@@ -0,0 +1,97 @@
+import { randomUUID } from 'node:crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:attachments');
+
+const NAME_MAX_LENGTH = 255;
+
+// browsers send an empty or generic type for some files; the extension decides for these
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+const TYPES_BY_EXTENSION = {
+  txt: 'text/plain', log: 'text/plain', md: 'text/markdown', csv: 'text/csv', json: 'application/json',
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  pdf: 'application/pdf', zip: 'application/zip',
+};
+// shown in the browser when opened; everything else is always downloaded
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'];
+
+// text attachments can be read as text, e.g. by MCP clients
+export const isTextType = type => type.startsWith('text/') || type === 'application/json';
+
+// the last path segment, without control characters; never empty
+const cleanName = name => String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, NAME_MAX_LENGTH) || 'file';
+
+const typeOf = (declared, name) => {
+  const type = String(declared || '').split(';')[0].trim().toLowerCase();
+  if (!GENERIC_TYPES.includes(type)) return type;
+  const ext = /\.([a-z0-9]+)$/i.exec(name)?.[1].toLowerCase();
+  return TYPES_BY_EXTENSION[ext] || type || 'application/octet-stream';
+};
+
+const typeAllowed = (type, allowed) => allowed.some(a => a === type || (a.endsWith('/*') && type.startsWith(a.slice(0, -1))));
+
+/**
+ * Check an uploaded file (a File from a multipart body) against the limits. Returns
+ * { name, type, size } with the cleaned name and resolved MIME type, or { errors } keyed by field.
+ */
+export function validateUpload(file, { maxBytes, types }) {
+  if (!file || typeof file === 'string' || typeof file.arrayBuffer !== 'function') {
+    return { errors: { file: 'must be a file sent as multipart/form-data' } };
+  }
+  const name = cleanName(file.name);
+  const type = typeOf(file.type, name);
+  const errors = {};
+  if (file.size > maxBytes) errors.file = `must be at most ${maxBytes} bytes`;
+  else if (!file.size) errors.file = 'must not be empty';
+  if (!typeAllowed(type, types)) errors.type = `${type} is not accepted; use ${types.join(', ')}`;
+  return Object.keys(errors).length ? { errors } : { name, type, size: file.size };
+}
+
+// Content-Disposition for a download; `download` forces a save dialog for inline types too
+export const dispositionOf = (meta, download = false) => {
+  const kind = !download && INLINE_TYPES.includes(meta.type) ? 'inline' : 'attachment';
+  const fallback = meta.name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${kind}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(meta.name)}`;
+};
+
+/*
+ * Task attachments. Their metadata lives on the task, in `attachments`:
+ * { id, name, type, size, uploadedBy, uploadedAt }
+ * and their contents in the blob store (see createBlobStore in store.js) under
+ * `${orgId}/${taskId}/${id}`, so everything of a task can be removed by prefix.
+ */
+export function createAttachments(blobs) {
+  const keyOf = (orgId, taskId, id) => `${orgId}/${taskId}/${id}`;
+
+  return {
+    // stores the contents and returns the metadata to add to the task
+    async put(orgId, taskId, { name, type, size, bytes, uploadedBy }) {
+      const meta = { id: randomUUID(), name, type, size, uploadedBy, uploadedAt: new Date().toISOString() };
+      await blobs.put(keyOf(orgId, taskId, meta.id), bytes);
+      log.log('ATTACHMENT stored:', { orgId, taskId, id: meta.id, type, size, backend: blobs.backend });
+      return meta;
+    },
+
+    async read(orgId, taskId, id) {
+      return blobs.get(keyOf(orgId, taskId, id));
+    },
+
+    async remove(orgId, taskId, id) {
+      await blobs.delete(keyOf(orgId, taskId, id));
+      log.log('ATTACHMENT removed:', { orgId, taskId, id });
+    },
+
+    // drops the contents of every attachment of a task, e.g. once it is deleted for good
+    async removeForTask(orgId, taskId) {
+      await blobs.deletePrefix(`${orgId}/${taskId}`);
+    },
+
+    async removeForOrg(orgId) {
+      await blobs.deletePrefix(orgId);
+    },
+
+    async clear() {
+      await blobs.clear();
+    },
+  };
+}
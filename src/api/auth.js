@@ -85,6 +85,18 @@ export function getAuth(context) {
     return { userId, orgId, scopes, user };
 }
 
+// Display fields for the member directory: standard claims, or namespaced custom claims
+// (Auth0 access tokens only carry e.g. "https://example.com/email" when an Action adds them)
+export function getProfile(context) {
+    const { user } = getAuth(context);
+    const claim = name => {
+        if (typeof user[name] === 'string') return user[name];
+        const key = Object.keys(user).find(k => k.endsWith(`/${name}`) && typeof user[k] === 'string');
+        return key ? user[key] : null;
+    };
+    return { name: claim('name') || claim('nickname'), email: claim('email'), picture: claim('picture') };
+}
+
 // Optional helper to enforce scopes on mutating routes (no-op by default)
 export const requireScope = needed => c => {
     const { scopes } = getAuth(c);
@@ -0,0 +1,162 @@
+import { randomBytes, randomUUID } from 'node:crypto';
+import { toRRule } from './recurrence.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:calendar');
+
+// a feed read again within this window is not rewritten just to bump lastUsedAt
+const USED_THROTTLE_MS = 3600000;
+export const MAX_FEEDS_PER_USER = 20;
+// the token in a feed URL, as in /calendar/tvcal_….ics
+export const FEED_FILE = /^(tvcal_[A-Za-z0-9_-]{32})\.ics$/;
+
+/*
+ * Calendar feeds: ICS files of open tasks with due dates, for calendar apps to subscribe to.
+ *
+ * Calendar apps cannot send an access token, so a feed is read with the secret token in its URL.
+ * A feed belongs to one user and covers either their own tasks (projectId null) or one project's,
+ * always limited to what that user can see when it is read. Deleting a feed revokes its URL.
+ * Feeds: { id, orgId, userId, projectId, token, createdAt, lastUsedAt }
+ */
+export function createFeeds(bucket) {
+  return {
+    async list(orgId, userId) {
+      return (await bucket.query({ orgId, userId })).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    // a user has one feed per scope; asking again returns it. { feed, created } or { error }
+    async open(orgId, userId, projectId = null) {
+      const feeds = await this.list(orgId, userId);
+      const existing = feeds.find(f => f.projectId === projectId);
+      if (existing) return { feed: existing, created: false };
+      if (feeds.length >= MAX_FEEDS_PER_USER) return { error: `at most ${MAX_FEEDS_PER_USER} calendar feeds per user; delete one first` };
+      const feed = {
+        id: randomUUID(),
+        orgId,
+        userId,
+        projectId,
+        token: `tvcal_${randomBytes(24).toString('base64url')}`,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+      };
+      await bucket.set(feed.id, feed);
+      log.log('FEED created:', { id: feed.id, orgId, userId, projectId });
+      return { feed, created: true };
+    },
+
+    async byToken(token) {
+      return (await bucket.query({ token }))[0] || null;
+    },
+
+    async revoke(orgId, userId, id) {
+      const feed = await bucket.get(id);
+      if (!feed || feed.orgId !== orgId || feed.userId !== userId) return null;
+      await bucket.delete(id);
+      log.log('FEED revoked:', { id, orgId, userId });
+      return feed;
+    },
+
+    // a deleted project's feeds go with it
+    async revokeProject(orgId, projectId) {
+      for (const feed of await bucket.query({ orgId })) if (feed.projectId === projectId) await bucket.delete(feed.id);
+    },
+
+    async touch(feed, now = Date.now()) {
+      if (feed.lastUsedAt && now - new Date(feed.lastUsedAt).getTime() < USED_THROTTLE_MS) return;
+      await bucket.set(feed.id, { ...feed, lastUsedAt: new Date(now).toISOString() });
+    },
+  };
+}
+
+/*
+ * ICS rendering (RFC 5545). Tasks become VEVENTs, or VTODOs for to-do apps. A due time of exactly
+ * midnight UTC is taken as a date without a time (imports and date-only clients set those), which
+ * gives an all-day event.
+ */
+const EVENT_MINUTES = 30;
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const escapeText = s => String(s ?? '').replace(/\r/g, '').replace(/[\\;,]/g, m => `\\${m}`).replace(/\n/g, '\\n');
+const stamp = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const dateOnly = iso => iso.slice(0, 10).replace(/-/g, '');
+const isAllDay = iso => new Date(iso).toISOString().endsWith('T00:00:00.000Z');
+
+// lines longer than 75 octets continue on the next line after a space, never inside a character
+const fold = line => {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+};
+
+// the series' rule from this occurrence on, so COUNT does not start over
+const seriesRule = task => {
+  const rule = { ...task.recurrence };
+  if (rule.count != null) rule.count -= (task.seriesIndex || 1) - 1;
+  const rrule = toRRule(rule);
+  return isAllDay(task.dueAt) ? rrule.replace(/UNTIL=(\d{8})T\d{6}Z/, 'UNTIL=$1') : rrule;
+};
+
+function entry(task, { type, project, host }) {
+  const allDay = isAllDay(task.dueAt);
+  const lines = [
+    `DTSTAMP:${stamp(task.updatedAt || task.createdAt)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+  const description = [task.description, project && `Project: ${project.name}`].filter(Boolean).join('\n\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (task.tags?.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  if (type === 'todo') {
+    lines.unshift(`UID:${task.id}@${host}`);
+    lines.push(allDay ? `DUE;VALUE=DATE:${dateOnly(task.dueAt)}` : `DUE:${stamp(task.dueAt)}`);
+    lines.push(`STATUS:${project && task.status !== project.workflow.initial ? 'IN-PROCESS' : 'NEEDS-ACTION'}`);
+    lines.push(`PRIORITY:${PRIORITIES[task.priority] ?? 0}`);
+    return ['BEGIN:VTODO', ...lines, 'END:VTODO'];
+  }
+  // the latest occurrence of a series stands for the series, so the calendar shows the ones to come;
+  // when the next occurrence is created it takes over the same UID
+  const series = task.recurrence && !task.nextOccurrenceId && task.seriesId;
+  lines.unshift(`UID:${series ? `series-${task.seriesId}` : task.id}@${host}`);
+  if (allDay) {
+    const next = new Date(new Date(task.dueAt).getTime() + 86400000).toISOString();
+    lines.push(`DTSTART;VALUE=DATE:${dateOnly(task.dueAt)}`, `DTEND;VALUE=DATE:${dateOnly(next)}`);
+  } else {
+    lines.push(`DTSTART:${stamp(task.dueAt)}`, `DURATION:PT${EVENT_MINUTES}M`);
+  }
+  if (series) lines.push(`RRULE:${seriesRule(task)}`);
+  // a due date does not make anyone busy
+  lines.push('TRANSP:TRANSPARENT');
+  return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+/**
+ * An ICS calendar of `tasks` (open, with dueAt). `projects` maps project ids to { name, workflow };
+ * `type` is event or todo; `host` goes into UIDs. Returns the file's text with CRLF line ends.
+ */
+export function renderCalendar({ name, tasks, projects, type = 'event', host }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Task Vantage//Due dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...tasks.flatMap(t => entry(t, { type, project: projects.get(t.projectId), host })),
+    'END:VCALENDAR',
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
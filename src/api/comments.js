@@ -0,0 +1,137 @@
+import { randomUUID } from 'node:crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:comments');
+
+export const COMMENT_MAX_LENGTH = 10000;
+
+// validate comment text; returns an error message or null
+export const textError = text => {
+  if (typeof text !== 'string' || !text.trim()) return 'must be a non-empty string';
+  if (text.length > COMMENT_MAX_LENGTH) return `must be at most ${COMMENT_MAX_LENGTH} characters`;
+  return null;
+};
+
+/*
+ * Task comments, stored apart from their task.
+ *
+ * { id, orgId, taskId, parentId, authorId, text, mentions[], createdAt, updatedAt, editedAt, deletedAt, version }
+ *
+ * Threads are one level deep: parentId is null for a top-level comment and the id of a top-level
+ * comment for a reply; a reply to a reply joins the same thread. mentions holds the user ids
+ * @mentioned in the text. Deleting a comment that has replies keeps it as a placeholder
+ * (text null, deletedAt set) so the thread stays readable; the placeholder goes once its last
+ * reply is deleted.
+ */
+export function createComments(bucket) {
+  const threadOf = async (orgId, taskId, parentId) => (await bucket.query({ orgId, taskId })).filter(x => x.parentId === parentId);
+
+  return {
+    async get(orgId, taskId, id) {
+      const comment = await bucket.get(id);
+      return comment && comment.orgId === orgId && comment.taskId === taskId ? comment : null;
+    },
+
+    async list(orgId, taskId) {
+      return bucket.query({ orgId, taskId });
+    },
+
+    /**
+     * Top-level comments of a task, each with its replies (oldest first) and replyCount; deleted
+     * placeholders keep their place in the list.
+     */
+    async threads(orgId, taskId) {
+      const all = await bucket.query({ orgId, taskId });
+      const replies = new Map();
+      for (const x of all.filter(x => x.parentId)) replies.set(x.parentId, [...(replies.get(x.parentId) || []), x]);
+      return all.filter(x => !x.parentId).map(x => {
+        const thread = (replies.get(x.id) || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        return { ...x, replyCount: thread.length, replies: thread };
+      });
+    },
+
+    // `parent` is the comment replied to, if any; returns the new comment
+    async create(orgId, taskId, { text, mentions, authorId, parent = null, at = new Date().toISOString() }) {
+      const comment = {
+        id: randomUUID(),
+        orgId,
+        taskId,
+        parentId: parent ? parent.parentId || parent.id : null,
+        authorId,
+        text,
+        mentions,
+        createdAt: at,
+        updatedAt: at,
+        editedAt: null,
+        deletedAt: null,
+        version: 1,
+      };
+      await bucket.set(comment.id, comment);
+      log.log('COMMENT created:', { id: comment.id, taskId, parentId: comment.parentId, authorId, mentions: mentions.length });
+      return comment;
+    },
+
+    // returns the edited comment, or null when its version is no longer `comment.version`
+    async update(comment, { text, mentions }) {
+      const at = new Date().toISOString();
+      const next = { ...comment, text, mentions, updatedAt: at, editedAt: at, version: comment.version + 1 };
+      if (!(await bucket.setIfVersion(next.id, next, comment.version))) return null;
+      log.log('COMMENT edited:', { id: comment.id, taskId: comment.taskId });
+      return next;
+    },
+
+    // removes the comment, or blanks it while it has replies; returns the placeholder or null
+    async remove(comment) {
+      const { orgId, taskId } = comment;
+      if (!comment.parentId && (await threadOf(orgId, taskId, comment.id)).length) {
+        const at = new Date().toISOString();
+        const placeholder = { ...comment, text: null, mentions: [], updatedAt: at, deletedAt: at, version: comment.version + 1 };
+        await bucket.set(comment.id, placeholder);
+        log.log('COMMENT deleted:', { id: comment.id, taskId, kept: 'placeholder' });
+        return placeholder;
+      }
+      await bucket.delete(comment.id);
+      log.log('COMMENT deleted:', { id: comment.id, taskId });
+      // the last reply under a deleted comment takes the placeholder with it
+      const parent = comment.parentId && await bucket.get(comment.parentId);
+      if (parent?.deletedAt && !(await threadOf(orgId, taskId, parent.id)).length) await bucket.delete(parent.id);
+      return null;
+    },
+
+    // drops every comment of a task, e.g. once it is deleted for good; returns how many
+    async removeForTask(orgId, taskId) {
+      const all = await bucket.query({ orgId, taskId });
+      for (const x of all) await bucket.delete(x.id);
+      return all.length;
+    },
+
+    /**
+     * Move comments still embedded in a task document (from before comments had their own bucket)
+     * into the bucket. Returns the task without `comments` and with commentCount, or null when there
+     * was nothing to move; saving it is up to the caller.
+     */
+    async moveEmbedded(task) {
+      if (!Array.isArray(task.comments)) return null;
+      for (const c of task.comments) {
+        const at = c.createdAt || task.createdAt;
+        const id = c.id || randomUUID();
+        await bucket.set(id, {
+          id,
+          orgId: task.orgId,
+          taskId: task.id,
+          parentId: null,
+          authorId: c.authorId,
+          text: c.text,
+          mentions: [],
+          createdAt: at,
+          updatedAt: at,
+          editedAt: null,
+          deletedAt: null,
+          version: 1,
+        });
+      }
+      const { comments, ...rest } = task;
+      return { ...rest, commentCount: comments.length };
+    },
+  };
+}
@@ -15,6 +15,22 @@ export const API_PORT = int(process.env.API_PORT, 8787);
 export const API_BASE_URL = str(process.env.API_BASE_URL, `http://localhost:${API_PORT}`);
 export const API_DEFAULT_ORG = str(process.env.API_DEFAULT_ORG, 'demo-org');
 
+// deleted tasks stay restorable from the trash for this many days
+export const API_TRASH_RETENTION_DAYS = Math.max(int(process.env.API_TRASH_RETENTION_DAYS, 30), 1);
+
+// outbound webhooks: attempts per delivery, the first retry delay (doubled on each retry) and the request timeout
+export const API_WEBHOOK_MAX_ATTEMPTS = Math.max(int(process.env.API_WEBHOOK_MAX_ATTEMPTS, 6), 1);
+export const API_WEBHOOK_RETRY_BASE_SECONDS = Math.max(int(process.env.API_WEBHOOK_RETRY_BASE_SECONDS, 30), 1);
+export const API_WEBHOOK_TIMEOUT_MS = Math.max(int(process.env.API_WEBHOOK_TIMEOUT_MS, 10000), 100);
+
+// task attachments: the largest accepted file and the accepted MIME types (type/* accepts a whole family).
+// Where the files are kept is chosen by the store (API_ATTACHMENTS_DIR, see store.js)
+export const API_ATTACHMENT_MAX_BYTES = Math.max(int(process.env.API_ATTACHMENT_MAX_BYTES, 10 * 1024 * 1024), 1);
+export const API_ATTACHMENT_TYPES = str(
+    process.env.API_ATTACHMENT_TYPES,
+    'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,text/csv,application/json,application/zip',
+).split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+
 // Auth0 configuration (required for authentication)
 export const AUTH0_DOMAIN = str(process.env.AUTH0_DOMAIN);
 export const API_AUTH0_AUDIENCE = str(process.env.API_AUTH0_AUDIENCE);
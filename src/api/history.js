@@ -0,0 +1,73 @@
+import { randomUUID } from 'node:crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:history');
+
+// clients that identify themselves via the X-TV-Client header; anything else is a direct API call
+const KNOWN_CLIENTS = ['webapp', 'mcp', 'agent'];
+
+export const clientOf = c => {
+  const client = (c.req.header('x-tv-client') || '').toLowerCase();
+  return KNOWN_CLIENTS.includes(client) ? client : 'api';
+};
+
+// field-level diff between two versions of a record, limited to `fields`
+export function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Append-only activity log on top of a store bucket.
+ * Events: { id, orgId, entityType, entityId, action, changes[], actorId, client, at }
+ * `onRecord(event)` is called for every stored event, e.g. to send webhooks.
+ */
+export function createHistory(bucket, { onRecord } = {}) {
+  return {
+    // never fails the calling request; a missing history entry is logged instead
+    async record({ orgId, entityType, entityId, action, changes = [], actorId, client }) {
+      const event = {
+        id: randomUUID(),
+        orgId,
+        entityType,
+        entityId,
+        action,
+        changes,
+        actorId,
+        client,
+        at: new Date().toISOString(),
+      };
+      try {
+        await bucket.set(event.id, event);
+        log.log('HISTORY recorded:', { entityType, entityId, action, client });
+        await onRecord?.(event);
+      } catch (err) {
+        log.warn('HISTORY record failed:', { entityType, entityId, action, err: String(err) });
+      }
+      return event;
+    },
+
+    // oldest first, so a task's history reads top to bottom
+    async forEntity(orgId, entityType, entityId) {
+      return (await bucket.query({ orgId, entityId }))
+        .filter(e => e.entityType === entityType)
+        .sort((a, b) => a.at.localeCompare(b.at));
+    },
+
+    // newest first; from/to are Date bounds (inclusive)
+    async query(orgId, { from, to, entityType, entityId, actorId, action, client } = {}) {
+      const at = from || to ? { min: from ? from.getTime() : null, max: to ? to.getTime() : null } : null;
+      return (await bucket.query({ orgId, entityId, at }))
+        .filter(e => !entityType || e.entityType === entityType)
+        .filter(e => !actorId || e.actorId === actorId)
+        .filter(e => !action || e.action === action)
+        .filter(e => !client || e.client === client)
+        .sort((a, b) => b.at.localeCompare(a.at));
+    },
+  };
+}
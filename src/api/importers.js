@@ -0,0 +1,397 @@
+import { parseCsv, IMPORT_MAX_TASKS } from './transfer.js';
+
+/*
+ * Importers for other trackers' export files: Jira (CSV or XML), Trello (board JSON) and GitHub
+ * Issues (JSON from the REST API). Each turns a file into a source for the import (see transfer.js),
+ * with two additions:
+ * - project.workflow: statuses built from the tracker's, so they survive the move
+ * - task.statusCategory: todo, in_progress or done, which places the task when its status is
+ *   not in the target project's workflow, or when it has none (GitHub's open and closed)
+ * and source.warnings for what the file had but the import leaves out.
+ * Users are carried as the tracker knows them (display name, login); the import matches them to members.
+ */
+
+export const TRACKERS = ['jira', 'trello', 'github'];
+
+const DONE_NAMES = /^(done|closed|complete|completed|finished|resolved|shipped|released)\b/i;
+const MAX_STATUSES = 20;
+
+// a workflow status id from a tracker's status name
+const statusId = (name, taken) => {
+  let id = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 28) || 'status';
+  for (let n = 2; taken.has(id); n++) id = `${id.replace(/_\d+$/, '')}_${n}`;
+  taken.add(id);
+  return id;
+};
+
+/**
+ * A workflow from the tracker's statuses in order ({ name, closed }); null when there are none or
+ * too many, and the project gets the default workflow.
+ */
+const workflowFrom = statuses => {
+  if (!statuses.length || statuses.length > MAX_STATUSES) return null;
+  const taken = new Set();
+  const list = statuses.map(s => ({ id: statusId(s.name, taken), name: s.name, closed: s.closed }));
+  return { statuses: list, initial: (list.find(s => !s.closed) || list[0]).id, transitions: null };
+};
+
+// tracker priority names and priority labels (e.g. "priority: high", "P1")
+const PRIORITIES = [
+  [/^(highest|blocker|critical|urgent|p0)$/, 'urgent'],
+  [/^(high|major|p1)$/, 'high'],
+  [/^(medium|normal|p2)$/, 'medium'],
+  [/^(low|lowest|minor|trivial|p3|p4)$/, 'low'],
+];
+const priorityOf = name => {
+  const v = String(name || '').toLowerCase().replace(/^priority\s*[:/-]?\s*/, '').trim();
+  return PRIORITIES.find(([re]) => re.test(v))?.[1];
+};
+// a label that sets the priority is not kept as a tag
+const isPriorityLabel = name => /^(priority\s*[:/-]?\s*)?\w+$/i.test(name) && /priority|^p\d$/i.test(name) && !!priorityOf(name);
+
+const toIso = value => {
+  if (!value) return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? value : d.toISOString();
+};
+
+// the bits of HTML that Jira XML and GitHub bodies use, as plain text with line breaks
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+const decodeEntities = s => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+  const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+  return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+});
+const htmlToText = html => decodeEntities(String(html || '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<\/(p|div|li|h\d|pre|tr)>/gi, '\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const task = fields => ({
+  errors: {},
+  comments: [],
+  blockerKeys: [],
+  parentKey: null,
+  recurrence: undefined,
+  ...fields,
+});
+
+/*
+ * A small XML reader for Jira's RSS export: elements, attributes, text and CDATA. Returns the
+ * root { name, attrs, children, text } or { error }.
+ */
+const parseAttrs = s => Object.fromEntries([...s.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)]
+  .map(m => [m[1], decodeEntities(m[2] ?? m[3])]));
+
+function parseXml(text) {
+  const root = { name: '#root', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const re = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  for (const m of String(text).matchAll(re)) {
+    const top = stack[stack.length - 1];
+    if (m[1] !== undefined) top.text += m[1];
+    else if (m[2]) {
+      if (stack.length === 1 || top.name !== m[2]) return { error: `unexpected </${m[2]}>` };
+      stack.pop();
+    } else if (m[3]) {
+      const node = { name: m[3], attrs: parseAttrs(m[4] || ''), children: [], text: '' };
+      top.children.push(node);
+      if (!m[5]) stack.push(node);
+    } else if (m[6] !== undefined) top.text += decodeEntities(m[6]);
+  }
+  if (stack.length > 1) return { error: `<${stack[stack.length - 1].name}> is not closed` };
+  return { root };
+}
+
+const kids = (node, name) => (node?.children || []).filter(x => x.name === name);
+const kid = (node, name) => kids(node, name)[0];
+const textOf = (node, name) => kid(node, name)?.text.trim() || undefined;
+
+/*
+ * Jira
+ */
+const JIRA_CATEGORIES = { new: 'todo', 'to do': 'todo', indeterminate: 'in_progress', 'in progress': 'in_progress', done: 'done' };
+const jiraCategory = (category, status) => JIRA_CATEGORIES[String(category || '').toLowerCase()]
+  || (DONE_NAMES.test(status || '') ? 'done' : undefined);
+
+// Jira CSV dates look like 12/Mar/24 10:15 AM; anything else goes to Date
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const jiraDate = value => {
+  const m = /^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?:\s*([ap]m))?)?$/i.exec(String(value || '').trim());
+  if (!m) return toIso(value);
+  const month = MONTHS.indexOf(m[2].toLowerCase());
+  if (month < 0) return value;
+  let hours = Number(m[4] || 0);
+  if (m[6]) hours = (hours % 12) + (m[6].toLowerCase() === 'pm' ? 12 : 0);
+  const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+  return new Date(Date.UTC(year, month, Number(m[1]), hours, Number(m[5] || 0))).toISOString();
+};
+
+// statuses in the order Jira's categories suggest: to do, in progress, then done
+const jiraWorkflow = issues => {
+  const seen = new Map();
+  for (const x of issues) if (x.status && !seen.has(x.status)) seen.set(x.status, x.statusCategory);
+  const order = { todo: 0, undefined: 1, in_progress: 1, done: 2 };
+  return workflowFrom([...seen].sort((a, b) => order[a[1]] - order[b[1]]).map(([name, category]) => ({ name, closed: category === 'done' })));
+};
+
+// projects from the issues' project keys, with their own workflow each
+const jiraSource = (issues, warnings) => {
+  const projects = new Map();
+  for (const x of issues) {
+    if (!projects.has(x.projectKey)) projects.set(x.projectKey, { key: x.projectKey, name: x.projectName || x.projectKey, description: '', byName: true });
+  }
+  for (const p of projects.values()) {
+    p.workflow = jiraWorkflow(issues.filter(x => x.projectKey === p.key));
+  }
+  // parents can be given by issue id instead of key
+  const keyOfId = new Map(issues.filter(x => x.issueId).map(x => [x.issueId, x.key]));
+  for (const x of issues) {
+    if (x.parentKey && keyOfId.has(x.parentKey)) x.parentKey = keyOfId.get(x.parentKey);
+    delete x.issueId;
+    delete x.projectName;
+  }
+  return { source: { projects: [...projects.values()], tasks: issues, warnings } };
+};
+
+function readJiraCsv(text) {
+  const parsed = parseCsv(text);
+  if (parsed.error) return { error: `CSV could not be read: ${parsed.error}` };
+  const [headers = [], ...rows] = parsed.rows;
+  // Jira repeats a column for every label, comment, sprint and link
+  const cols = name => headers.reduce((acc, h, i) => (h.trim().toLowerCase() === name.toLowerCase() ? [...acc, i] : acc), []);
+  if (!cols('Summary').length || !cols('Issue key').length) return { error: 'not a Jira CSV export: it needs Summary and Issue key columns' };
+  const all = (cells, ...names) => names.flatMap(n => cols(n)).map(i => (cells[i] || '').trim()).filter(Boolean);
+  const one = (cells, ...names) => all(cells, ...names)[0];
+
+  const issues = rows.map((cells, i) => {
+    const status = one(cells, 'Status');
+    const priority = one(cells, 'Priority');
+    const estimate = one(cells, 'Custom field (Story Points)', 'Story Points', 'Custom field (Story point estimate)');
+    const x = task({
+      row: i + 2,
+      key: one(cells, 'Issue key'),
+      id: one(cells, 'Issue key'),
+      issueId: one(cells, 'Issue id'),
+      projectKey: one(cells, 'Project key') || one(cells, 'Project name') || 'JIRA',
+      projectName: one(cells, 'Project name'),
+      title: one(cells, 'Summary'),
+      description: one(cells, 'Description') || '',
+      status,
+      statusCategory: jiraCategory(one(cells, 'Status Category'), status),
+      priority: priorityOf(priority),
+      ownerId: one(cells, 'Assignee'),
+      dueAt: jiraDate(one(cells, 'Due date', 'Due Date')),
+      estimate: estimate !== undefined ? Number(estimate) : undefined,
+      tags: [...new Set(all(cells, 'Labels'))],
+      parentKey: one(cells, 'Parent', 'Parent id') || null,
+      blockerKeys: all(cells, 'Inward issue link (Blocks)'),
+      // date;author;text, the text may contain more semicolons
+      comments: all(cells, 'Comment').map((c, n) => {
+        const [at, author, ...rest] = c.split(';');
+        return rest.length
+          ? { key: `comment:${n}`, parentKey: null, authorId: author, text: rest.join(';'), createdAt: jiraDate(at) }
+          : { key: `comment:${n}`, parentKey: null, authorId: undefined, text: c, createdAt: undefined };
+      }),
+      blocks: all(cells, 'Outward issue link (Blocks)'),
+    });
+    if (estimate !== undefined && Number.isNaN(x.estimate)) x.errors.estimate = `${estimate} is not a number`;
+    return x;
+  });
+  // "X blocks Y" is written on X; the import wants it on Y
+  const byKey = new Map(issues.map(x => [x.key, x]));
+  for (const x of issues) {
+    for (const key of x.blocks) byKey.get(key)?.blockerKeys.push(x.key);
+    delete x.blocks;
+  }
+  return jiraSource(issues, []);
+}
+
+function readJiraXml(text) {
+  const parsed = parseXml(text);
+  if (parsed.error) return { error: `XML could not be read: ${parsed.error}` };
+  const channel = kid(kid(parsed.root, 'rss'), 'channel');
+  const items = kids(channel, 'item');
+  if (!channel || !items.length) return { error: 'not a Jira XML export: it needs <rss><channel><item> elements' };
+
+  const issues = items.map((item, i) => {
+    const key = textOf(item, 'key');
+    const status = textOf(item, 'status');
+    const project = kid(item, 'project');
+    const links = kids(kid(item, 'issuelinks'), 'issuelinktype').filter(t => /^blocks$/i.test(textOf(t, 'name') || ''));
+    const linked = dir => links.flatMap(t => kids(kid(t, dir), 'issuelink').map(l => textOf(l, 'issuekey')).filter(Boolean));
+    const assignee = kid(item, 'assignee');
+    const points = kids(kid(item, 'customfields'), 'customfield').find(f => /story point/i.test(textOf(f, 'customfieldname') || ''));
+    const estimate = textOf(kid(points, 'customfieldvalues'), 'customfieldvalue');
+    const x = task({
+      row: i + 1,
+      key,
+      id: key,
+      projectKey: project?.attrs.key || project?.text.trim() || 'JIRA',
+      projectName: project?.text.trim(),
+      title: textOf(item, 'summary') || textOf(item, 'title'),
+      description: htmlToText(kid(item, 'description')?.text),
+      status,
+      statusCategory: jiraCategory(kid(item, 'statusCategory')?.attrs.key, status),
+      priority: priorityOf(textOf(item, 'priority')),
+      // unassigned issues have username -1
+      ownerId: assignee && assignee.attrs.username !== '-1' ? assignee.attrs.username || assignee.text.trim() || undefined : undefined,
+      dueAt: toIso(textOf(item, 'due')),
+      estimate: estimate !== undefined ? Number(estimate) : undefined,
+      tags: kids(kid(item, 'labels'), 'label').map(l => l.text.trim()).filter(Boolean),
+      parentKey: textOf(item, 'parent') || null,
+      blockerKeys: linked('inwardlinks'),
+      comments: kids(kid(item, 'comments'), 'comment').map((c, n) => ({
+        key: c.attrs.id || `comment:${n}`,
+        parentKey: null,
+        authorId: c.attrs.author,
+        text: htmlToText(c.text),
+        createdAt: toIso(c.attrs.created),
+      })),
+      blocks: linked('outwardlinks'),
+    });
+    if (estimate !== undefined && Number.isNaN(x.estimate)) x.errors.estimate = `${estimate} is not a number`;
+    return x;
+  });
+  const byKey = new Map(issues.map(x => [x.key, x]));
+  for (const x of issues) {
+    for (const key of x.blocks) if (!byKey.get(key)?.blockerKeys.includes(x.key)) byKey.get(key)?.blockerKeys.push(x.key);
+    delete x.blocks;
+  }
+  return jiraSource(issues, []);
+}
+
+/*
+ * Trello: a board's JSON export. Lists become statuses, cards tasks; archived lists and cards are
+ * left out. Checklists are appended to the description as task lists.
+ */
+function readTrello(data) {
+  const board = typeof data === 'string' ? safeJson(data) : data;
+  if (!isObject(board) || !Array.isArray(board.cards) || !Array.isArray(board.lists)) return { error: 'not a Trello board export: it needs cards and lists' };
+  const badList = board.lists.findIndex(l => !isObject(l) || typeof l.id !== 'string' || typeof l.name !== 'string');
+  if (badList !== -1) return { error: `not a Trello board export: list ${badList + 1} needs an id and a name` };
+  const warnings = [];
+  const lists = board.lists.filter(l => !l.closed).sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0));
+  const listById = new Map(lists.map(l => [l.id, l]));
+  const members = new Map(objects(board.members).map(m => [m.id, m.username || m.fullName || m.id]));
+  const checklists = new Map();
+  for (const cl of objects(board.checklists)) checklists.set(cl.idCard, [...(checklists.get(cl.idCard) || []), cl]);
+  const comments = new Map();
+  for (const a of objects(board.actions).filter(a => a.type === 'commentCard' && a.data?.card?.id)) {
+    const list = comments.get(a.data.card.id) || [];
+    list.push({ key: a.id, parentKey: null, authorId: a.memberCreator?.username || members.get(a.idMemberCreator), text: a.data.text, createdAt: toIso(a.date) });
+    comments.set(a.data.card.id, list);
+  }
+
+  // a card that is not an object is a row that fails, like a task that is not one in a JSON import
+  const broken = board.cards.flatMap((c, i) => (isObject(c) ? [] : [i + 1]));
+  const cards = board.cards.filter(c => isObject(c) && !c.closed && listById.has(c.idList));
+  const left = board.cards.length - cards.length - broken.length;
+  if (left) warnings.push(`${left} archived cards or cards in archived lists were left out`);
+  const category = list => (DONE_NAMES.test(list.name) ? 'done' : list === lists[0] ? 'todo' : 'in_progress');
+  const key = board.id || 'trello';
+  const listIndex = new Map(lists.map((l, i) => [l.id, i]));
+
+  // board order: list by list, top to bottom
+  const tasks = cards.sort((a, b) => listIndex.get(a.idList) - listIndex.get(b.idList) || (a.pos ?? 0) - (b.pos ?? 0)).map((c, i) => {
+    const list = listById.get(c.idList);
+    const labels = objects(c.labels).map(l => l.name || l.color).filter(l => typeof l === 'string' && l);
+    const owners = (Array.isArray(c.idMembers) ? c.idMembers : []).filter(id => typeof id === 'string').map(id => members.get(id) || id);
+    if (owners.length > 1) warnings.push(`card ${c.name}: ${owners.length} members, assigned to the first (${owners[0]})`);
+    const checks = (checklists.get(c.id) || []).map(cl => [`**${cl.name}**`, ...objects(cl.checkItems)
+      .sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0))
+      .map(item => `- [${item.state === 'complete' ? 'x' : ' '}] ${item.name}`)].join('\n'));
+    // oldest first; the export lists actions newest first
+    const cardComments = (comments.get(c.id) || []).reverse();
+    return task({
+      row: i + 1,
+      key: c.id,
+      id: c.id,
+      projectKey: key,
+      title: c.name,
+      description: [typeof c.desc === 'string' ? c.desc : '', ...checks].filter(Boolean).join('\n\n'),
+      status: list.name,
+      statusCategory: category(list),
+      priority: labels.map(priorityOf).find(Boolean),
+      ownerId: owners[0],
+      dueAt: toIso(c.due),
+      tags: labels.filter(l => !isPriorityLabel(l)),
+      comments: cardComments,
+    });
+  });
+  tasks.push(...broken.map((n, i) => task({ row: tasks.length + i + 1, key: `card:${n}`, errors: { card: `card ${n} is not an object` } })));
+  const workflow = workflowFrom(lists.map(l => ({ name: l.name, closed: DONE_NAMES.test(l.name) })));
+  return { source: { projects: [{ key, name: typeof board.name === 'string' && board.name.trim() ? board.name : 'Trello board', description: typeof board.desc === 'string' ? board.desc : '', workflow, byName: true }], tasks, warnings } };
+}
+
+/*
+ * GitHub Issues: the JSON of GET /repos/{owner}/{repo}/issues (all pages in one array), or
+ * { issues, comments } with the JSON of GET /repos/{owner}/{repo}/issues/comments beside it.
+ * Pull requests, which the issues API lists too, are left out.
+ */
+function readGithub(data) {
+  const doc = typeof data === 'string' ? safeJson(data) : data;
+  const list = Array.isArray(doc) ? doc : doc?.issues;
+  if (!Array.isArray(list)) return { error: 'not a GitHub issues export: it needs an array of issues' };
+  const bad = list.findIndex(x => !isObject(x) || !Number.isInteger(x.number));
+  if (bad !== -1) return { error: `not a GitHub issues export: issue ${bad + 1} is not an object with a number` };
+  const warnings = [];
+  const issues = list.filter(x => !x.pull_request);
+  if (issues.length < list.length) warnings.push(`${list.length - issues.length} pull requests were left out`);
+  const comments = new Map();
+  for (const c of objects(doc?.comments)) {
+    const number = Number(/\/issues\/(\d+)$/.exec(c.issue_url || '')?.[1]);
+    if (number) comments.set(number, [...(comments.get(number) || []), c]);
+  }
+  const repo = /\/repos\/([^/]+\/[^/]+)$/.exec(issues[0]?.repository_url || '')?.[1] || 'GitHub issues';
+  const readComment = c => ({ key: String(c.id), parentKey: null, authorId: c.user?.login, text: c.body, createdAt: toIso(c.created_at) });
+
+  const tasks = issues.sort((a, b) => a.number - b.number).map((x, i) => {
+    const labels = (Array.isArray(x.labels) ? x.labels : []).map(l => (isObject(l) ? l.name : l)).filter(l => typeof l === 'string' && l);
+    const assignees = objects(x.assignees?.length ? x.assignees : [x.assignee]).filter(a => typeof a.login === 'string');
+    const own = Array.isArray(x.comments) ? objects(x.comments) : comments.get(x.number) || [];
+    return task({
+      row: i + 1,
+      key: `#${x.number}`,
+      id: `#${x.number}`,
+      projectKey: repo,
+      title: x.title,
+      description: x.body || '',
+      // open and closed are categories more than statuses; the workflow's decide where they go
+      statusCategory: x.state === 'closed' ? 'done' : 'todo',
+      priority: labels.map(priorityOf).find(Boolean),
+      ownerId: assignees[0]?.login,
+      // issues have no due date of their own; their milestone's is the closest
+      dueAt: isObject(x.milestone) ? toIso(x.milestone.due_on) : undefined,
+      tags: labels.filter(l => !isPriorityLabel(l)),
+      comments: own.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))).map(readComment),
+    });
+  });
+  return { source: { projects: [{ key: repo, name: repo, description: '', workflow: null, byName: true }], tasks, warnings } };
+}
+
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+// the objects of an optional array in an export; anything else in it is left out
+const objects = list => (Array.isArray(list) ? list.filter(isObject) : []);
+
+function safeJson(text) {
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+/**
+ * Read a tracker's export file. `format` tells Jira CSV from XML and is guessed from the content
+ * when missing. Returns { source } or { error }.
+ */
+export function readTrackerExport(tracker, data, format) {
+  if (!TRACKERS.includes(tracker)) return { error: `source must be one of ${TRACKERS.join(', ')}` };
+  if (typeof data !== 'string' && (tracker === 'jira' || data == null)) return { error: 'data must be the file contents' };
+  if (format != null && !(tracker === 'jira' && ['csv', 'xml'].includes(format))) return { error: 'format is only for Jira: csv or xml' };
+  let result;
+  if (tracker === 'jira') result = (format ? format === 'xml' : data.trimStart().startsWith('<')) ? readJiraXml(data) : readJiraCsv(data);
+  else result = tracker === 'trello' ? readTrello(data) : readGithub(data);
+  if (result.source && result.source.tasks.length > IMPORT_MAX_TASKS) return { error: `at most ${IMPORT_MAX_TASKS} tasks per import` };
+  return result;
+}
@@ -1,8 +1,41 @@
 import { serve } from '@hono/node-server';
 import * as env from './env.js';
-import createApp from './app.js';
+import createApp, { migrateTaskComments, purgeExpiredTrash, retryWebhookDeliveries, runQueuedImports, sendDueReminders, spawnScheduledOccurrences } from './app.js';
 
 const app = createApp();
 
 serve({ port: env.API_PORT, fetch: app.fetch });
 console.log(`Task Vantage API listening on ${env.API_BASE_URL}`);
+
+// comments used to be stored inside their task; move any that still are
+migrateTaskComments().catch(err => console.warn('Comment migration failed:', String(err)));
+
+// hourly trash purge; serverless deployments rely on GET /trash purging the caller's org instead
+const TRASH_PURGE_INTERVAL_MS = 3600000;
+setInterval(() => {
+  purgeExpiredTrash().catch(err => console.warn('Trash purge failed:', String(err)));
+}, TRASH_PURGE_INTERVAL_MS).unref();
+
+// failed webhook deliveries are retried once their backoff has passed
+const WEBHOOK_RETRY_INTERVAL_MS = 5000;
+setInterval(() => {
+  retryWebhookDeliveries().catch(err => console.warn('Webhook retry failed:', String(err)));
+}, WEBHOOK_RETRY_INTERVAL_MS).unref();
+
+// recurring tasks get their next occurrence once its due day starts, even if the current one is still open
+const RECURRENCE_INTERVAL_MS = 60000;
+setInterval(() => {
+  spawnScheduledOccurrences().catch(err => console.warn('Recurring task run failed:', String(err)));
+}, RECURRENCE_INTERVAL_MS).unref();
+
+// due date reminders go out within a minute of a task entering its owner's reminder window
+const REMINDER_INTERVAL_MS = 60000;
+setInterval(() => {
+  sendDueReminders().catch(err => console.warn('Due date reminders failed:', String(err)));
+}, REMINDER_INTERVAL_MS).unref();
+
+// imports are started when they are queued; this picks up the ones queued on a server that stopped
+const IMPORT_INTERVAL_MS = 5000;
+setInterval(() => {
+  runQueuedImports().catch(err => console.warn('Import run failed:', String(err)));
+}, IMPORT_INTERVAL_MS).unref();
@@ -0,0 +1,169 @@
+/*
+ * Task relationships: subtasks (parentTaskId) and dependencies (blockedBy).
+ *
+ * Links are stored on the dependent task only; the reverse direction (a parent's subtasks,
+ * the tasks a task blocks) is read through the parentTaskId and blockedBy indexes.
+ * `isClosed(task)` decides whether a task is finished, which depends on its project's workflow.
+ */
+
+export function createLinks(bucket, { isClosed }) {
+  const closedFlags = tasks => Promise.all(tasks.map(isClosed));
+
+  // org-scoped loader with a per-call cache so graph walks read each task once
+  const loader = orgId => {
+    const cache = new Map();
+    return async id => {
+      if (!cache.has(id)) {
+        const t = await bucket.get(id);
+        cache.set(id, t && t.orgId === orgId ? t : null);
+      }
+      return cache.get(id);
+    };
+  };
+
+  // true when `start` can reach `target` by following `next` (depth-first, cycle safe)
+  async function reaches(load, start, target, next) {
+    const seen = new Set();
+    const stack = [start];
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === target) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const t = await load(id);
+      if (t) stack.push(...next(t));
+    }
+    return false;
+  }
+
+  return {
+    /**
+     * Validate proposed links for `taskId` (null for a task that does not exist yet).
+     * Only the keys present in `changes` are checked. Returns errors keyed by field.
+     */
+    async validate(orgId, taskId, changes) {
+      const load = loader(orgId);
+      const errors = {};
+
+      if (changes.parentTaskId) {
+        const parentId = changes.parentTaskId;
+        if (parentId === taskId) errors.parentTaskId = 'a task cannot be its own parent';
+        else if (!(await load(parentId))) errors.parentTaskId = `task ${parentId} not found`;
+        else if (taskId && await reaches(load, parentId, taskId, t => (t.parentTaskId ? [t.parentTaskId] : []))) {
+          errors.parentTaskId = 'would create a cycle: the parent is already a subtask of this task';
+        }
+      }
+
+      if (changes.blockedBy?.length) {
+        for (const blockerId of changes.blockedBy) {
+          if (blockerId === taskId) { errors.blockedBy = 'a task cannot block itself'; break; }
+          if (!(await load(blockerId))) { errors.blockedBy = `task ${blockerId} not found`; break; }
+          if (taskId && await reaches(load, blockerId, taskId, t => t.blockedBy || [])) {
+            errors.blockedBy = `would create a cycle: ${blockerId} is already blocked by this task`;
+            break;
+          }
+        }
+      }
+      return errors;
+    },
+
+    // blockers of `task` that are not closed yet
+    async openBlockers(orgId, task) {
+      const load = loader(orgId);
+      const blockers = (await Promise.all((task.blockedBy || []).map(load))).filter(Boolean);
+      const closed = await closedFlags(blockers);
+      return blockers.filter((t, i) => !closed[i]);
+    },
+
+    // derived counts returned alongside a task; never stored
+    async rollup(orgId, task) {
+      const [subtasks, blockers] = await Promise.all([
+        bucket.query({ orgId, parentTaskId: task.id }),
+        this.openBlockers(orgId, task),
+      ]);
+      return {
+        subtasks: subtasks.length,
+        subtasksDone: (await closedFlags(subtasks)).filter(Boolean).length,
+        openBlockers: blockers.map(t => t.id),
+      };
+    },
+
+    // parent, subtasks, blockers and the tasks this one blocks, each flagged with `closed`
+    async graph(orgId, task) {
+      const load = loader(orgId);
+      const [parent, subtasks, blocks, blockedBy] = await Promise.all([
+        task.parentTaskId ? load(task.parentTaskId) : null,
+        bucket.query({ orgId, parentTaskId: task.id }),
+        bucket.query({ orgId, blockedBy: task.id }),
+        Promise.all((task.blockedBy || []).map(load)),
+      ]);
+      const flag = async list => {
+        const closed = await closedFlags(list);
+        return list.map((t, i) => ({ ...t, closed: closed[i] }));
+      };
+      return {
+        parent: parent ? (await flag([parent]))[0] : null,
+        subtasks: await flag(subtasks),
+        blockedBy: await flag(blockedBy.filter(Boolean)),
+        blocks: await flag(blocks),
+      };
+    },
+
+    /**
+     * Tasks that still point at `taskId` once it is gone, with the reference removed:
+     * subtasks are detached from their parent and the id is dropped from blockedBy lists.
+     * Returns [{ before, after }] for the caller to save and record.
+     */
+    async dependents(orgId, taskId) {
+      const [children, blocked] = await Promise.all([
+        bucket.query({ orgId, parentTaskId: taskId }),
+        bucket.query({ orgId, blockedBy: taskId }),
+      ]);
+      const byId = new Map();
+      for (const t of [...children, ...blocked]) {
+        const entry = byId.get(t.id) || { before: { ...t }, after: t };
+        if (entry.after.parentTaskId === taskId) entry.after.parentTaskId = null;
+        entry.after.blockedBy = (entry.after.blockedBy || []).filter(id => id !== taskId);
+        byId.set(t.id, entry);
+      }
+      return [...byId.values()];
+    },
+
+    // ids of the tasks that point at `taskId`: its subtasks and the tasks it blocks
+    async inbound(orgId, taskId) {
+      const [children, blocked] = await Promise.all([
+        bucket.query({ orgId, parentTaskId: taskId }),
+        bucket.query({ orgId, blockedBy: taskId }),
+      ]);
+      return { subtasks: children.map(t => t.id), blocks: blocked.map(t => t.id) };
+    },
+
+    /**
+     * Inverse of dependents() for a restored task: point the tasks listed in `inbound` back at
+     * `taskId`. Tasks that are gone, found another parent, or would form a cycle are skipped.
+     * Returns [{ before, after }] for the caller to save and record.
+     */
+    async reattach(orgId, taskId, { subtasks = [], blocks = [] } = {}) {
+      const load = loader(orgId);
+      const byId = new Map();
+      const entryFor = t => {
+        if (!byId.has(t.id)) byId.set(t.id, { before: { ...t }, after: t });
+        return byId.get(t.id);
+      };
+
+      for (const id of subtasks) {
+        const t = await load(id);
+        if (!t || t.parentTaskId) continue;
+        if (await reaches(load, taskId, id, x => (x.parentTaskId ? [x.parentTaskId] : []))) continue;
+        entryFor(t).after.parentTaskId = taskId;
+      }
+      for (const id of blocks) {
+        const t = await load(id);
+        if (!t || (t.blockedBy || []).includes(taskId)) continue;
+        if (await reaches(load, taskId, id, x => x.blockedBy || [])) continue;
+        entryFor(t).after.blockedBy = [...(t.blockedBy || []), taskId];
+      }
+      return [...byId.values()];
+    },
+  };
+}
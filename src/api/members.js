@@ -0,0 +1,105 @@
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:members');
+
+// a member seen again within this window is not rewritten just to bump lastSeenAt
+const SEEN_THROTTLE_MS = 3600000;
+const PROFILE_FIELDS = ['name', 'email', 'picture'];
+
+/*
+ * Org member directory.
+ *
+ * Members are added when a user first calls the API (from the access token's claims) or through
+ * an import. One record per org and user: { id, orgId, userId, name, email, picture, source,
+ * firstSeenAt, lastSeenAt }, where source is 'token' or 'import'.
+ */
+export function createMembers(bucket) {
+  const keyOf = (orgId, userId) => `${orgId}:${userId}`;
+
+  // profile fields that are set and differ from the stored ones
+  const profileChanges = (member, profile) => Object.fromEntries(
+    PROFILE_FIELDS.filter(f => typeof profile[f] === 'string' && profile[f] && profile[f] !== member?.[f]).map(f => [f, profile[f]]),
+  );
+
+  return {
+    async get(orgId, userId) {
+      return bucket.get(keyOf(orgId, userId));
+    },
+
+    async list(orgId) {
+      return bucket.query({ orgId });
+    },
+
+    // the caller always counts, even before they are in the directory (e.g. the no-auth user);
+    // anyone else must have a member record
+    async isKnown(orgId, userId, callerId) {
+      if (userId === callerId) return true;
+      return !!(await bucket.get(keyOf(orgId, userId)));
+    },
+
+    // record the caller; never fails the request
+    async touch(orgId, userId, profile = {}) {
+      try {
+        const member = await bucket.get(keyOf(orgId, userId));
+        const changes = profileChanges(member, profile);
+        const now = new Date();
+        const stale = !member || now.getTime() - new Date(member.lastSeenAt).getTime() > SEEN_THROTTLE_MS;
+        if (!stale && !Object.keys(changes).length) return member;
+        const next = member
+          ? { ...member, ...changes, lastSeenAt: now.toISOString() }
+          : {
+            id: keyOf(orgId, userId),
+            orgId,
+            userId,
+            name: null,
+            email: null,
+            picture: null,
+            ...changes,
+            source: 'token',
+            firstSeenAt: now.toISOString(),
+            lastSeenAt: now.toISOString(),
+          };
+        await bucket.set(next.id, next);
+        if (!member) log.log('MEMBER added:', { orgId, userId, source: 'token' });
+        return next;
+      } catch (err) {
+        log.warn('MEMBER touch failed:', { orgId, userId, err: String(err) });
+        return null;
+      }
+    },
+
+    /**
+     * Create or update members from an import. Items are { userId, name?, email?, picture? };
+     * an import never clears fields it does not set. Returns { created, updated }.
+     */
+    async import(orgId, items) {
+      let created = 0;
+      let updated = 0;
+      for (const item of items) {
+        const member = await bucket.get(keyOf(orgId, item.userId));
+        const changes = profileChanges(member, item);
+        if (member) {
+          if (!Object.keys(changes).length) continue;
+          await bucket.set(member.id, { ...member, ...changes });
+          updated++;
+        } else {
+          await bucket.set(keyOf(orgId, item.userId), {
+            id: keyOf(orgId, item.userId),
+            orgId,
+            userId: item.userId,
+            name: null,
+            email: null,
+            picture: null,
+            ...changes,
+            source: 'import',
+            firstSeenAt: null,
+            lastSeenAt: null,
+          });
+          created++;
+        }
+      }
+      log.log('MEMBERS imported:', { orgId, created, updated });
+      return { created, updated };
+    },
+  };
+}
@@ -0,0 +1,179 @@
+import { randomUUID } from 'node:crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:notifications');
+
+export const NOTIFICATION_TYPES = ['assigned', 'mentioned', 'due_soon', 'overdue'];
+export const DEFAULT_DUE_SOON_HOURS = 24;
+// longest reminder window a user can pick; the due date sweep looks this far ahead
+export const MAX_DUE_SOON_HOURS = 168;
+
+// notifications kept per user; older ones are dropped, read or not
+const INBOX_SIZE = 200;
+// characters of a comment quoted in a mention
+const EXCERPT_LENGTH = 140;
+
+const defaultPrefs = (orgId, userId) => ({
+  id: `${orgId}:${userId}`,
+  orgId,
+  userId,
+  types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true])),
+  dueSoonHours: DEFAULT_DUE_SOON_HOURS,
+  updatedAt: null,
+});
+
+// validate a preferences body; only keys present are checked. Returns { changes, errors } keyed by field
+export function validatePrefs(b) {
+  const changes = {};
+  const errors = {};
+  for (const key of Object.keys(b)) {
+    if (!['types', 'dueSoonHours'].includes(key)) errors[key] = 'field is not editable';
+  }
+  if ('types' in b) {
+    if (!b.types || typeof b.types !== 'object' || Array.isArray(b.types)) {
+      errors.types = `must be an object of ${NOTIFICATION_TYPES.join(', ')} to true or false`;
+    } else {
+      changes.types = {};
+      for (const [type, on] of Object.entries(b.types)) {
+        if (!NOTIFICATION_TYPES.includes(type)) errors[`types.${type}`] = `unknown type; use ${NOTIFICATION_TYPES.join(', ')}`;
+        else if (typeof on !== 'boolean') errors[`types.${type}`] = 'must be a boolean';
+        else changes.types[type] = on;
+      }
+    }
+  }
+  if ('dueSoonHours' in b) {
+    if (Number.isInteger(b.dueSoonHours) && b.dueSoonHours >= 1 && b.dueSoonHours <= MAX_DUE_SOON_HOURS) changes.dueSoonHours = b.dueSoonHours;
+    else errors.dueSoonHours = `must be a whole number of hours from 1 to ${MAX_DUE_SOON_HOURS}`;
+  }
+  return { changes, errors };
+}
+
+/**
+ * Members mentioned in `text` as @handle, where the handle is a member's user id, email, the part
+ * of the email before the @, or name without spaces (case-insensitive). A handle that fits
+ * several members mentions none of them, so people with the same first name are not all pinged.
+ */
+export function mentionedMembers(text, members) {
+  const handles = new Set();
+  for (const m of String(text || '').matchAll(/(?:^|[^\w@.])@([\w.+|-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g)) {
+    handles.add(m[1].replace(/[.-]+$/, '').toLowerCase());
+  }
+  const handlesOf = member => [
+    member.userId,
+    member.email,
+    member.email?.split('@')[0],
+    member.name?.replace(/\s+/g, ''),
+  ].filter(Boolean).map(h => h.toLowerCase());
+  const found = new Map();
+  for (const handle of handles) {
+    const matches = members.filter(member => handlesOf(member).includes(handle));
+    if (matches.length === 1) found.set(matches[0].userId, matches[0]);
+  }
+  return [...found.values()];
+}
+
+const messageOf = ({ type, actorName, taskTitle }) => {
+  const title = `"${taskTitle}"`;
+  switch (type) {
+    case 'assigned': return `${actorName || 'Someone'} assigned you ${title}`;
+    case 'mentioned': return `${actorName || 'Someone'} mentioned you on ${title}`;
+    case 'due_soon': return `${title} is due soon`;
+    case 'overdue': return `${title} is overdue`;
+    default: return title;
+  }
+};
+
+/*
+ * In-app notifications, one inbox per user.
+ *
+ * { id, orgId, userId, type, taskId, projectId, taskTitle, actorId, excerpt, dueAt, message, createdAt, readAt }
+ * with type one of NOTIFICATION_TYPES. Preferences are one record per org and user:
+ * { id, orgId, userId, types: { [type]: boolean }, dueSoonHours, updatedAt }; users without one
+ * get every type and a DEFAULT_DUE_SOON_HOURS reminder window. The triggers live in app.js.
+ */
+export function createNotifications(bucket, prefsBucket, { onCreate } = {}) {
+  // keep the inbox bounded, dropping the oldest
+  async function trimInbox(orgId, userId) {
+    const items = (await bucket.query({ orgId, userId })).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const n of items.slice(INBOX_SIZE)) await bucket.delete(n.id);
+  }
+
+  return {
+    async prefs(orgId, userId) {
+      return (await prefsBucket.get(`${orgId}:${userId}`)) || defaultPrefs(orgId, userId);
+    },
+
+    // `changes` comes from validatePrefs; types not mentioned keep their setting
+    async updatePrefs(orgId, userId, changes) {
+      const current = await this.prefs(orgId, userId);
+      const next = {
+        ...current,
+        ...changes,
+        types: { ...current.types, ...changes.types },
+        updatedAt: new Date().toISOString(),
+      };
+      await prefsBucket.set(next.id, next);
+      log.log('NOTIFICATION prefs updated:', { orgId, userId, types: next.types, dueSoonHours: next.dueSoonHours });
+      return next;
+    },
+
+    /**
+     * Add a notification unless the user turned its type off. `key` makes it idempotent: a
+     * notification with the same key is only created once (used for due date reminders, which
+     * every sweep finds again). Never fails the caller; returns the notification or null.
+     */
+    async notify({ orgId, userId, type, task, actorId = null, actorName = null, excerpt = null, key = null }) {
+      try {
+        const prefs = await this.prefs(orgId, userId);
+        if (prefs.types[type] === false) return null;
+        const id = key ? `${orgId}:${userId}:${key}` : randomUUID();
+        if (key && await bucket.get(id)) return null;
+        const n = {
+          id,
+          orgId,
+          userId,
+          type,
+          taskId: task.id,
+          projectId: task.projectId,
+          taskTitle: task.title,
+          actorId,
+          excerpt: excerpt && excerpt.length > EXCERPT_LENGTH ? `${excerpt.slice(0, EXCERPT_LENGTH - 1)}…` : excerpt,
+          dueAt: task.dueAt ?? null,
+          message: messageOf({ type, actorName, taskTitle: task.title }),
+          createdAt: new Date().toISOString(),
+          readAt: null,
+        };
+        await bucket.set(n.id, n);
+        await trimInbox(orgId, userId);
+        log.log('NOTIFICATION created:', { orgId, userId, type, taskId: task.id });
+        await onCreate?.(n);
+        return n;
+      } catch (err) {
+        log.warn('NOTIFICATION failed:', { orgId, userId, type, taskId: task?.id, err: String(err) });
+        return null;
+      }
+    },
+
+    async get(orgId, userId, id) {
+      const n = await bucket.get(id);
+      return n && n.orgId === orgId && n.userId === userId ? n : null;
+    },
+
+    async list(orgId, userId) {
+      return bucket.query({ orgId, userId });
+    },
+
+    // marks the user's notifications read, all of them when ids is not given; returns how many changed
+    async markRead(orgId, userId, ids = null) {
+      const at = new Date().toISOString();
+      let updated = 0;
+      for (const n of await bucket.query({ orgId, userId })) {
+        if (n.readAt || (ids && !ids.includes(n.id))) continue;
+        await bucket.set(n.id, { ...n, readAt: at });
+        updated++;
+      }
+      if (updated) log.log('NOTIFICATION read:', { orgId, userId, count: updated });
+      return updated;
+    },
+  };
+}
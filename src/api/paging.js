@@ -0,0 +1,73 @@
+/*
+ * Keyset pagination with opaque cursors.
+ *
+ * A cursor encodes the sort it was issued for and the sort key of the last item on the page,
+ * so the next page starts strictly after that item even if records were created or deleted
+ * in between (offsets would shift).
+ */
+
+export const encodeCursor = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+
+export const decodeCursor = (raw) => {
+  try {
+    const obj = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+    return obj && typeof obj.s === 'string' && Array.isArray(obj.k) ? obj : null;
+  } catch {
+    return null;
+  }
+};
+
+const cmp = (a, b) => (typeof a === 'string' || typeof b === 'string'
+  ? String(a).localeCompare(String(b))
+  : a - b);
+
+// [nullsLast, value, tiebreak, id]; nulls always sort last whatever the direction
+const keyOf = (record, field, sortable, tiebreak) => {
+  const v = sortable[field](record);
+  return [v == null ? 1 : 0, v ?? '', tiebreak(record) ?? '', String(record.id)];
+};
+
+const compareKeys = (a, b, dir) => (a[0] - b[0]) || cmp(a[1], b[1]) * dir || cmp(a[2], b[2]) || cmp(a[3], b[3]);
+
+/**
+ * Parse `sort=field[:asc|desc]` against the allowed fields; returns null when invalid.
+ */
+export function parseSort(raw, sortable, fallback) {
+  const [field, order = 'asc'] = String(raw || fallback).split(':');
+  if (!sortable[field] || !['asc', 'desc'].includes(order)) return null;
+  return { field, order, dir: order === 'desc' ? -1 : 1, spec: `${field}:${order}` };
+}
+
+/**
+ * Sort and slice `items`.
+ * opts: { sort, cursor, limit, offset, fallbackSort, tiebreak }
+ * sortable: { field: record => comparable | null }
+ * Returns { total, items, nextCursor } or { error } for bad input.
+ */
+export function paginate(items, opts, sortable) {
+  const { cursor, offset = 0, fallbackSort, tiebreak = () => '' } = opts;
+  const limit = Math.max(1, Math.min(Number.isFinite(opts.limit) ? opts.limit : 100, 500));
+  const sort = parseSort(opts.sort, sortable, fallbackSort);
+  if (!sort) return { error: `sort must be one of ${Object.keys(sortable).join(', ')} with optional :asc or :desc` };
+
+  const keyed = items
+    .map(record => ({ record, key: keyOf(record, sort.field, sortable, tiebreak) }))
+    .sort((a, b) => compareKeys(a.key, b.key, sort.dir));
+
+  let start = Math.max(offset, 0);
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) return { error: 'invalid cursor' };
+    if (decoded.s !== sort.spec) return { error: `cursor was issued for sort ${decoded.s}` };
+    start = keyed.findIndex(x => compareKeys(x.key, decoded.k, sort.dir) > 0);
+    if (start === -1) start = keyed.length;
+  }
+
+  const page = keyed.slice(start, start + limit);
+  const hasMore = start + limit < keyed.length;
+  return {
+    total: items.length,
+    items: page.map(x => x.record),
+    nextCursor: hasMore && page.length ? encodeCursor({ s: sort.spec, k: page[page.length - 1].key }) : null,
+  };
+}
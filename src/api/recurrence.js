@@ -0,0 +1,170 @@
+/*
+ * Recurrence rules for repeating tasks.
+ *
+ * A rule is { freq, interval, byDay, byMonthDay, until, count }:
+ *   freq        daily, weekly, monthly or yearly
+ *   interval    every n days/weeks/months/years (default 1)
+ *   byDay       weekly only: weekdays as MO..SU; weeks start on Monday
+ *   byMonthDay  monthly only: day of the month, -1 for the last; months without that day use their last day
+ *   until       no occurrence after this time (a bare date includes that whole UTC day)
+ *   count       the series has at most this many occurrences
+ * Input can be that object, a frequency name ('weekly') or an RRULE string with the same parts
+ * ('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10'). Dates are computed in UTC and keep the time of
+ * day of the occurrence they follow.
+ */
+
+export const RECURRENCE_FREQS = ['daily', 'weekly', 'monthly', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 86400000;
+
+const weekdayCode = v => {
+  const s = String(v).trim().toLowerCase();
+  const i = WEEKDAY_NAMES.findIndex(name => name === s || name.slice(0, 2) === s || name.slice(0, 3) === s);
+  return i < 0 ? null : WEEKDAYS[i];
+};
+
+// RRULE UNTIL is 20261231 or 20261231T170000Z
+const rruleDate = v => {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(v);
+  if (!m) return v;
+  return m[4] ? `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}Z` : `${m[1]}-${m[2]}-${m[3]}`;
+};
+
+function fromRRule(text) {
+  const parts = {};
+  for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+    if (!key || value == null) return { error: `cannot read "${part}"; use KEY=VALUE parts separated by ;` };
+    parts[key.toUpperCase()] = value;
+  }
+  const unknown = Object.keys(parts).filter(k => !['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'].includes(k));
+  if (unknown.length) return { error: `unsupported RRULE parts ${unknown.join(', ')}; use FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT` };
+  return {
+    input: {
+      freq: parts.FREQ?.toLowerCase(),
+      interval: parts.INTERVAL != null ? Number(parts.INTERVAL) : undefined,
+      byDay: parts.BYDAY?.split(','),
+      byMonthDay: parts.BYMONTHDAY != null ? Number(parts.BYMONTHDAY) : undefined,
+      until: parts.UNTIL != null ? rruleDate(parts.UNTIL) : undefined,
+      count: parts.COUNT != null ? Number(parts.COUNT) : undefined,
+    },
+  };
+}
+
+/**
+ * Validate a rule in any of the accepted forms. Returns { recurrence } with the normalized rule,
+ * or { error }.
+ */
+export function normalizeRecurrence(value) {
+  let input = value;
+  if (typeof value === 'string') {
+    if (RECURRENCE_FREQS.includes(value.toLowerCase())) input = { freq: value.toLowerCase() };
+    else if (value.includes('=')) {
+      const parsed = fromRRule(value.trim());
+      if (parsed.error) return parsed;
+      input = parsed.input;
+    } else input = null;
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: `must be ${RECURRENCE_FREQS.join(', ')}, an RRULE string or { freq, interval?, byDay?, byMonthDay?, until?, count? }` };
+  }
+
+  const freq = typeof input.freq === 'string' ? input.freq.toLowerCase() : input.freq;
+  if (!RECURRENCE_FREQS.includes(freq)) return { error: `freq must be one of ${RECURRENCE_FREQS.join(', ')}` };
+  const interval = input.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 366) return { error: 'interval must be a whole number from 1 to 366' };
+
+  let byDay = null;
+  if (input.byDay != null) {
+    if (freq !== 'weekly') return { error: 'byDay only applies to weekly rules' };
+    const days = Array.isArray(input.byDay) ? input.byDay.map(weekdayCode) : [];
+    if (!days.length || days.includes(null)) return { error: 'byDay must be a list of weekdays such as MO, TU or monday' };
+    byDay = WEEKDAYS.filter(d => days.includes(d));
+  }
+  let byMonthDay = null;
+  if (input.byMonthDay != null) {
+    if (freq !== 'monthly') return { error: 'byMonthDay only applies to monthly rules' };
+    if (!Number.isInteger(input.byMonthDay) || !(input.byMonthDay === -1 || (input.byMonthDay >= 1 && input.byMonthDay <= 31))) {
+      return { error: 'byMonthDay must be 1 to 31, or -1 for the last day' };
+    }
+    byMonthDay = input.byMonthDay;
+  }
+  let until = null;
+  if (input.until != null) {
+    const dateOnly = typeof input.until === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(input.until);
+    const ms = typeof input.until === 'string' ? Date.parse(dateOnly ? `${input.until}T23:59:59.999Z` : input.until) : NaN;
+    if (Number.isNaN(ms)) return { error: 'until must be an ISO 8601 date' };
+    until = new Date(ms).toISOString();
+  }
+  const count = input.count ?? null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return { error: 'count must be a positive whole number' };
+
+  return { recurrence: { freq, interval, byDay, byMonthDay, until, count } };
+}
+
+// a monthly rule without byMonthDay stays on the day the series started, even after a short month
+export const anchorRecurrence = (rule, dueAt) => (rule.freq === 'monthly' && rule.byMonthDay == null
+  ? { ...rule, byMonthDay: new Date(dueAt).getUTCDate() }
+  : rule);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const mondayOf = ms => {
+  const day = Math.floor(ms / DAY_MS) * DAY_MS;
+  return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+function nextAfter(rule, from) {
+  const time = from - Math.floor(from / DAY_MS) * DAY_MS;
+  const d = new Date(from);
+  switch (rule.freq) {
+    case 'daily':
+      return from + rule.interval * DAY_MS;
+    case 'weekly': {
+      if (!rule.byDay) return from + rule.interval * 7 * DAY_MS;
+      for (let i = 1; i <= 7 * rule.interval + 7; i++) {
+        const candidate = from + i * DAY_MS;
+        const weeksApart = Math.round((mondayOf(candidate) - mondayOf(from)) / (7 * DAY_MS));
+        if (weeksApart % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[new Date(candidate).getUTCDay()])) return candidate;
+      }
+      return null;
+    }
+    case 'monthly': {
+      const month = d.getUTCMonth() + rule.interval;
+      const year = d.getUTCFullYear() + Math.floor(month / 12);
+      const m = month % 12;
+      const last = daysInMonth(year, m);
+      const day = rule.byMonthDay === -1 ? last : Math.min(rule.byMonthDay ?? d.getUTCDate(), last);
+      return Date.UTC(year, m, day) + time;
+    }
+    case 'yearly': {
+      const year = d.getUTCFullYear() + rule.interval;
+      return Date.UTC(year, d.getUTCMonth(), Math.min(d.getUTCDate(), daysInMonth(year, d.getUTCMonth()))) + time;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Due date of the occurrence after the one due at `dueAt`, which is occurrence number `index`
+ * of its series (1 for the first), or null when the series ends there.
+ */
+export function nextOccurrence(rule, dueAt, index) {
+  if (!rule || !dueAt) return null;
+  if (rule.count != null && index >= rule.count) return null;
+  const next = nextAfter(rule, new Date(dueAt).getTime());
+  if (next == null || (rule.until && next > new Date(rule.until).getTime())) return null;
+  return new Date(next).toISOString();
+}
+
+// the rule as an RRULE string, e.g. for calendar feeds
+export function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay != null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count != null) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
@@ -0,0 +1,328 @@
+/*
+ * Task search query language, used by GET /tasks?q=.
+ *
+ *   status:in_progress owner:me tag:bug due<2026-11-01 "login page"
+ *   (priority:high OR priority:urgent) -tag:wontfix
+ *   title:checkout AND NOT owner:maria
+ *
+ * Terms next to each other are ANDed; OR binds looser than AND; NOT or a leading - negates a term
+ * or a parenthesised group. AND, OR and NOT are keywords only in upper case. Words and "quoted
+ * phrases" match title, description, tags, comments and ownerId (case-insensitive substrings) and
+ * are what results are ranked by, together with title:, description: and comment: terms.
+ *
+ * Fields (see FIELDS): values can be quoted; dates are YYYY-MM-DD (a whole UTC day), a full ISO
+ * timestamp, today, tomorrow, yesterday or an offset from today such as 7d, -2w.
+ */
+
+export class QueryError extends Error {}
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const OPS = ['<=', '>=', ':', '=', '<', '>'];
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+const DAY_MS = 86400000;
+
+// field aliases -> canonical field
+const FIELDS = {
+  status: 'status',
+  owner: 'owner',
+  assignee: 'owner',
+  tag: 'tag',
+  priority: 'priority',
+  project: 'project',
+  due: 'due',
+  created: 'created',
+  updated: 'updated',
+  estimate: 'estimate',
+  title: 'title',
+  description: 'description',
+  desc: 'description',
+  comment: 'comment',
+  is: 'is',
+  id: 'id',
+};
+const RANGE_FIELDS = ['priority', 'due', 'created', 'updated', 'estimate'];
+const IS_VALUES = ['open', 'closed', 'overdue', 'subtask', 'recurring'];
+
+// ranking weights per place a text term is found
+const WEIGHTS = { title: 4, tags: 3, description: 1.5, comments: 1 };
+const MAX_HITS = 5;
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  const readQuoted = () => {
+    const start = i;
+    let out = '';
+    i++;
+    while (i < input.length && input[i] !== '"') {
+      if (input[i] === '\\' && i + 1 < input.length) i++;
+      out += input[i++];
+    }
+    if (i >= input.length) throw new QueryError(`unterminated quote at ${start + 1}`);
+    i++;
+    return out;
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const at = i + 1;
+    if (ch === '(' || ch === ')') { tokens.push({ kind: ch, at }); i++; continue; }
+    if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) { tokens.push({ kind: 'NOT', at }); i++; continue; }
+    if (ch === '"') { tokens.push({ kind: 'text', value: readQuoted(), phrase: true, at }); continue; }
+
+    let word = '';
+    while (i < input.length && !/[\s()"]/.test(input[i])) word += input[i++];
+    const op = OPS.find(o => word.endsWith(o) && /^[a-z]+$/i.test(word.slice(0, -o.length)));
+    if (op && input[i] === '"') word += readQuoted();
+    if (KEYWORDS.includes(word)) { tokens.push({ kind: word, at }); continue; }
+
+    const m = /^([a-z]+)(<=|>=|:|=|<|>)(.*)$/is.exec(word);
+    // a URL such as https://… is a word, not an unknown field
+    if (m && !(m[2] === ':' && m[3].startsWith('//'))) {
+      const field = FIELDS[m[1].toLowerCase()];
+      if (!field) throw new QueryError(`unknown field "${m[1]}" at ${at}; use ${Object.keys(FIELDS).join(', ')}`);
+      if (m[3] === '') throw new QueryError(`missing value for ${m[1]} at ${at}`);
+      const fieldOp = m[2] === '=' ? ':' : m[2];
+      if (fieldOp !== ':' && !RANGE_FIELDS.includes(field)) throw new QueryError(`${m[1]} only supports ":" at ${at}`);
+      tokens.push({ kind: 'field', field, op: fieldOp, value: m[3], at });
+      continue;
+    }
+    tokens.push({ kind: 'text', value: word, phrase: false, at });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of { type: 'and' | 'or', items }, { type: 'not', item },
+ * { type: 'text', value } and { type: 'field', field, op, value }. Throws QueryError.
+ */
+export function parseQuery(input) {
+  const tokens = tokenize(String(input));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const startsTerm = t => t && ['(', 'NOT', 'text', 'field'].includes(t.kind);
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek()?.kind === 'OR') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (peek()?.kind === 'AND' || startsTerm(peek())) {
+      if (peek().kind === 'AND') pos++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+  function parseUnary() {
+    const t = peek();
+    if (!t) throw new QueryError('query ends where a term was expected');
+    if (t.kind === 'NOT') { pos++; return { type: 'not', item: parseUnary() }; }
+    if (t.kind === '(') {
+      pos++;
+      const inner = parseOr();
+      if (peek()?.kind !== ')') throw new QueryError(`missing ) for ( at ${t.at}`);
+      pos++;
+      return inner;
+    }
+    if (t.kind === 'text') { pos++; return { type: 'text', value: t.value }; }
+    if (t.kind === 'field') { pos++; return { type: 'field', field: t.field, op: t.op, value: t.value }; }
+    throw new QueryError(`unexpected ${t.kind} at ${t.at}`);
+  }
+
+  if (!tokens.length) return null;
+  const tree = parseOr();
+  if (pos < tokens.length) throw new QueryError(`unexpected ${peek().kind} at ${peek().at}`);
+  return tree;
+}
+
+// [start, end) in ms for a date value; a full timestamp is a single instant
+function parseDateRange(raw, now) {
+  const v = raw.toLowerCase();
+  const today = Math.floor(now / DAY_MS) * DAY_MS;
+  const relative = { today: 0, tomorrow: 1, yesterday: -1 }[v];
+  if (relative != null) return [today + relative * DAY_MS, today + (relative + 1) * DAY_MS];
+  const offset = /^([+-]?\d+)([dw])$/.exec(v);
+  if (offset) {
+    const start = today + Number(offset[1]) * (offset[2] === 'w' ? 7 : 1) * DAY_MS;
+    return [start, start + DAY_MS];
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    const start = Date.parse(`${v}T00:00:00Z`);
+    if (!Number.isNaN(start)) return [start, start + DAY_MS];
+  }
+  const instant = Date.parse(raw);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(raw) && !Number.isNaN(instant)) return [instant, instant + 1];
+  return null;
+}
+
+// compare a value against [start, end) the way the operator reads: due<X is before X starts
+const inRange = (value, [start, end], op) => {
+  if (op === '<') return value < start;
+  if (op === '<=') return value < end;
+  if (op === '>') return value >= end;
+  if (op === '>=') return value >= start;
+  return value >= start && value < end;
+};
+
+const lower = v => String(v ?? '').toLowerCase();
+// comment texts come from ctx.comments (task id -> texts); tasks written before comments had their own bucket embed them
+const embeddedComments = t => (t.comments || []).map(c => c.text || '');
+
+// true when the query has terms that match comments: words, phrases or comment:
+export function searchesComments(tree) {
+  if (!tree) return false;
+  if (tree.type === 'text' || (tree.type === 'field' && tree.field === 'comment')) return true;
+  if (tree.type === 'not') return searchesComments(tree.item);
+  return (tree.items || []).some(searchesComments);
+}
+
+/**
+ * Compile a parsed query into a task predicate. ctx: { userId, now, projects (Map id -> project),
+ * members (Map userId -> { name, email }), comments (Map taskId -> texts), isClosed(task) }.
+ * Bad values throw QueryError.
+ */
+export function compileQuery(tree, ctx) {
+  const commentsOf = t => ctx.comments?.get(t.id) || embeddedComments(t);
+  const textFields = t => [t.title, t.description, t.ownerId, ...(t.tags || []), ...commentsOf(t)];
+
+  function field({ field: name, op, value }) {
+    const v = lower(value);
+    switch (name) {
+      case 'status':
+        return t => lower(t.status) === v || lower(ctx.statusName?.(t)) === v;
+      case 'owner': {
+        const userId = v === 'me' ? lower(ctx.userId) : v;
+        return t => {
+          if (lower(t.ownerId) === userId) return true;
+          const m = ctx.members?.get(t.ownerId);
+          return v !== 'me' && !!m && (lower(m.name).includes(v) || lower(m.email).includes(v));
+        };
+      }
+      case 'tag':
+        return t => (t.tags || []).some(tag => lower(tag) === v);
+      case 'priority': {
+        const want = PRIORITY_ORDER.indexOf(v);
+        if (want < 0) throw new QueryError(`priority must be one of ${PRIORITY_ORDER.join(', ')}`);
+        return t => inRange(PRIORITY_ORDER.indexOf(t.priority || 'medium'), [want, want + 1], op);
+      }
+      case 'project':
+        return t => {
+          const p = ctx.projects?.get(t.projectId);
+          return lower(t.projectId) === v || (!!p && lower(p.name).includes(v));
+        };
+      case 'due':
+      case 'created':
+      case 'updated': {
+        const key = { due: 'dueAt', created: 'createdAt', updated: 'updatedAt' }[name];
+        if (v === 'none') {
+          if (op !== ':') throw new QueryError(`${name}:none cannot be compared`);
+          return t => !t[key];
+        }
+        const range = parseDateRange(value, ctx.now);
+        if (!range) throw new QueryError(`${name} needs a date like 2026-11-01, today or 7d, not "${value}"`);
+        return t => !!t[key] && inRange(new Date(t[key]).getTime(), range, op);
+      }
+      case 'estimate': {
+        if (v === 'none') {
+          if (op !== ':') throw new QueryError('estimate:none cannot be compared');
+          return t => typeof t.estimate !== 'number';
+        }
+        const n = Number(value);
+        if (!Number.isFinite(n)) throw new QueryError(`estimate needs a number, not "${value}"`);
+        return t => typeof t.estimate === 'number' && inRange(t.estimate, [n, n + Number.EPSILON], op);
+      }
+      case 'title':
+        return t => lower(t.title).includes(v);
+      case 'description':
+        return t => lower(t.description).includes(v);
+      case 'comment':
+        return t => commentsOf(t).some(c => lower(c).includes(v));
+      case 'is':
+        if (v === 'open') return t => !ctx.isClosed(t);
+        if (v === 'closed') return t => ctx.isClosed(t);
+        if (v === 'overdue') return t => !!t.dueAt && new Date(t.dueAt).getTime() < ctx.now && !ctx.isClosed(t);
+        if (v === 'subtask') return t => !!t.parentTaskId;
+        if (v === 'recurring') return t => !!t.recurrence;
+        throw new QueryError(`is must be one of ${IS_VALUES.join(', ')}`);
+      case 'id':
+        return t => lower(t.id) === v;
+      default:
+        throw new QueryError(`unknown field ${name}`);
+    }
+  }
+
+  function compile(node) {
+    switch (node.type) {
+      case 'and': {
+        const parts = node.items.map(compile);
+        return t => parts.every(p => p(t));
+      }
+      case 'or': {
+        const parts = node.items.map(compile);
+        return t => parts.some(p => p(t));
+      }
+      case 'not': {
+        const inner = compile(node.item);
+        return t => !inner(t);
+      }
+      case 'text': {
+        const v = lower(node.value);
+        return t => textFields(t).some(f => lower(f).includes(v));
+      }
+      default:
+        return field(node);
+    }
+  }
+
+  return tree ? compile(tree) : () => true;
+}
+
+// text terms that count for ranking: words, phrases and title/description/comment terms not under a NOT
+export function rankingTerms(tree) {
+  const terms = [];
+  const walk = (node, negated) => {
+    if (!node) return;
+    if (node.type === 'not') return walk(node.item, !negated);
+    if (node.items) return node.items.forEach(item => walk(item, negated));
+    if (negated) return;
+    if (node.type === 'text') terms.push({ value: lower(node.value), in: ['title', 'tags', 'description', 'comments'] });
+    if (node.type === 'field' && ['title', 'description', 'comment'].includes(node.field)) {
+      terms.push({ value: lower(node.value), in: [node.field === 'comment' ? 'comments' : node.field] });
+    }
+  };
+  walk(tree, false);
+  return terms;
+}
+
+const countHits = (haystack, needle) => {
+  let hits = 0;
+  for (let i = haystack.indexOf(needle); i >= 0 && hits < MAX_HITS; i = haystack.indexOf(needle, i + needle.length)) hits++;
+  return hits;
+};
+
+// relevance of a task for `terms`: weighted hits per field, with a bonus for titles that start with a term
+export function scoreTask(task, terms, comments = embeddedComments(task)) {
+  const places = {
+    title: [lower(task.title)],
+    tags: (task.tags || []).map(lower),
+    description: [lower(task.description)],
+    comments: comments.map(lower),
+  };
+  let score = 0;
+  for (const term of terms) {
+    for (const place of term.in) {
+      const hits = place === 'tags'
+        ? places.tags.filter(tag => tag === term.value).length
+        : Math.min(places[place].reduce((n, text) => n + countHits(text, term.value), 0), MAX_HITS);
+      score += hits * WEIGHTS[place];
+    }
+    if (places.title[0].startsWith(term.value)) score += WEIGHTS.title;
+  }
+  return Math.round(score * 100) / 100;
+}
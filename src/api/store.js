@@ -1,3 +1,6 @@
+import { EventEmitter } from 'node:events';
+import { mkdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('api-server:store');
@@ -5,6 +8,7 @@ const log = createLogger('api-server:store');
 const forceMemory = process.env.STORE_MEMORY === '1';
 const redisUrl = process.env.REDIS_URL;
 const useRedis = !forceMemory && !!redisUrl;
+const attachmentsDir = process.env.API_ATTACHMENTS_DIR;
 
 // singleton Redis client so we do not reconnect every call
 let redisClientPromise = null;
@@ -22,49 +26,307 @@ async function getRedisClient() {
   return redisClientPromise;
 }
 
+// close the Redis connection, e.g. so a script or test can exit; the next call reconnects
+export async function closeStore() {
+  if (!redisClientPromise) return;
+  const pending = redisClientPromise;
+  redisClientPromise = null;
+  const client = await pending.catch(() => null);
+  await client?.quit();
+}
+
+// write a record and its index entries in one step, as long as the record is still the one read
+// (ARGV[1], '' when there was none). ARGV[2] is the new value, '' to delete; ARGV[3] the id.
+// KEYS[2..] are index keys, each with its change in ARGV[j + 2]: sadd, srem, zrem or a zadd score.
+// returns 1, or 0 when another write came first and the caller should read again
+const WRITE_LUA = `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+if ARGV[2] == '' then redis.call('DEL', KEYS[1]) else redis.call('SET', KEYS[1], ARGV[2]) end
+for j = 2, #KEYS do
+  local op = ARGV[j + 2]
+  if op == 'sadd' then redis.call('SADD', KEYS[j], ARGV[3])
+  elseif op == 'srem' then redis.call('SREM', KEYS[j], ARGV[3])
+  elseif op == 'zrem' then redis.call('ZREM', KEYS[j], ARGV[3])
+  else redis.call('ZADD', KEYS[j], op, ARGV[3]) end
+end
+return 1`;
+// a record rewritten this many times while one write was trying is a hot loop; give up
+const MAX_WRITE_ATTEMPTS = 10;
+
+/*
+ * Secondary indexes
+ *
+ * Each bucket can declare:
+ *   indexes: { name: record => value | value[] }   equality filters (a set of ids per value)
+ *   sorted:  { name: record => number | null }      range filters (a sorted set per org, and one
+ *                                                    for the whole bucket used by cross-org sweeps)
+ *
+ * query(filter) takes { [indexName]: value, [sortedName]: { min?, max? } } and returns the
+ * matching records. Undefined, null and empty-string filter values are ignored.
+ */
+const BUCKET_INDEXES = {
+  projects: {
+    indexes: { orgId: p => p.orgId },
+    sorted: {},
+  },
+  tasks: {
+    indexes: {
+      orgId: t => t.orgId,
+      projectId: t => t.projectId,
+      ownerId: t => t.ownerId,
+      status: t => t.status,
+      priority: t => t.priority || 'medium',
+      tag: t => t.tags || [],
+      parentTaskId: t => t.parentTaskId,
+      blockedBy: t => t.blockedBy || [],
+      seriesId: t => t.seriesId,
+    },
+    sorted: {
+      dueAt: t => (t.dueAt ? new Date(t.dueAt).getTime() : null),
+      // start of the UTC day the next occurrence of a recurring task is due (see app.js)
+      spawnAt: t => (t.nextOccurrenceAt && !t.nextOccurrenceId ? Math.floor(new Date(t.nextOccurrenceAt).getTime() / 86400000) * 86400000 : null),
+    },
+  },
+  history: {
+    indexes: { orgId: e => e.orgId, entityId: e => e.entityId },
+    sorted: { at: e => new Date(e.at).getTime() },
+  },
+  members: {
+    indexes: { orgId: m => m.orgId },
+    sorted: {},
+  },
+  trash: {
+    indexes: { orgId: e => e.orgId, entityType: e => e.entityType, projectId: e => e.projectId },
+    sorted: { expiresAt: e => new Date(e.expiresAt).getTime() },
+  },
+  views: {
+    indexes: { orgId: v => v.orgId },
+    sorted: {},
+  },
+  webhooks: {
+    indexes: { orgId: w => w.orgId },
+    sorted: {},
+  },
+  deliveries: {
+    indexes: { orgId: d => d.orgId, webhookId: d => d.webhookId, status: d => d.status },
+    sorted: { nextAttemptAt: d => (d.nextAttemptAt ? new Date(d.nextAttemptAt).getTime() : null) },
+  },
+  notifications: {
+    indexes: { orgId: n => n.orgId, userId: n => n.userId },
+    sorted: {},
+  },
+  notificationPrefs: {
+    indexes: { orgId: p => p.orgId },
+    sorted: {},
+  },
+  comments: {
+    indexes: { orgId: x => x.orgId, taskId: x => x.taskId },
+    sorted: {},
+  },
+  imports: {
+    indexes: { orgId: j => j.orgId, status: j => j.status },
+    sorted: {},
+  },
+  feeds: {
+    indexes: { orgId: f => f.orgId, userId: f => f.userId, token: f => f.token },
+    sorted: {},
+  },
+};
+
+const isSet = v => v != null && v !== '';
+const indexValues = (fn, obj) => [].concat(fn(obj) ?? []).filter(isSet).map(String);
+
+// filter check shared by both backends; redis re-applies it so a stale index can never leak records
+function matchesFilter(obj, filter, spec) {
+  for (const [name, want] of Object.entries(filter)) {
+    if (!isSet(want)) continue;
+    if (spec.indexes[name]) {
+      if (!indexValues(spec.indexes[name], obj).includes(String(want))) return false;
+    } else if (spec.sorted[name]) {
+      const score = spec.sorted[name](obj);
+      if (score == null) return false;
+      if (want.min != null && score < want.min) return false;
+      if (want.max != null && score > want.max) return false;
+    }
+  }
+  return true;
+}
+
+function assertKnownFilter(name, filter, spec) {
+  for (const key of Object.keys(filter)) {
+    if (!spec.indexes[key] && !spec.sorted[key]) throw new Error(`bucket=${name} has no index "${key}"`);
+  }
+}
+
 function createMemoryBucket(name) {
   const m = new Map();
+  const spec = BUCKET_INDEXES[name] || { indexes: {}, sorted: {} };
   log.log(`bucket=${name} backend=memory`);
+  // hand out copies so callers cannot mutate stored records before a write, same as redis
   return {
-    async get(id) { return m.get(id) ?? null; },
-    async set(id, obj) { m.set(id, obj); },
+    async get(id) { return m.has(id) ? structuredClone(m.get(id)) : null; },
+    async set(id, obj) { m.set(id, structuredClone(obj)); },
+    async setIfVersion(id, obj, expected) {
+      if ((m.get(id)?.version || 0) !== expected) return false;
+      m.set(id, structuredClone(obj));
+      return true;
+    },
     async delete(id) { m.delete(id); },
-    async values() { return [...m.values()]; },
+    async values() { return [...m.values()].map(v => structuredClone(v)); },
+    async query(filter = {}) {
+      assertKnownFilter(name, filter, spec);
+      return [...m.values()].filter(v => matchesFilter(v, filter, spec)).map(v => structuredClone(v));
+    },
     async clear() { m.clear(); },
   };
 }
 
 function createRedisBucket(name) {
   log.log(`bucket=${name} backend=redis`);
+  const spec = BUCKET_INDEXES[name] || { indexes: {}, sorted: {} };
   const keyFor = (id) => `${name}:${encodeURIComponent(id)}`;
   const match = `${name}:*`;
 
+  // index keys live under idx: so they never match the record pattern above
+  const allKey = `idx:${name}:all`;
+  // the marker names the indexes it covers, so adding an index triggers a one-time rebuild;
+  // zorg marks the layout with sorted sets per org, which builds those for existing records
+  const readyKey = `idx:${name}:ready:zorg:${[...Object.keys(spec.indexes), ...Object.keys(spec.sorted)].join(',')}`;
+  const setKey = (index, value) => `idx:${name}:${index}:${encodeURIComponent(value)}`;
+  const zKey = (index, orgId) => (isSet(orgId) ? `idx:${name}:z:${index}:${encodeURIComponent(orgId)}` : `idx:${name}:z:${index}`);
+
+  const parse = (val) => {
+    try {
+      return JSON.parse(val);
+    } catch (err) {
+      log.warn('redis_parse_error', { err: String(err) });
+      return null;
+    }
+  };
+
+  // the index changes from the old record to the new one: [key, sadd | srem | zrem | zadd score]
+  function indexChanges(prev, next) {
+    const changes = [];
+    for (const [index, fn] of Object.entries(spec.indexes)) {
+      const before = prev ? indexValues(fn, prev) : [];
+      const after = next ? indexValues(fn, next) : [];
+      before.filter(v => !after.includes(v)).forEach(v => changes.push([setKey(index, v), 'srem']));
+      after.filter(v => !before.includes(v)).forEach(v => changes.push([setKey(index, v), 'sadd']));
+    }
+    for (const [index, fn] of Object.entries(spec.sorted)) {
+      const score = next ? fn(next) : null;
+      const op = score == null ? 'zrem' : String(score);
+      changes.push([zKey(index), op]);
+      if (isSet(prev?.orgId) && prev.orgId !== next?.orgId) changes.push([zKey(index, prev.orgId), 'zrem']);
+      if (isSet(next?.orgId)) changes.push([zKey(index, next.orgId), op]);
+    }
+    changes.push([allKey, next ? 'sadd' : 'srem']);
+    return changes;
+  }
+
+  // write `next` (null deletes) with its index changes, retrying while other writers get in between.
+  // with `expected`, only while the stored version is still that; returns whether it was written
+  async function write(client, id, next, expected) {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const prevRaw = (await client.get(keyFor(id))) ?? '';
+      const prev = prevRaw ? parse(prevRaw) : null;
+      if (expected !== undefined && (prev?.version || 0) !== expected) return false;
+      const changes = indexChanges(prev, next);
+      const ok = await client.eval(WRITE_LUA, {
+        keys: [keyFor(id), ...changes.map(([key]) => key)],
+        arguments: [prevRaw, next ? JSON.stringify(next) : '', id, ...changes.map(([, op]) => op)],
+      });
+      if (ok === 1) return true;
+    }
+    throw new Error(`bucket=${name} id=${id} changed on every one of ${MAX_WRITE_ATTEMPTS} write attempts`);
+  }
+
+  async function scanKeys(client, pattern) {
+    const keys = [];
+    for await (const batch of client.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+      keys.push(...(Array.isArray(batch) ? batch : [batch]));
+    }
+    return keys;
+  }
+
+  // one-time rebuild for data written before indexes existed; uses SCAN so Redis is never blocked
+  let readyPromise = null;
+  function ensureIndexed() {
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        const client = await getRedisClient();
+        if (await client.exists(readyKey)) return;
+        const keys = await scanKeys(client, match);
+        for (let i = 0; i < keys.length; i += 500) {
+          const chunk = keys.slice(i, i + 500);
+          const values = await client.mGet(chunk);
+          const multi = client.multi();
+          values.forEach(val => {
+            const obj = val == null ? null : parse(val);
+            if (!obj?.id) return;
+            for (const [key, op] of indexChanges(null, obj)) {
+              if (op === 'sadd') multi.sAdd(key, obj.id);
+              else if (op !== 'zrem') multi.zAdd(key, { score: Number(op), value: obj.id });
+            }
+          });
+          await multi.exec();
+        }
+        await client.set(readyKey, new Date().toISOString());
+        log.log('redis_reindex_done', { bucket: name, records: keys.length });
+      })().catch(err => {
+        readyPromise = null;
+        throw err;
+      });
+    }
+    return readyPromise;
+  }
+
+  async function loadIds(client, ids) {
+    if (ids.length === 0) return [];
+    const values = await client.mGet(ids.map(keyFor));
+    return values.filter(val => val != null).map(parse).filter(Boolean);
+  }
+
   return {
     async get(id) {
       try {
         const client = await getRedisClient();
         const v = await client.get(keyFor(id));
-        return v == null ? null : JSON.parse(v);
+        return v == null ? null : parse(v);
       } catch (err) {
+        // an outage is not a missing record; callers would answer 404 for data that exists
         log.warn('redis_get_error', { bucket: name, id, err: String(err) });
-        return null;
+        throw err;
       }
     },
     async set(id, obj) {
       try {
         const client = await getRedisClient();
-        // add EX if you want TTL: await client.set(keyFor(id), JSON.stringify(obj), { EX: 3600 })
-        await client.set(keyFor(id), JSON.stringify(obj));
+        await ensureIndexed();
+        await write(client, id, obj);
         log.log('redis_set_success', { bucket: name, id });
       } catch (err) {
         log.warn('redis_set_error', { bucket: name, id, err: String(err) });
         throw err;
       }
     },
+    async setIfVersion(id, obj, expected) {
+      try {
+        const client = await getRedisClient();
+        await ensureIndexed();
+        const ok = await write(client, id, obj, expected);
+        log.log('redis_set_if_version', { bucket: name, id, expected, ok });
+        return ok;
+      } catch (err) {
+        log.warn('redis_set_if_version_error', { bucket: name, id, err: String(err) });
+        throw err;
+      }
+    },
     async delete(id) {
       try {
         const client = await getRedisClient();
-        await client.del(keyFor(id));
+        await ensureIndexed();
+        await write(client, id, null);
         log.log('redis_delete_success', { bucket: name, id });
       } catch (err) {
         log.warn('redis_delete_error', { bucket: name, id, err: String(err) });
@@ -74,41 +336,189 @@ function createRedisBucket(name) {
     async values() {
       try {
         const client = await getRedisClient();
-        const keys = await client.keys(match);
-
-        if (keys.length === 0) return [];
-
-        const values = await client.mGet(keys);
-        return values
-          .filter(val => val != null)
-          .map(val => {
-            try {
-              return JSON.parse(val);
-            } catch (err) {
-              log.warn('redis_parse_error', { err: String(err) });
-              return null;
-            }
-          })
-          .filter(Boolean);
+        await ensureIndexed();
+        return await loadIds(client, await client.sMembers(allKey));
       } catch (err) {
         log.warn('redis_values_error', { bucket: name, err: String(err) });
-        return [];
+        throw err;
+      }
+    },
+    async query(filter = {}) {
+      assertKnownFilter(name, filter, spec);
+      try {
+        const client = await getRedisClient();
+        await ensureIndexed();
+
+        const setKeys = Object.entries(filter)
+          .filter(([index, want]) => spec.indexes[index] && isSet(want))
+          .map(([index, want]) => setKey(index, String(want)));
+        let ids = setKeys.length ? await client.sInter(setKeys) : await client.sMembers(allKey);
+
+        // a range within one org reads that org's sorted set, never every org's entries
+        for (const [index, want] of Object.entries(filter)) {
+          if (!spec.sorted[index] || !isSet(want) || ids.length === 0) continue;
+          const inRange = new Set(await client.zRangeByScore(zKey(index, filter.orgId), want.min ?? '-inf', want.max ?? '+inf'));
+          ids = ids.filter(id => inRange.has(id));
+        }
+
+        const items = (await loadIds(client, ids)).filter(obj => matchesFilter(obj, filter, spec));
+        log.log('redis_query', { bucket: name, filter: Object.keys(filter), count: items.length });
+        return items;
+      } catch (err) {
+        log.warn('redis_query_error', { bucket: name, err: String(err) });
+        throw err;
       }
     },
     async clear() {
       try {
         const client = await getRedisClient();
-        const keys = await client.keys(match);
-        if (keys.length > 0) {
-          await client.del(keys);
+        const keys = [...(await scanKeys(client, match)), ...(await scanKeys(client, `idx:${name}:*`))];
+        for (let i = 0; i < keys.length; i += 500) {
+          await client.del(keys.slice(i, i + 500));
         }
+        // the bucket is empty, so there is nothing left to reindex
+        await client.set(readyKey, new Date().toISOString());
       } catch (err) {
         log.warn('redis_clear_error', { bucket: name, err: String(err) });
+        throw err;
       }
     },
   };
 }
 
+// pub/sub channel of the change feed; one channel for all orgs, subscribers filter by orgId
+const EVENTS_CHANNEL = 'events:changes';
+
+/*
+ * Change feed fanout.
+ *
+ * publish(message) reaches every subscribe(listener) of this process and, on Redis, of every
+ * other API instance through pub/sub. Messages are JSON. Publishing never throws; a lost
+ * message only means a client sees the change on its next refresh.
+ */
+export function createEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const subscribe = listener => {
+    emitter.on('message', listener);
+    return () => emitter.off('message', listener);
+  };
+
+  if (!useRedis) {
+    log.log('events=memory');
+    return {
+      async publish(message) { emitter.emit('message', message); },
+      subscribe,
+    };
+  }
+
+  // a connection in subscriber mode cannot run other commands, so it gets its own
+  let subscriberPromise = null;
+  function ensureSubscriber() {
+    if (!subscriberPromise) {
+      subscriberPromise = (async () => {
+        const client = (await getRedisClient()).duplicate();
+        client.on('error', (err) => log.warn('redis_subscriber_error', { err: String(err) }));
+        await client.connect();
+        await client.subscribe(EVENTS_CHANNEL, raw => {
+          try {
+            emitter.emit('message', JSON.parse(raw));
+          } catch (err) {
+            log.warn('redis_event_parse_error', { err: String(err) });
+          }
+        });
+        log.log('events=redis channel=' + EVENTS_CHANNEL);
+        return client;
+      })().catch(err => {
+        subscriberPromise = null;
+        log.warn('redis_subscribe_error', { err: String(err) });
+      });
+    }
+    return subscriberPromise;
+  }
+
+  return {
+    async publish(message) {
+      try {
+        const client = await getRedisClient();
+        await client.publish(EVENTS_CHANNEL, JSON.stringify(message));
+      } catch (err) {
+        log.warn('redis_publish_error', { err: String(err) });
+      }
+    },
+    subscribe(listener) {
+      ensureSubscriber();
+      return subscribe(listener);
+    },
+  };
+}
+
+/*
+ * Blob storage for file contents (task attachments); records about them stay in the buckets.
+ *
+ * Keys are paths of segments joined by /, e.g. `${orgId}/${taskId}/${attachmentId}`:
+ *   put(key, bytes)      store a Buffer, replacing what was there
+ *   get(key)             the Buffer, or null
+ *   delete(key)          remove one blob
+ *   deletePrefix(prefix) remove every blob under prefix (a segment path without the trailing /)
+ *   clear()              remove everything
+ * API_ATTACHMENTS_DIR selects the filesystem backend with that directory as its root; otherwise
+ * blobs are kept in memory and are lost when the process exits.
+ */
+function createMemoryBlobs() {
+  const m = new Map();
+  return {
+    backend: 'memory',
+    async put(key, bytes) { m.set(key, Buffer.from(bytes)); },
+    async get(key) { return m.has(key) ? Buffer.from(m.get(key)) : null; },
+    async delete(key) { m.delete(key); },
+    async deletePrefix(prefix) {
+      for (const key of [...m.keys()]) if (key.startsWith(`${prefix}/`)) m.delete(key);
+    },
+    async clear() { m.clear(); },
+  };
+}
+
+function createFsBlobs(root) {
+  // every segment is encoded, so a key can never point outside the root
+  const pathOf = key => join(root, ...key.split('/').map(part => encodeURIComponent(part).replace(/^\.+$/, m => '%2E'.repeat(m.length))));
+  return {
+    backend: 'fs',
+    async put(key, bytes) {
+      const path = pathOf(key);
+      await mkdir(dirname(path), { recursive: true });
+      // write then rename, so readers never see a partial file
+      const tmp = `${path}.${process.pid}.${Date.now()}.tmp`;
+      await writeFile(tmp, bytes);
+      await rename(tmp, path);
+    },
+    async get(key) {
+      try {
+        return await readFile(pathOf(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async delete(key) { await rm(pathOf(key), { force: true }); },
+    async deletePrefix(prefix) { await rm(pathOf(prefix), { recursive: true, force: true }); },
+    async clear() {
+      await rm(root, { recursive: true, force: true });
+      await mkdir(root, { recursive: true });
+    },
+  };
+}
+
+export function createBlobStore() {
+  if (attachmentsDir) {
+    log.log(`blobs=fs dir=${attachmentsDir}`);
+    return createFsBlobs(attachmentsDir);
+  }
+  if (useRedis) log.warn('blobs=memory reason=no_API_ATTACHMENTS_DIR; attachment contents are lost on restart while their records stay in redis');
+  else log.log('blobs=memory reason=no_API_ATTACHMENTS_DIR');
+  return createMemoryBlobs();
+}
+
 export function createStore() {
   const make = useRedis ? createRedisBucket : createMemoryBucket;
   if (useRedis) {
@@ -121,5 +531,16 @@ export function createStore() {
   return {
     projects: make('projects'),
     tasks: make('tasks'),
+    history: make('history'),
+    trash: make('trash'),
+    members: make('members'),
+    views: make('views'),
+    webhooks: make('webhooks'),
+    deliveries: make('deliveries'),
+    notifications: make('notifications'),
+    notificationPrefs: make('notificationPrefs'),
+    comments: make('comments'),
+    imports: make('imports'),
+    feeds: make('feeds'),
   };
 }
@@ -0,0 +1,285 @@
+/*
+ * Moving projects and tasks in and out of an org: the export formats (JSON and CSV) and reading
+ * import files into a common source that POST /import turns into records.
+ *
+ * A source is { projects: [...], tasks: [...] }:
+ * - project: { key, name, description, workflow, visibility, defaultRole, byName }. `key` is how
+ *   tasks refer to it; `byName` lets the import reuse an existing project with the same name.
+ * - task: { row, key, id, projectKey, title, description, status, priority, ownerId, dueAt,
+ *   estimate, tags, recurrence, parentKey, blockerKeys[], comments[], errors }. `row` locates it in
+ *   the file, keys are the ids it had there, and `errors` holds values that could not be read.
+ * - comment: { key, parentKey, authorId, text, createdAt }.
+ * Fields missing from the file are undefined; checking values against the target is up to the import.
+ */
+
+export const EXPORT_FORMAT = 'taskvantage-export';
+export const EXPORT_VERSION = 1;
+export const IMPORT_FORMATS = ['json', 'csv'];
+export const IMPORT_MAX_TASKS = 5000;
+
+// CSV columns of an export, one row per task
+export const CSV_COLUMNS = [
+  'id', 'project', 'title', 'description', 'status', 'priority', 'ownerId', 'dueAt', 'estimate', 'tags',
+  'parentTaskId', 'blockedBy', 'createdAt', 'comments',
+];
+// task fields a CSV column can be mapped to
+export const IMPORT_FIELDS = CSV_COLUMNS.filter(f => f !== 'createdAt');
+
+/*
+ * CSV (RFC 4180). Cells a spreadsheet would run as a formula get a leading quote on export,
+ * which the import takes off again.
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = v => {
+  let s = v == null ? '' : String(v);
+  if (FORMULA_START.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csvLine = cells => cells.map(csvCell).join(',');
+
+// returns { rows } (arrays of cells, blank lines dropped) or { error }
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const s = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (quoted) return { error: 'a quoted cell is not closed' };
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return { rows: rows.filter(r => r.some(x => x.trim() !== '')) };
+}
+
+const unformula = s => (s.startsWith("'") && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s);
+
+/*
+ * Export
+ */
+const exportProject = p => ({
+  id: p.id,
+  name: p.name,
+  description: p.description,
+  workflow: p.workflow,
+  visibility: p.visibility,
+  defaultRole: p.defaultRole,
+  archivedAt: p.archivedAt || null,
+  createdAt: p.createdAt,
+});
+
+const exportComment = x => ({ id: x.id, parentId: x.parentId, authorId: x.authorId, text: x.text, createdAt: x.createdAt, editedAt: x.editedAt });
+
+const exportTask = (t, comments) => ({
+  id: t.id,
+  projectId: t.projectId,
+  title: t.title,
+  description: t.description,
+  status: t.status,
+  priority: t.priority,
+  ownerId: t.ownerId,
+  dueAt: t.dueAt,
+  estimate: t.estimate ?? null,
+  tags: t.tags || [],
+  parentTaskId: t.parentTaskId ?? null,
+  blockedBy: t.blockedBy || [],
+  recurrence: t.recurrence ?? null,
+  createdAt: t.createdAt,
+  updatedAt: t.updatedAt,
+  createdBy: t.createdBy,
+  comments: comments.map(exportComment),
+});
+
+/**
+ * The JSON export document. `comments` maps a task id to its comments; deleted placeholders are
+ * left out. Attachment files are not part of an export.
+ */
+export function exportDocument({ orgId, projects, tasks, comments }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    orgId,
+    projects: projects.map(exportProject),
+    tasks: tasks.map(t => exportTask(t, (comments.get(t.id) || []).filter(x => !x.deletedAt))),
+  };
+}
+
+// the CSV export of a document: tags are comma separated, blockers space separated, comments JSON
+export function exportCsv(doc) {
+  const names = new Map(doc.projects.map(p => [p.id, p.name]));
+  const lines = [csvLine(CSV_COLUMNS)];
+  for (const t of doc.tasks) {
+    lines.push(csvLine([
+      t.id, names.get(t.projectId), t.title, t.description, t.status, t.priority, t.ownerId, t.dueAt, t.estimate,
+      t.tags.join(', '), t.parentTaskId, t.blockedBy.join(' '), t.createdAt,
+      t.comments.length ? JSON.stringify(t.comments.map(({ authorId, text, createdAt }) => ({ authorId, text, createdAt }))) : '',
+    ]));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/*
+ * Import
+ */
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const strOrUndefined = v => (v == null || v === '' ? undefined : v);
+const idList = v => (Array.isArray(v) ? v : []).map(String);
+
+const readComments = list => (Array.isArray(list) ? list : []).filter(isObject).map((x, i) => ({
+  key: x.id != null ? String(x.id) : `comment:${i}`,
+  parentKey: x.parentId != null ? String(x.parentId) : null,
+  authorId: strOrUndefined(x.authorId),
+  text: x.text,
+  createdAt: strOrUndefined(x.createdAt),
+}));
+
+// an export document, { tasks, projects? }, or a plain array of tasks
+function readJson(data) {
+  let doc = data;
+  if (typeof doc === 'string') {
+    try { doc = JSON.parse(doc); } catch { return { error: 'data is not valid JSON' }; }
+  }
+  if (Array.isArray(doc)) doc = { tasks: doc };
+  if (!isObject(doc) || !Array.isArray(doc.tasks)) return { error: 'data must be an export document or an array of tasks' };
+
+  const projects = (Array.isArray(doc.projects) ? doc.projects : []).filter(p => isObject(p) && p.id != null).map(p => ({
+    key: String(p.id),
+    name: typeof p.name === 'string' && p.name.trim() ? p.name : `Imported project ${p.id}`,
+    description: typeof p.description === 'string' ? p.description : '',
+    workflow: p.workflow ?? null,
+    visibility: p.visibility,
+    defaultRole: p.defaultRole,
+    byName: false,
+  }));
+  const known = new Set(projects.map(p => p.key));
+  const tasks = doc.tasks.map((t, i) => {
+    if (!isObject(t)) return { row: i + 1, key: `row:${i + 1}`, comments: [], blockerKeys: [], errors: { task: 'must be an object' } };
+    const id = t.id != null ? String(t.id) : undefined;
+    return {
+      row: i + 1,
+      key: id ?? `row:${i + 1}`,
+      id,
+      projectKey: t.projectId != null && known.has(String(t.projectId)) ? String(t.projectId) : null,
+      title: t.title,
+      description: t.description,
+      status: strOrUndefined(t.status),
+      priority: strOrUndefined(t.priority),
+      ownerId: strOrUndefined(t.ownerId),
+      dueAt: t.dueAt ?? undefined,
+      estimate: t.estimate ?? undefined,
+      tags: t.tags,
+      recurrence: t.recurrence ?? undefined,
+      parentKey: t.parentTaskId != null ? String(t.parentTaskId) : null,
+      blockerKeys: idList(t.blockedBy),
+      comments: readComments(t.comments),
+      errors: {},
+    };
+  });
+  return { source: { projects, tasks } };
+}
+
+/**
+ * Which column feeds each field: `mapping` ({ field: header }, null to leave a field out) first,
+ * then a column named like the field. Returns { columns: { field: index }, errors }.
+ */
+function mapColumns(headers, mapping = {}) {
+  const errors = {};
+  const columns = {};
+  if (!isObject(mapping)) return { columns, errors: { mapping: 'must be an object of field: column header' } };
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) errors[`mapping.${field}`] = `is not a field; use ${IMPORT_FIELDS.join(', ')}`;
+    else if (header === null) columns[field] = -1;
+    else if (!headers.includes(header)) errors[`mapping.${field}`] = `no column named ${header}`;
+    else columns[field] = headers.indexOf(header);
+  }
+  for (const field of IMPORT_FIELDS) {
+    if (field in columns) continue;
+    const i = headers.findIndex(h => h.trim().toLowerCase() === field.toLowerCase());
+    if (i >= 0) columns[field] = i;
+  }
+  for (const field of Object.keys(columns)) if (columns[field] < 0) delete columns[field];
+  if (!('title' in columns)) errors['mapping.title'] = 'no column for title; map one';
+  return { columns, errors };
+}
+
+// a CSV comments cell: the JSON an export writes, or plain text taken as one comment
+const readCommentsCell = cell => {
+  if (!cell) return [];
+  if (cell.startsWith('[')) {
+    try { return readComments(JSON.parse(cell)); } catch { /* plain text that starts with a bracket */ }
+  }
+  return [{ key: 'comment:0', parentKey: null, authorId: undefined, text: cell, createdAt: undefined }];
+};
+
+function readCsv(data, mapping) {
+  if (typeof data !== 'string') return { error: 'data must be the CSV text' };
+  const parsed = parseCsv(data);
+  if (parsed.error) return { error: `CSV could not be read: ${parsed.error}` };
+  const [headers = [], ...rows] = parsed.rows;
+  if (!headers.length) return { error: 'CSV is empty' };
+  const { columns, errors } = mapColumns(headers, mapping);
+  // the file's columns and the mapping used go back to the caller, so a UI can offer to fix it
+  const used = Object.fromEntries(Object.entries(columns).map(([f, i]) => [f, headers[i]]));
+  if (Object.keys(errors).length) return { error: 'validation failed', fields: errors, columns: headers, mapping: used };
+
+  const projects = new Map();
+  const tasks = rows.map((cells, i) => {
+    const row = i + 2; // the header is line 1
+    const get = field => (field in columns ? unformula((cells[columns[field]] ?? '').trim()) : '') || undefined;
+    const errors = {};
+    let estimate = get('estimate');
+    if (estimate !== undefined) {
+      estimate = Number(estimate);
+      if (Number.isNaN(estimate)) errors.estimate = `${get('estimate')} is not a number`;
+    }
+    const name = get('project');
+    const projectKey = name ? `name:${name.toLowerCase()}` : null;
+    if (projectKey && !projects.has(projectKey)) projects.set(projectKey, { key: projectKey, name, description: '', workflow: null, byName: true });
+    const id = get('id');
+    return {
+      row,
+      key: id ?? `row:${row}`,
+      id,
+      projectKey,
+      title: get('title'),
+      // descriptions keep their line breaks and indentation, so they are not trimmed
+      description: 'description' in columns ? unformula(cells[columns.description] ?? '') : undefined,
+      status: get('status'),
+      priority: get('priority')?.toLowerCase(),
+      ownerId: get('ownerId'),
+      dueAt: get('dueAt'),
+      estimate,
+      tags: get('tags')?.split(',').map(x => x.trim()).filter(Boolean),
+      recurrence: undefined,
+      parentKey: get('parentTaskId') ?? null,
+      blockerKeys: get('blockedBy')?.split(/[\s,]+/).filter(Boolean) || [],
+      comments: readCommentsCell(get('comments')),
+      errors,
+    };
+  });
+  return { source: { projects: [...projects.values()], tasks }, columns: headers, mapping: used };
+}
+
+/**
+ * Read an import file. Returns { source } (CSV also returns the file's columns and the mapping
+ * used) or { error, fields? }.
+ */
+export function readImport({ format, data, mapping }) {
+  if (!IMPORT_FORMATS.includes(format)) return { error: 'validation failed', fields: { format: `must be one of ${IMPORT_FORMATS.join(', ')}` } };
+  if (data == null || data === '') return { error: 'validation failed', fields: { data: 'is required' } };
+  const result = format === 'csv' ? readCsv(data, mapping) : readJson(data);
+  if (result.source && result.source.tasks.length > IMPORT_MAX_TASKS) return { error: `at most ${IMPORT_MAX_TASKS} tasks per import` };
+  return result;
+}
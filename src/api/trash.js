@@ -0,0 +1,64 @@
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:trash');
+
+const DAY_MS = 86400000;
+
+/*
+ * Per-org trash for deleted tasks.
+ *
+ * An entry keeps the deleted record and the tasks that linked to it (subtasks, tasks it blocked),
+ * so a restore can put both back. Entries share the id of the record they hold and expire after
+ * `retentionDays`; expired entries are never returned and are removed by purge(), which hands each
+ * one to `onPurge` so data kept elsewhere for a restore (e.g. comments) can go with it.
+ * Entries: { id, orgId, entityType, projectId, item, links, deletedAt, deletedBy, expiresAt }
+ */
+export function createTrash(bucket, { retentionDays, onPurge }) {
+  const expired = (entry, now = Date.now()) => new Date(entry.expiresAt).getTime() <= now;
+
+  return {
+    retentionDays,
+
+    async put(orgId, entityType, item, { deletedBy, links = null }) {
+      const deletedAt = new Date();
+      const entry = {
+        id: item.id,
+        orgId,
+        entityType,
+        projectId: item.projectId ?? null,
+        item,
+        links,
+        deletedAt: deletedAt.toISOString(),
+        deletedBy,
+        expiresAt: new Date(deletedAt.getTime() + retentionDays * DAY_MS).toISOString(),
+      };
+      await bucket.set(entry.id, entry);
+      return entry;
+    },
+
+    async get(orgId, id) {
+      const entry = await bucket.get(id);
+      return entry && entry.orgId === orgId && !expired(entry) ? entry : null;
+    },
+
+    async list(orgId, { entityType, projectId } = {}) {
+      const now = Date.now();
+      return (await bucket.query({ orgId, entityType, projectId })).filter(e => !expired(e, now));
+    },
+
+    async remove(id) {
+      await bucket.delete(id);
+    },
+
+    // drop entries past their retention window; all orgs when orgId is not given
+    async purge({ orgId, now = Date.now() } = {}) {
+      const entries = await bucket.query({ orgId, expiresAt: { max: now } });
+      for (const entry of entries) {
+        await bucket.delete(entry.id);
+        await onPurge?.(entry);
+      }
+      if (entries.length) log.log('TRASH purged:', { orgId: orgId || 'all', count: entries.length });
+      return entries.length;
+    },
+  };
+}
@@ -0,0 +1,82 @@
+/*
+ * Saved views: a named set of GET /tasks filters and a sort, owned by one user.
+ *
+ * { id, orgId, ownerId, name, description, filters, sort, shared, createdAt, updatedAt, version }
+ *
+ * filters holds the same keys as the GET /tasks query (see VIEW_FILTERS). Views are stored as
+ * given and evaluated when run, so `owner:me` in a shared view means whoever runs it, and tasks
+ * the runner cannot see are left out as usual. Shared views are visible to the whole org but
+ * only their owner can change them.
+ */
+
+export const VIEW_FILTERS = [
+  'q', 'projectId', 'ownerId', 'status', 'priority', 'tag', 'dueBefore', 'dueAfter', 'minEstimate', 'maxEstimate', 'includeArchived',
+];
+const STRING_FILTERS = ['q', 'projectId', 'ownerId', 'status', 'priority', 'tag'];
+const DATE_FILTERS = ['dueBefore', 'dueAfter'];
+const NUMBER_FILTERS = ['minEstimate', 'maxEstimate'];
+const VIEW_MUTABLE_FIELDS = ['name', 'description', 'filters', 'sort', 'shared'];
+
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+
+function filterError(key, value, checkQuery) {
+  if (!VIEW_FILTERS.includes(key)) return `unknown filter; use ${VIEW_FILTERS.join(', ')}`;
+  if (STRING_FILTERS.includes(key) && !isNonEmptyString(value)) return 'must be a non-empty string';
+  if (DATE_FILTERS.includes(key) && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) return 'must be an ISO 8601 date';
+  if (NUMBER_FILTERS.includes(key) && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) return 'must be a non-negative number';
+  if (key === 'includeArchived' && typeof value !== 'boolean') return 'must be a boolean';
+  if (key === 'q') return checkQuery(value);
+  return null;
+}
+
+/**
+ * Validate a view body; only keys present are checked. `checkSort(sort)` and `checkQuery(q)`
+ * return an error message or null, so the rules stay those of GET /tasks.
+ * Returns { changes, errors } keyed by field, with filter errors under `filters.<key>`.
+ */
+export function validateView(b, { checkSort, checkQuery }) {
+  const changes = {};
+  const errors = {};
+  for (const key of Object.keys(b)) {
+    if (!VIEW_MUTABLE_FIELDS.includes(key)) errors[key] = 'field is not editable';
+  }
+  if ('name' in b) {
+    if (isNonEmptyString(b.name)) changes.name = b.name.trim();
+    else errors.name = 'must be a non-empty string';
+  }
+  if ('description' in b) {
+    if (typeof b.description === 'string') changes.description = b.description;
+    else errors.description = 'must be a string';
+  }
+  if ('shared' in b) {
+    if (typeof b.shared === 'boolean') changes.shared = b.shared;
+    else errors.shared = 'must be a boolean';
+  }
+  if ('sort' in b) {
+    const problem = b.sort === null ? null : typeof b.sort === 'string' ? checkSort(b.sort) : 'must be a string or null';
+    if (problem) errors.sort = problem;
+    else changes.sort = b.sort;
+  }
+  if ('filters' in b) {
+    const f = b.filters;
+    if (!f || typeof f !== 'object' || Array.isArray(f)) {
+      errors.filters = 'must be an object';
+    } else {
+      const filters = {};
+      for (const [key, value] of Object.entries(f)) {
+        if (value == null || value === '') continue;
+        const problem = filterError(key, value, checkQuery);
+        if (problem) errors[`filters.${key}`] = problem;
+        else filters[key] = value;
+      }
+      changes.filters = filters;
+    }
+  }
+  return { changes, errors };
+}
+
+// the GET /tasks query string for a view's filters and sort
+export const viewQuery = view => Object.fromEntries([
+  ...Object.entries(view.filters || {}).map(([key, value]) => [key, String(value)]),
+  ...(view.sort ? [['sort', view.sort]] : []),
+]);
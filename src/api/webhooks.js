@@ -0,0 +1,251 @@
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('api-server:webhooks');
+
+export const WEBHOOK_EVENTS = [
+  'task.created', 'task.updated', 'task.status_changed', 'task.assigned', 'task.commented', 'task.comment_edited', 'task.comment_deleted',
+  'task.attachment_added', 'task.attachment_removed', 'task.imported', 'task.deleted', 'task.restored',
+  'project.created', 'project.imported', 'project.updated', 'project.archived', 'project.restored', 'project.deleted',
+];
+
+// delivery log entries kept per subscription; older finished deliveries are dropped
+const DELIVERY_LOG_SIZE = 100;
+const SECRET_MIN_LENGTH = 16;
+
+/**
+ * Event types of a history event, most specific first. A task update that changes the status
+ * or owner is also a status_changed or assigned event, and is delivered once either way.
+ */
+export function eventTypes(event) {
+  const base = `${event.entityType}.${event.action}`;
+  if (event.entityType !== 'task' || event.action !== 'updated') return [base];
+  const fields = event.changes.map(ch => ch.field);
+  return [
+    ...(fields.includes('status') ? ['task.status_changed'] : []),
+    ...(fields.includes('ownerId') ? ['task.assigned'] : []),
+    base,
+  ];
+}
+
+/**
+ * Signature header for `body` sent at `timestamp` (unix seconds): `t=<timestamp>,v1=<hex>`,
+ * where v1 is the HMAC-SHA256 of `<timestamp>.<body>` with the subscription's secret.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// validate a subscription body; returns { changes, errors } keyed by field
+export function validateWebhook(b) {
+  const changes = {};
+  const errors = {};
+  let url = null;
+  try { url = new URL(b.url); } catch { /* reported below */ }
+  if (url && ['http:', 'https:'].includes(url.protocol)) changes.url = url.toString();
+  else errors.url = 'must be an http or https URL';
+  if (b.events != null) {
+    const unknown = Array.isArray(b.events) ? b.events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e)) : null;
+    if (!Array.isArray(b.events) || !b.events.length) errors.events = 'must be a non-empty array';
+    else if (unknown.length) errors.events = `unknown events ${unknown.join(', ')}; use * or ${WEBHOOK_EVENTS.join(', ')}`;
+    else changes.events = [...new Set(b.events)];
+  }
+  if (b.secret != null) {
+    if (typeof b.secret === 'string' && b.secret.length >= SECRET_MIN_LENGTH) changes.secret = b.secret;
+    else errors.secret = `must be a string of at least ${SECRET_MIN_LENGTH} characters`;
+  }
+  if (b.description != null) {
+    if (typeof b.description === 'string') changes.description = b.description;
+    else errors.description = 'must be a string';
+  }
+  return { changes, errors };
+}
+
+/*
+ * Outbound webhooks.
+ *
+ * Subscriptions: { id, orgId, url, events[], secret, description, createdAt, createdBy }, where
+ * events may be ['*']. Every matching history event becomes a delivery:
+ * { id, orgId, webhookId, event, payload, status, attempts[], nextAttemptAt, createdAt, completedAt }
+ * with status pending, succeeded or failed. The first attempt is made right away; failed ones
+ * (network errors and non-2xx answers) are retried by retryDue() with exponential backoff:
+ * retryBaseMs, then twice that, and so on, up to maxAttempts. Delivery is at least once, so
+ * receivers should ignore X-TV-Delivery ids they have already seen.
+ */
+export function createWebhooks(bucket, deliveries, { maxAttempts, retryBaseMs, timeoutMs }) {
+  // subscriptions are returned without their secret except when created
+  const publicView = ({ secret, ...hook }) => ({ ...hook, secretHint: `${secret.slice(0, 4)}…` });
+  const nextDelay = attempt => retryBaseMs * 2 ** (attempt - 1);
+  let retrying = false;
+
+  async function attempt(hook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TaskVantage-Webhooks/1',
+          'X-TV-Event': delivery.event,
+          'X-TV-Delivery': delivery.id,
+          'X-TV-Signature': signPayload(hook.secret, Math.floor(started / 1000), body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+        redirect: 'manual',
+      });
+      record.statusCode = res.status;
+      if (!res.ok) record.error = `HTTP ${res.status}`;
+      await res.body?.cancel().catch(() => {});
+    } catch (err) {
+      record.error = err?.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : String(err?.cause?.code || err?.cause?.message || err?.message || err);
+    }
+    record.durationMs = Date.now() - started;
+
+    delivery.attempts.push(record);
+    const limit = delivery.maxAttempts || maxAttempts;
+    if (!record.error) {
+      delivery.status = 'succeeded';
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = record.at;
+    } else if (delivery.attempts.length >= limit) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.completedAt = record.at;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + nextDelay(delivery.attempts.length)).toISOString();
+    }
+    await deliveries.set(delivery.id, delivery);
+    log.log('WEBHOOK delivery:', {
+      webhookId: hook.id, deliveryId: delivery.id, event: delivery.event, attempt: delivery.attempts.length, status: delivery.status, error: record.error,
+    });
+    return delivery;
+  }
+
+  // keep the delivery log bounded; pending deliveries are never dropped
+  async function trimLog(webhookId) {
+    const done = (await deliveries.query({ webhookId }))
+      .filter(d => d.status !== 'pending')
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const d of done.slice(DELIVERY_LOG_SIZE)) await deliveries.delete(d.id);
+  }
+
+  async function enqueue(hook, event, payload, opts = {}) {
+    const delivery = {
+      id: randomUUID(),
+      orgId: hook.orgId,
+      webhookId: hook.id,
+      event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      maxAttempts: opts.maxAttempts || maxAttempts,
+      nextAttemptAt: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    await deliveries.set(delivery.id, delivery);
+    await trimLog(hook.id);
+    return attempt(hook, delivery);
+  }
+
+  return {
+    async create(orgId, fields, { createdBy }) {
+      const hook = {
+        id: randomUUID(),
+        orgId,
+        url: fields.url,
+        events: fields.events || ['*'],
+        secret: fields.secret || `whsec_${randomBytes(24).toString('hex')}`,
+        description: fields.description || '',
+        createdAt: new Date().toISOString(),
+        createdBy,
+      };
+      await bucket.set(hook.id, hook);
+      log.log('WEBHOOK created:', { id: hook.id, orgId, url: hook.url, events: hook.events });
+      // the only time the secret is shown
+      return { ...publicView(hook), secret: hook.secret };
+    },
+
+    async get(orgId, id) {
+      const hook = await bucket.get(id);
+      return hook && hook.orgId === orgId ? publicView(hook) : null;
+    },
+
+    async list(orgId) {
+      return (await bucket.query({ orgId })).map(publicView);
+    },
+
+    // removes the subscription and its delivery log
+    async remove(orgId, id) {
+      const hook = await bucket.get(id);
+      if (!hook || hook.orgId !== orgId) return false;
+      for (const d of await deliveries.query({ webhookId: id })) await deliveries.delete(d.id);
+      await bucket.delete(id);
+      log.log('WEBHOOK deleted:', { id, orgId });
+      return true;
+    },
+
+    async deliveries(orgId, webhookId) {
+      return deliveries.query({ orgId, webhookId });
+    },
+
+    // one attempt, no retries; returns the delivery so the caller sees the receiver's answer
+    async ping(orgId, id) {
+      const hook = await bucket.get(id);
+      if (!hook || hook.orgId !== orgId) return null;
+      const payload = { id: randomUUID(), type: 'ping', orgId, occurredAt: new Date().toISOString(), webhookId: id };
+      return enqueue(hook, 'ping', payload, { maxAttempts: 1 });
+    },
+
+    /**
+     * Deliver a history event to the org's matching subscriptions, with `data`, the record after
+     * the change. Never fails the caller; the first attempts run in the background.
+     */
+    async dispatch(event, data) {
+      try {
+        const hooks = await bucket.query({ orgId: event.orgId });
+        if (!hooks.length) return;
+        const types = eventTypes(event);
+        const matching = hooks.filter(h => h.events.includes('*') || h.events.some(e => types.includes(e)));
+        if (!matching.length) return;
+        const payload = {
+          id: event.id,
+          type: types[0],
+          types,
+          orgId: event.orgId,
+          occurredAt: event.at,
+          actor: { userId: event.actorId, client: event.client },
+          entityType: event.entityType,
+          entityId: event.entityId,
+          changes: event.changes,
+          data,
+        };
+        for (const hook of matching) {
+          enqueue(hook, types[0], payload).catch(err => log.warn('WEBHOOK enqueue failed:', { webhookId: hook.id, err: String(err) }));
+        }
+      } catch (err) {
+        log.warn('WEBHOOK dispatch failed:', { eventId: event.id, err: String(err) });
+      }
+    },
+
+    // retry pending deliveries whose backoff has passed; run periodically by the server
+    async retryDue({ now = Date.now() } = {}) {
+      // a slow receiver can outlast the timer; never run two sweeps at once
+      if (retrying) return 0;
+      retrying = true;
+      try {
+        const due = await deliveries.query({ status: 'pending', nextAttemptAt: { max: now } });
+        for (const delivery of due) {
+          const hook = await bucket.get(delivery.webhookId);
+          if (!hook) { await deliveries.delete(delivery.id); continue; }
+          await attempt(hook, delivery);
+        }
+        return due.length;
+      } finally {
+        retrying = false;
+      }
+    },
+  };
+}
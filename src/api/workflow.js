@@ -0,0 +1,101 @@
+/*
+ * Per-project task workflows.
+ *
+ * A workflow is { statuses: [{ id, name, closed }], initial, transitions }.
+ * `closed` statuses count as finished (due-soon, blockers, subtask rollup).
+ * `transitions` maps a status id to the ids it may move to; null allows any move.
+ */
+
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { id: 'todo', name: 'To Do', closed: false },
+    { id: 'in_progress', name: 'In Progress', closed: false },
+    { id: 'done', name: 'Done', closed: true },
+  ],
+  initial: 'todo',
+  transitions: null,
+};
+
+const STATUS_ID = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_STATUSES = 20;
+
+// projects created before workflows existed use the default
+export const workflowOf = project => project?.workflow || DEFAULT_WORKFLOW;
+
+export const statusIds = workflow => workflow.statuses.map(s => s.id);
+export const hasStatus = (workflow, status) => statusIds(workflow).includes(status);
+export const isClosedStatus = (workflow, status) => !!workflow.statuses.find(s => s.id === status)?.closed;
+export const statusIndex = (workflow, status) => statusIds(workflow).indexOf(status);
+
+/**
+ * Error message for moving a task from `from` to `to`, or null when allowed.
+ * `from` outside the workflow (a new task, or one moved in from another project) skips transitions.
+ */
+export function transitionError(workflow, from, to) {
+  if (!hasStatus(workflow, to)) return `status must be one of ${statusIds(workflow).join(', ')}`;
+  if (from === to || !workflow.transitions || !hasStatus(workflow, from)) return null;
+  const allowed = workflow.transitions[from] || [];
+  if (allowed.includes(to)) return null;
+  return allowed.length
+    ? `cannot move from ${from} to ${to}; allowed: ${allowed.join(', ')}`
+    : `cannot move out of ${from}`;
+}
+
+/**
+ * Validate a workflow from a request body.
+ * Returns { workflow, errors } with errors keyed by field; names default to the id.
+ */
+export function normalizeWorkflow(input) {
+  const errors = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { workflow: null, errors: { workflow: 'must be an object' } };
+  }
+
+  const { statuses, initial, transitions = null } = input;
+  if (!Array.isArray(statuses) || !statuses.length || statuses.length > MAX_STATUSES) {
+    return { workflow: null, errors: { statuses: `must be an array of 1 to ${MAX_STATUSES} statuses` } };
+  }
+  const normalized = [];
+  for (const [i, s] of statuses.entries()) {
+    if (!s || !STATUS_ID.test(s.id)) {
+      errors.statuses = `statuses[${i}].id must be lowercase letters, digits or _ (max 32 chars)`;
+      break;
+    }
+    if (normalized.some(x => x.id === s.id)) {
+      errors.statuses = `duplicate status ${s.id}`;
+      break;
+    }
+    if (s.name != null && (typeof s.name !== 'string' || !s.name.trim())) {
+      errors.statuses = `statuses[${i}].name must be a non-empty string`;
+      break;
+    }
+    normalized.push({ id: s.id, name: s.name?.trim() || s.id, closed: s.closed === true });
+  }
+  if (errors.statuses) return { workflow: null, errors };
+
+  const ids = normalized.map(s => s.id);
+  if (initial != null && !ids.includes(initial)) errors.initial = `must be one of ${ids.join(', ')}`;
+
+  let normalizedTransitions = null;
+  if (transitions !== null) {
+    if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+      errors.transitions = 'must be an object mapping a status to the statuses it can move to, or null';
+    } else {
+      normalizedTransitions = {};
+      for (const [from, to] of Object.entries(transitions)) {
+        if (!ids.includes(from)) { errors.transitions = `unknown status ${from}`; break; }
+        if (!Array.isArray(to) || !to.every(x => ids.includes(x))) {
+          errors.transitions = `transitions.${from} must be an array of statuses from this workflow`;
+          break;
+        }
+        normalizedTransitions[from] = [...new Set(to.filter(x => x !== from))];
+      }
+    }
+  }
+
+  if (Object.keys(errors).length) return { workflow: null, errors };
+  return {
+    workflow: { statuses: normalized, initial: initial ?? ids[0], transitions: normalizedTransitions },
+    errors,
+  };
+}
@@ -1,17 +1,36 @@
 import {Hono} from 'hono';
+import {ResourceTemplate} from '@modelcontextprotocol/sdk/server/mcp.js';
 import {cors} from 'hono/cors';
 import {z} from 'zod';
 import {createMcpHandler, metadataCorsOptionsRequestHandler, protectedResourceHandler, withMcpAuth, generateProtectedResourceMetadata,} from 'mcp-handler';
 
 import * as env from './env.js';
-import {callApi, enc, qs} from './client.js';
+import {callApi, enc, ifMatch, qs} from './client.js';
 import {createMcpAuthFunction} from './auth.js';
+import {summarizeExport} from './export.js';
+import {checkStatus, describeWorkflow, getWorkflow, statusInput, statusSchema, workflowInput} from './workflow.js';
 import {createLogger} from '../utils/logger.js';
 
 const log = createLogger('mcp-server');
 
 export const formatResult = (data) => ({ content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] });
 
+// the API validates the rule; this only documents the accepted shapes
+const recurrenceSchema = z.union([
+  z.string().min(1).describe('daily, weekly, monthly, yearly or an RRULE such as FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'),
+  z.object({
+    freq: z.enum(['daily', 'weekly', 'monthly', 'yearly']),
+    interval: z.number().int().min(1).optional().describe('Every n days/weeks/months/years'),
+    byDay: z.array(z.string()).optional().describe('Weekly only: weekdays such as MO, TU or monday'),
+    byMonthDay: z.number().int().optional().describe('Monthly only: 1 to 31, or -1 for the last day'),
+    until: z.string().optional().describe('No occurrences after this date'),
+    count: z.number().int().min(1).optional().describe('At most this many occurrences'),
+  }),
+]);
+
+// attachments the MCP resources return as text
+const isTextType = (type) => type.startsWith('text/') || type === 'application/json';
+
 const baseHandler = createMcpHandler(
   (server) => {
     if (server.setInstructions) {
@@ -20,17 +39,34 @@ const baseHandler = createMcpHandler(
 Key behaviors:
 - When user asks for "my tasks" or "my open tasks", use tv_list_tasks with ownerId set to the current user's ID
 - When user asks for "team tasks" or "all tasks", use tv_list_tasks without ownerId filter
-- Status values are: todo, in_progress, done
+- When user asks for a named view ("my triage view", "unassigned in Project X" if saved), use tv_run_view with name; tv_list_views shows which views exist
+- When user looks for tasks by what they are about or combines conditions ("open bugs about the login page due this month"), use tv_search_tasks with a query such as tag:bug is:open due<2026-11-01 "login page". A 400 invalid query explains the problem in fields.q; fix the query and retry
+- Statuses are configured per project. The default workflow is todo, in_progress, done, but projects can define their own statuses (e.g. backlog, review, qa), allowed transitions and which statuses count as closed. Call tv_get_workflow for the project before changing a status
+- Priority values are: low, medium (default), high, urgent; estimate is a non-negative number of points
 - Always prefer list/search operations before mutating data
-- Use tv_due_soon for time-based urgency queries
+- Use tv_due_soon for time-based urgency queries. When the user wants their due dates in their calendar, give them the calendar feed URL it returns; the URL is a secret that lets anyone holding it read those tasks, so only share it with the user
+- For a report or summary of a whole project ("give me an overview of Project X to share"), use tv_export_project and pass on its summary file
+- For "what did I miss?" or "any updates for me?", use tv_my_notifications and summarize by type (assignments, mentions, due dates). Pass markRead: true when you report them, so they are not reported again; leave it off when just checking
 - Task ownership (ownerId) is separate from who can see tasks (organization-based access)
+- ownerId is a user id from the organization's member directory. When the user names a person ("assign this to Maria"), call tv_list_members with q to find their userId; if several match, ask which one, and if none match, say so instead of guessing an id
+- For repeating work ("remind me to send the report every Monday"), create the task with recurrence (e.g. FREQ=WEEKLY;BYDAY=MO) and dueAt set to the first occurrence. Occurrences of a series share a seriesId; change or stop the series with tv_set_task_recurrence, not by editing or deleting each occurrence
+- Tasks only carry commentCount; read the discussion with tv_list_comments. Reply in a thread with tv_comment_task and parentId. Users can only edit or delete their own comments (403 otherwise)
+- Tasks list their files in attachments. Read a text attachment (plain text, markdown, CSV, JSON) through the resource taskvantage://tasks/{taskId}/attachments/{attachmentId}; other files can only be downloaded by the user in the web app
+- Use tv_link_tasks for "X blocks Y" (relation blocked_by) and subtasks (relation subtask_of) instead of writing it in comments
+- Moving a task to a closed status fails with 409 while its blockers are open; tell the user which tasks block it and only pass force: true if they confirm
+- "Delete project" archives it by default (tv_delete_project); archived projects and their tasks are hidden until tv_restore_project. Only pass permanent: true when the user explicitly wants it gone for good
+- The tasks of an archived project are read-only: creating, changing, commenting on or deleting them, or moving tasks into the project, fails with 409; offer to restore the project first
+- Projects have roles: viewer (read only), editor (also changes tasks) and admin (also edits the project, its workflow and members). Every project includes the caller's role. A 403 with error insufficient_role means the user's role on that project is too low; say so instead of retrying. Projects with visibility members are only visible to their members, so a 404 can mean the user has no access
+- Deleted tasks go to the trash. Before deleting several tasks, list them and confirm with the user; if a deletion was a mistake, find it with tv_list_trash and bring it back with tv_restore_task
 
 Data consistency and concurrent access:
 - ALWAYS refresh data before bulk operations (e.g., "move all my tasks to todo")
 - Multiple users may be editing tasks simultaneously via web, agent, or other interfaces
-- Before bulk updates: 1) Query current state, 2) Confirm with user if needed, 3) Update individual tasks
-- For bulk operations, process tasks individually and handle failures gracefully
-- If a task update fails, continue with remaining tasks and report what succeeded/failed
+- Before bulk updates: 1) Query current state, 2) Confirm with user if needed, 3) Apply the changes with tv_bulk_update_tasks
+- Every task and project has a "version"; pass it as expectedVersion on updates and deletes so changes made by someone else since you read the data are rejected (HTTP 412) instead of overwritten
+- On a 412 failure, re-read the task with tv_get_task, check whether the change still makes sense, then retry with the new version
+- For bulk operations (status changes, reassignments, tag changes or deletes across several tasks), send them in one tv_bulk_update_tasks call instead of many individual tool calls
+- tv_bulk_update_tasks returns a result per operation; report what succeeded/failed. Use atomic: true when the user wants all-or-nothing
 - Warn users when performing operations on potentially stale data
 - Consider suggesting user refresh or verify current state before major changes`);
     }
@@ -38,10 +74,13 @@ Data consistency and concurrent access:
     // Create project tool
     server.tool(
       'tv_create_project',
-      'Create a project.',
+      'Create a project. workflow is optional and defaults to todo, in_progress, done (closed). visibility org (default) lets everyone in the organization in with defaultRole; members limits it to its members. The creator becomes its admin.',
       {
         name: z.string().min(1),
         description: z.string().optional(),
+        workflow: z.object(workflowInput).optional(),
+        visibility: z.enum(['org', 'members']).optional(),
+        defaultRole: z.enum(['viewer', 'editor', 'admin']).optional(),
       },
       async (args, extra) => {
         const session = createSession(extra);
@@ -55,40 +94,73 @@ Data consistency and concurrent access:
     // List projects tool
     server.tool(
       'tv_list_projects',
-      'List projects.',
+      'List projects. Archived projects are hidden unless archived is true (only archived) or all. Returns { total, items, nextCursor }; pass nextCursor back as cursor (with the same sort) to get the next page.',
       {
         q: z.string().optional(),
+        archived: z.enum(['true', 'false', 'all']).optional(),
+        sort: z.enum(['name:asc', 'name:desc', 'createdAt:asc', 'createdAt:desc']).optional(),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
       },
-      async ({ q }, extra) => {
+      async (args, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_list_projects:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { q } });
-        const result = await callApi(q ? `/projects?q=${enc(q)}` : '/projects', { session });
+        log.log(`TOOL tv_list_projects:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
+        const result = await callApi(`/projects?${qs(args)}`, { session });
         return formatResult(result);
       },
       { readOnlyHint: true, title: 'List projects' }
     );
 
+    // List members tool
+    server.tool(
+      'tv_list_members',
+      'List the organization\'s members with userId, name, email and picture. Use q (matches name, email or user id) to turn "assign this to Maria" into a userId. Returns { total, items, nextCursor }.',
+      {
+        q: z.string().optional(),
+        sort: z.enum(['name:asc', 'name:desc', 'email:asc', 'email:desc', 'lastSeenAt:asc', 'lastSeenAt:desc']).optional(),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
+      },
+      async (args, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_list_members:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
+        const result = await callApi(`/members?${qs(args)}`, { session });
+        return formatResult(result);
+      },
+      { readOnlyHint: true, title: 'List members' }
+    );
+
     // Create task tool
     server.tool(
       'tv_create_task',
-      'Create a task.',
+      'Create a task. priority is low, medium (default), high or urgent; estimate is in points. recurrence makes it repeat: dueAt is then required and is the due date of the first occurrence, and the next one is created when this one is completed or when its due day starts.',
       {
         projectId: z.string().min(1),
         title: z.string().min(1).optional(),
         name: z.string().min(1).optional(), // alias for title
         description: z.string().optional(),
-        ownerId: z.string().min(1).optional(),
+        ownerId: z.string().min(1).describe('User id from tv_list_members; defaults to the current user').optional(),
         dueAt: z.string().datetime().optional(),
         tags: z.array(z.string()).default([]),
+        priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+        estimate: z.number().min(0).optional(),
+        parentTaskId: z.string().min(1).optional(),
+        blockedBy: z.array(z.string().min(1)).optional(),
+        status: statusInput.optional(),
+        recurrence: recurrenceSchema.optional(),
       },
       async (args, extra) => {
         const session = createSession(extra);
         log.log('tv_create_task original args:', args);
+        if (args.status) await checkStatus({ status: args.status, projectId: args.projectId, session });
+        const ownerId = args.ownerId || session?.extra?.sub;
+        if (!ownerId) throw new Error('ownerId is required: ask who should own the task and look them up with tv_list_members');
         const taskData = {
           ...args,
           title: args.title || args.name,
-          ownerId: args.ownerId || session?.extra?.sub || 'default-user',
+          ownerId,
         };
         delete taskData.name;
         log.log('tv_create_task transformed args:', taskData);
@@ -117,84 +189,368 @@ Data consistency and concurrent access:
     // List tasks tool
     server.tool(
       'tv_list_tasks',
-      'Search and filter tasks within the organization. Supports filtering by projectId, ownerId (user ID who owns the task), status (todo/in_progress/done), tags, text search, and due dates. Returns paginated results.',
+      'Search and filter tasks within the organization. Supports filtering by projectId, ownerId (user ID who owns the task), status (from the project workflow), priority, estimate range, tags, a q search query (see tv_search_tasks), and due dates. Sort by dueAt, createdAt, updatedAt, title, status, priority, estimate or relevance, ascending or descending (default dueAt:asc, or relevance:desc when q has words to rank by). Returns { total, items, nextCursor }; to page through large result sets pass nextCursor back as cursor with the same filters and sort until it is null.',
       {
         projectId: z.string().min(1).optional(),
         ownerId: z.string().min(1).optional(),
-        status: z.enum(['todo', 'in_progress', 'done']).optional(),
+        status: statusInput.optional(),
+        priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+        minEstimate: z.number().min(0).optional(),
+        maxEstimate: z.number().min(0).optional(),
         tag: z.string().optional(),
-        q: z.string().optional(),
+        q: z.string().optional().describe('Search query, same language as tv_search_tasks'),
         dueBefore: z.string().datetime().optional(),
         dueAfter: z.string().datetime().optional(),
+        includeArchived: z.boolean().optional().describe('Include tasks of archived projects (always included when projectId is set)'),
+        sort: z.enum([
+          'dueAt:asc', 'dueAt:desc', 'createdAt:asc', 'createdAt:desc', 'updatedAt:asc', 'updatedAt:desc',
+          'title:asc', 'title:desc', 'status:asc', 'status:desc',
+          'priority:asc', 'priority:desc', 'estimate:asc', 'estimate:desc', 'relevance:asc', 'relevance:desc',
+        ]).optional(),
         limit: z.number().int().min(1).max(500).default(100),
-        offset: z.number().int().min(0).default(0),
+        cursor: z.string().optional(),
+        offset: z.number().int().min(0).optional(),
       },
       async (args, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
         log.log(`TOOL tv_list_tasks:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
+        if (args.status) await checkStatus({ status: args.status, projectId: args.projectId, session });
+        const result = await callApi(`/tasks?${qs(args)}`, { session });
+        return formatResult(result);
+      },
+      { readOnlyHint: true, title: 'List tasks' }
+    );
+
+    // Search tasks tool
+    server.tool(
+      'tv_search_tasks',
+      'Search tasks with a query, e.g. `status:in_progress owner:me tag:bug due<2026-11-01 "login page"`. Terms are ANDed; use OR, NOT or a leading -, and parentheses. Fields: status, owner (me for the caller), tag, priority, project (id or name), due/created/updated (YYYY-MM-DD, today, tomorrow, 7d; due:none), estimate, title, description, comment, id, is:open|closed|overdue|subtask|recurring. priority, dates and estimate also take <, <=, > and >=. Plain words and "phrases" match title, description, tags and comments, and results are ranked by relevance (each item has a score). Returns { total, items, nextCursor }; an invalid query returns the problem in fields.q.',
+      {
+        q: z.string().min(1).describe('Search query'),
+        projectId: z.string().min(1).optional(),
+        includeArchived: z.boolean().optional().describe('Include tasks of archived projects'),
+        limit: z.number().int().min(1).max(500).default(50),
+        cursor: z.string().optional(),
+      },
+      async (args, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_search_tasks:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
         const result = await callApi(`/tasks?${qs(args)}`, { session });
         return formatResult(result);
       },
       { readOnlyHint: true, title: 'Search tasks' }
     );
 
+    // List views tool
+    server.tool(
+      'tv_list_views',
+      'List the saved views the user can run: their own and the ones shared with the organization. Each view has a name, filters (the tv_list_tasks filters, including a q search query), sort, shared and ownerId. Returns { total, items, nextCursor }.',
+      {
+        mine: z.boolean().optional().describe('Only the user\'s own views'),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
+      },
+      async (args, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_list_views:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
+        const result = await callApi(`/views?${qs(args)}`, { session });
+        return formatResult(result);
+      },
+      { readOnlyHint: true, title: 'List views' }
+    );
+
+    // Run view tool
+    server.tool(
+      'tv_run_view',
+      'Run a saved view ("show my triage view") and return its tasks. Pass viewId, or name to pick the view by name (case-insensitive; the user\'s own view wins over a shared one with the same name). Filters such as owner:me apply to the current user. Returns { view, total, items, nextCursor }.',
+      {
+        viewId: z.string().min(1).optional(),
+        name: z.string().min(1).optional(),
+        limit: z.number().int().min(1).max(500).default(100),
+        cursor: z.string().optional(),
+      },
+      async ({ viewId, name, limit, cursor }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_run_view:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', viewId, name });
+        if (!viewId && !name) throw new Error('pass viewId or name');
+        let view;
+        if (viewId) {
+          view = await callApi(`/views/${enc(viewId)}`, { session });
+        } else {
+          const { items } = await callApi('/views?limit=500', { session });
+          const matches = items.filter(v => v.name.toLowerCase() === name.toLowerCase());
+          view = matches.find(v => v.ownerId === principal) || matches[0];
+          if (!view) throw new Error(`no view named "${name}"; available: ${items.map(v => v.name).join(', ') || 'none'}`);
+        }
+        const result = await callApi(`/views/${enc(view.id)}/tasks?${qs({ limit, cursor })}`, { session });
+        return formatResult({ view: { id: view.id, name: view.name, filters: view.filters, sort: view.sort }, ...result });
+      },
+      { readOnlyHint: true, title: 'Run view' }
+    );
+
     // Update task status tool
     server.tool(
       'tv_update_task_status',
-      'Move a task to todo, in_progress, or done.',
+      'Move a task to another status of its project workflow, respecting allowed transitions. Moving to a closed status fails while blockers are open unless force is true.',
       {
         taskId: z.string().min(1),
-        status: z.enum(['todo', 'in_progress', 'done']),
+        status: statusInput,
+        force: z.boolean().optional(),
+        expectedVersion: z.number().int().min(0).optional(),
       },
-      async ({ taskId, status }, extra) => {
+      async ({ taskId, status, force, expectedVersion }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_update_task_status:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, status } });
+        log.log(`TOOL tv_update_task_status:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, status, force, expectedVersion } });
+        await checkStatus({ status, taskId, session });
         const result = await callApi(`/tasks/${enc(taskId)}/status`, {
           method: 'PATCH',
-          body: { status },
+          body: { status, force },
+          headers: ifMatch(expectedVersion),
+          session,
+        });
+        return formatResult(result);
+      }
+    );
+
+    // Set task recurrence tool
+    server.tool(
+      'tv_set_task_recurrence',
+      'Change how a recurring task repeats, make a task repeat, or stop a series with recurrence null. Works from any occurrence; the change applies to the latest one, which is returned. Making a task repeat needs a dueAt on it.',
+      {
+        taskId: z.string().min(1),
+        recurrence: recurrenceSchema.nullable(),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, recurrence, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_set_task_recurrence:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, recurrence, expectedVersion } });
+        const result = await callApi(`/tasks/${enc(taskId)}/recurrence`, {
+          method: 'PUT',
+          body: { recurrence },
+          headers: ifMatch(expectedVersion),
           session,
         });
         return formatResult(result);
       }
     );
 
+    // Update task tool
+    server.tool(
+      'tv_update_task',
+      'Edit any subset of a task\'s fields: title, description, projectId (move to another project), ownerId, dueAt (null clears it), tags (replaces the list), status, priority, estimate (null clears it), parentTaskId (null detaches a subtask) or blockedBy (replaces the list).',
+      {
+        taskId: z.string().min(1),
+        title: z.string().min(1).optional(),
+        description: z.string().optional(),
+        projectId: z.string().min(1).optional(),
+        ownerId: z.string().min(1).optional(),
+        dueAt: z.string().datetime().nullable().optional(),
+        tags: z.array(z.string()).optional(),
+        status: statusInput.optional(),
+        priority: z.enum(['low', 'medium', 'high', 'urgent']).optional(),
+        estimate: z.number().min(0).nullable().optional(),
+        parentTaskId: z.string().min(1).nullable().optional(),
+        blockedBy: z.array(z.string().min(1)).optional(),
+        force: z.boolean().optional(),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, expectedVersion, ...fields }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_update_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, ...fields } });
+        if (fields.status) await checkStatus({ status: fields.status, projectId: fields.projectId, taskId, session });
+        return formatResult(await callApi(`/tasks/${enc(taskId)}`, {
+          method: 'PATCH',
+          body: fields,
+          headers: ifMatch(expectedVersion),
+          session,
+        }));
+      }
+    );
+
+    // Bulk update tool
+    server.tool(
+      'tv_bulk_update_tasks',
+      'Apply up to 100 task operations in one call: status change, assign, tag add/remove, or delete. Returns { succeeded, failed, results[] } with one entry per operation. With atomic: true nothing is applied unless every operation succeeds.',
+      {
+        operations: z.array(z.discriminatedUnion('op', [
+          z.object({ op: z.literal('status'), taskId: z.string().min(1), status: statusInput, force: z.boolean().optional(), expectedVersion: z.number().int().min(0).optional() }),
+          z.object({ op: z.literal('assign'), taskId: z.string().min(1), ownerId: z.string().min(1), expectedVersion: z.number().int().min(0).optional() }),
+          z.object({ op: z.literal('tag'), taskId: z.string().min(1), add: z.array(z.string()).optional(), remove: z.array(z.string()).optional(), expectedVersion: z.number().int().min(0).optional() }),
+          z.object({ op: z.literal('delete'), taskId: z.string().min(1), expectedVersion: z.number().int().min(0).optional() }),
+        ])).min(1).max(100),
+        atomic: z.boolean().default(false),
+      },
+      async (args, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_bulk_update_tasks:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { count: args.operations.length, atomic: args.atomic } });
+        return formatResult(await callApi('/tasks/bulk', { method: 'POST', body: args, session }));
+      }
+    );
+
+    // Task dependency tools
+    server.tool(
+      'tv_link_tasks',
+      'Link two tasks. relation blocked_by: taskId cannot be completed until targetTaskId is done. relation subtask_of: taskId becomes a subtask of targetTaskId. Links that would form a cycle are rejected.',
+      {
+        taskId: z.string().min(1),
+        targetTaskId: z.string().min(1),
+        relation: z.enum(['blocked_by', 'subtask_of']),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, targetTaskId, relation, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_link_tasks:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, targetTaskId, relation, expectedVersion } });
+        const result = relation === 'blocked_by'
+          ? await callApi(`/tasks/${enc(taskId)}/blockers`, { method: 'POST', body: { taskId: targetTaskId }, headers: ifMatch(expectedVersion), session })
+          : await callApi(`/tasks/${enc(taskId)}`, { method: 'PATCH', body: { parentTaskId: targetTaskId }, headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    server.tool(
+      'tv_unlink_tasks',
+      'Remove a link created with tv_link_tasks: a blocked_by dependency on targetTaskId, or the subtask_of relation to its parent.',
+      {
+        taskId: z.string().min(1),
+        targetTaskId: z.string().min(1),
+        relation: z.enum(['blocked_by', 'subtask_of']),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, targetTaskId, relation, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_unlink_tasks:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, targetTaskId, relation, expectedVersion } });
+        if (relation === 'blocked_by') {
+          return formatResult(await callApi(`/tasks/${enc(taskId)}/blockers/${enc(targetTaskId)}`, { method: 'DELETE', headers: ifMatch(expectedVersion), session }));
+        }
+        const task = await callApi(`/tasks/${enc(taskId)}`, { session });
+        if (task.parentTaskId !== targetTaskId) throw new Error(`task ${taskId} is not a subtask of ${targetTaskId}`);
+        return formatResult(await callApi(`/tasks/${enc(taskId)}`, { method: 'PATCH', body: { parentTaskId: null }, headers: ifMatch(expectedVersion), session }));
+      }
+    );
+
+    server.tool(
+      'tv_get_task_dependencies',
+      'Show a task\'s parent, subtasks, the tasks blocking it and the tasks it blocks, plus a rollup of subtask completion and open blockers.',
+      {
+        taskId: z.string().min(1),
+      },
+      async ({ taskId }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_get_task_dependencies:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId } });
+        return formatResult(await callApi(`/tasks/${enc(taskId)}/dependencies`, { session }));
+      },
+      { readOnlyHint: true }
+    );
+
     // Assign task tool
     server.tool(
       'tv_assign_task',
-      'Assign or reassign a task.',
+      'Assign or reassign a task. ownerId must be a member of the organization; resolve names with tv_list_members.',
       {
         taskId: z.string().min(1),
         ownerId: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
       },
-      async ({ taskId, ownerId }, extra) => {
+      async ({ taskId, ownerId, expectedVersion }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_assign_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, ownerId } });
+        log.log(`TOOL tv_assign_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, ownerId, expectedVersion } });
         return formatResult(await callApi(`/tasks/${enc(taskId)}/assign`, {
           method: 'PATCH',
           body: { ownerId },
+          headers: ifMatch(expectedVersion),
           session,
         }));
       }
     );
 
-    // Comment task tool
+    // Comment tools
     server.tool(
       'tv_comment_task',
-      'Add a short comment.',
+      'Add a comment to a task; markdown is fine. @name, @email or @userId mentions notify those members. Pass parentId to reply to a comment; a reply to a reply joins the same thread.',
       {
         taskId: z.string().min(1),
         text: z.string().min(1),
+        parentId: z.string().min(1).optional(),
       },
-      async ({ taskId, text }, extra) => {
+      async ({ taskId, text, parentId }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_comment_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, text } });
+        log.log(`TOOL tv_comment_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, text, parentId } });
         return formatResult(await callApi(`/tasks/${enc(taskId)}/comments`, {
           method: 'POST',
+          body: { text, parentId },
+          session,
+        }));
+      }
+    );
+
+    server.tool(
+      'tv_list_comments',
+      'List the comments of a task, oldest thread first. Each item is a top-level comment with its replies (oldest first); deleted comments that still have replies show text null. mentions holds the user ids mentioned. Returns { total, items, nextCursor }.',
+      {
+        taskId: z.string().min(1),
+        sort: z.enum(['createdAt', 'createdAt:desc', 'updatedAt', 'updatedAt:desc']).optional(),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
+      },
+      async ({ taskId, ...args }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_list_comments:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, ...args } });
+        return formatResult(await callApi(`/tasks/${enc(taskId)}/comments?${qs(args)}`, { session }));
+      },
+      { readOnlyHint: true, title: 'List comments' }
+    );
+
+    server.tool(
+      'tv_edit_comment',
+      'Replace the text of a comment. Only its author can edit it. expectedVersion is the comment\'s version, not the task\'s. Members newly mentioned are notified.',
+      {
+        taskId: z.string().min(1),
+        commentId: z.string().min(1),
+        text: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, commentId, text, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_edit_comment:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, commentId, expectedVersion } });
+        return formatResult(await callApi(`/tasks/${enc(taskId)}/comments/${enc(commentId)}`, {
+          method: 'PATCH',
           body: { text },
+          headers: ifMatch(expectedVersion),
+          session,
+        }));
+      }
+    );
+
+    server.tool(
+      'tv_delete_comment',
+      'Delete a comment. Only its author can delete it. A comment with replies stays as a placeholder so the replies keep their thread.',
+      {
+        taskId: z.string().min(1),
+        commentId: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, commentId, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_delete_comment:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, commentId, expectedVersion } });
+        return formatResult(await callApi(`/tasks/${enc(taskId)}/comments/${enc(commentId)}`, {
+          method: 'DELETE',
+          headers: ifMatch(expectedVersion),
           session,
         }));
       }
@@ -208,14 +564,16 @@ Data consistency and concurrent access:
         taskId: z.string().min(1),
         add: z.array(z.string()).optional(),
         remove: z.array(z.string()).optional(),
+        expectedVersion: z.number().int().min(0).optional(),
       },
-      async ({ taskId, add, remove }, extra) => {
+      async ({ taskId, add, remove, expectedVersion }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_tag_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, add, remove } });
+        log.log(`TOOL tv_tag_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, add, remove, expectedVersion } });
         return formatResult(await callApi(`/tasks/${enc(taskId)}/tags`, {
           method: 'PATCH',
           body: { add, remove },
+          headers: ifMatch(expectedVersion),
           session,
         }));
       }
@@ -224,7 +582,7 @@ Data consistency and concurrent access:
     // Due soon tool
     server.tool(
       'tv_due_soon',
-      'List tasks due within N days (default 7, max 90). Only includes tasks with status todo or in_progress. Optionally filter by ownerId (user ID who owns the task).',
+      'List tasks due within N days (default 7, max 90). Excludes tasks in a status their project workflow marks as closed. Optionally filter by ownerId (user ID who owns the task). Also returns the URL of the user\'s calendar feed of their own due dates, if they have one.',
       {
         days: z.number().int().min(0).max(90).default(7),
         ownerId: z.string().min(1).optional(),
@@ -233,23 +591,212 @@ Data consistency and concurrent access:
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
         log.log(`TOOL tv_due_soon:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
-        return formatResult(await callApi(`/tasks-due-soon?${qs(args)}`, { session }));
+        const result = formatResult(await callApi(`/tasks-due-soon?${qs(args)}`, { session }));
+        // the feed is an extra; the tasks are still returned when it cannot be read
+        const feeds = await callApi('/calendar/feeds', { session }).catch(() => null);
+        const feed = feeds?.items?.find(f => f.projectId === null);
+        result.content.push({
+          type: 'text',
+          text: feed
+            ? `Calendar feed of the user's own tasks with due dates, for subscribing in a calendar app: ${feed.url}`
+            : 'The user has no calendar feed yet; "Subscribe to calendar" in the web app creates one.',
+        });
+        return result;
       },
       { readOnlyHint: true, title: 'Due soon' }
     );
 
-    // Delete project tool
+    // Export summary tool
+    server.tool(
+      'tv_export_project',
+      'Export a project and summarize it. Returns counts (tasks by status, priority and owner, open, overdue, comments, tags) and a markdown summary file listing the tasks by status, which you can hand to the user. For the full data (JSON or CSV, including comments) point the user to Export in the web app.',
+      {
+        projectId: z.string().min(1),
+      },
+      async ({ projectId }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_export_project:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId } });
+        const doc = await callApi(`/export?${qs({ format: 'json', projectId })}`, { session });
+        const { stats, fileName, markdown } = summarizeExport(doc);
+        return {
+          content: [
+            { type: 'text', text: JSON.stringify({ ...stats, file: fileName }, null, 2) },
+            { type: 'resource', resource: { uri: `taskvantage://exports/${enc(fileName)}`, mimeType: 'text/markdown', text: markdown } },
+          ],
+        };
+      },
+      { readOnlyHint: true, title: 'Export project summary' }
+    );
+
+    // Notifications tool
+    server.tool(
+      'tv_my_notifications',
+      'The current user\'s notifications, newest first: tasks assigned to them, @mentions in comments, and tasks due soon or overdue. Unread ones only unless unreadOnly is false. markRead: true marks the returned notifications read, so the next call only shows what is new. Returns { total, unread, items, nextCursor } (plus marked when markRead is set); each item has a message, type, taskId, projectId and createdAt.',
+      {
+        unreadOnly: z.boolean().default(true),
+        type: z.enum(['assigned', 'mentioned', 'due_soon', 'overdue']).optional(),
+        markRead: z.boolean().default(false),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
+      },
+      async ({ unreadOnly, markRead, ...args }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_my_notifications:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { unreadOnly, markRead, ...args } });
+        const page = await callApi(`/notifications?${qs({ ...args, unread: unreadOnly ? 'true' : undefined })}`, { session });
+        if (!markRead || !page.items.length) return formatResult(page);
+        const { updated } = await callApi('/notifications/read', { method: 'POST', body: { ids: page.items.map(n => n.id) }, session });
+        return formatResult({ ...page, marked: updated });
+      },
+      { title: 'My notifications' }
+    );
+
+    // Workflow tools
+    server.tool(
+      'tv_get_workflow',
+      'Get a project\'s workflow: its statuses (closed ones count as finished), the initial status for new tasks and the allowed transitions (null means any move is allowed).',
+      {
+        projectId: z.string().min(1),
+      },
+      async ({ projectId }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_get_workflow:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId } });
+        const workflow = await getWorkflow(projectId, session);
+        return formatResult({ ...workflow, summary: describeWorkflow(workflow), statusSchema: statusSchema(workflow).options });
+      },
+      { readOnlyHint: true }
+    );
+
+    server.tool(
+      'tv_set_workflow',
+      'Replace a project\'s workflow. Fails with 409 if it drops statuses that tasks are still in; move those tasks first.',
+      {
+        projectId: z.string().min(1),
+        ...workflowInput,
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, expectedVersion, ...workflow }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_set_workflow:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, statuses: workflow.statuses.map(s => s.id) } });
+        return formatResult(await callApi(`/projects/${enc(projectId)}/workflow`, {
+          method: 'PUT',
+          body: workflow,
+          headers: ifMatch(expectedVersion),
+          session,
+        }));
+      }
+    );
+
+    // Update project tool
+    server.tool(
+      'tv_update_project',
+      'Rename a project, change its description, or change who can see it (visibility, defaultRole). Needs the admin role on the project.',
+      {
+        projectId: z.string().min(1),
+        name: z.string().min(1).optional(),
+        description: z.string().optional(),
+        visibility: z.enum(['org', 'members']).optional(),
+        defaultRole: z.enum(['viewer', 'editor', 'admin']).optional(),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, expectedVersion, ...changes }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_update_project:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, expectedVersion, ...changes } });
+        if (!Object.keys(changes).length) throw new Error('nothing to update: pass name, description, visibility or defaultRole');
+        const result = await callApi(`/projects/${enc(projectId)}`, { method: 'PATCH', body: changes, headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    // Delete project tool; archives unless permanent is set
     server.tool(
       'tv_delete_project',
-      'Delete a project and all its tasks.',
+      'Archive a project: it and its tasks are hidden from listings until tv_restore_project. Pass permanent: true only when the user explicitly asks to delete the project and all its tasks for good; that needs the projects:delete scope.',
+      {
+        projectId: z.string().min(1),
+        permanent: z.boolean().default(false),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, permanent, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_delete_project:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, permanent, expectedVersion } });
+        const result = permanent
+          ? await callApi(`/projects/${enc(projectId)}`, { method: 'DELETE', headers: ifMatch(expectedVersion), session })
+          : await callApi(`/projects/${enc(projectId)}/archive`, { method: 'POST', headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    // Restore project tool
+    server.tool(
+      'tv_restore_project',
+      'Restore an archived project so it and its tasks show up again.',
+      {
+        projectId: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_restore_project:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, expectedVersion } });
+        const result = await callApi(`/projects/${enc(projectId)}/restore`, { method: 'POST', headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    // Project members tools
+    server.tool(
+      'tv_list_project_members',
+      'List a project\'s members with their roles, plus its visibility, defaultRole and the caller\'s own role.',
       {
         projectId: z.string().min(1),
       },
       async ({ projectId }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_delete_project:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId } });
-        const result = await callApi(`/projects/${enc(projectId)}`, { method: 'DELETE', session });
+        log.log(`TOOL tv_list_project_members:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId } });
+        const result = await callApi(`/projects/${enc(projectId)}/members`, { session });
+        return formatResult(result);
+      },
+      { readOnlyHint: true, title: 'List project members' }
+    );
+
+    server.tool(
+      'tv_set_project_member',
+      'Add a member to a project or change their role (viewer, editor or admin). userId comes from tv_list_members. Needs the admin role on the project; a project always keeps at least one admin.',
+      {
+        projectId: z.string().min(1),
+        userId: z.string().min(1),
+        role: z.enum(['viewer', 'editor', 'admin']),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, expectedVersion, ...member }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_set_project_member:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, expectedVersion, ...member } });
+        const result = await callApi(`/projects/${enc(projectId)}/members`, { method: 'PUT', body: member, headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    server.tool(
+      'tv_remove_project_member',
+      'Remove a member from a project. On a project with visibility members they lose access to it. Needs the admin role on the project.',
+      {
+        projectId: z.string().min(1),
+        userId: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ projectId, userId, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_remove_project_member:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { projectId, userId, expectedVersion } });
+        const result = await callApi(`/projects/${enc(projectId)}/members/${enc(userId)}`, { method: 'DELETE', headers: ifMatch(expectedVersion), session });
         return formatResult(result);
       }
     );
@@ -257,29 +804,100 @@ Data consistency and concurrent access:
     // Delete task tool
     server.tool(
       'tv_delete_task',
-      'Delete a task.',
+      'Move a task to the trash. It can be brought back with tv_restore_task until the retention window (30 days by default) ends.',
+      {
+        taskId: z.string().min(1),
+        expectedVersion: z.number().int().min(0).optional(),
+      },
+      async ({ taskId, expectedVersion }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_delete_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, expectedVersion } });
+        const result = await callApi(`/tasks/${enc(taskId)}`, { method: 'DELETE', headers: ifMatch(expectedVersion), session });
+        return formatResult(result);
+      }
+    );
+
+    // List trash tool
+    server.tool(
+      'tv_list_trash',
+      'List deleted tasks that can still be restored, newest deletion first. Each entry has the task (item), who deleted it, deletedAt and expiresAt. Returns { total, items, nextCursor, retentionDays }.',
+      {
+        projectId: z.string().min(1).optional(),
+        limit: z.number().int().min(1).max(500).optional(),
+        cursor: z.string().optional(),
+      },
+      async (args, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`TOOL tv_list_trash:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args });
+        const result = await callApi(`/trash?${qs(args)}`, { session });
+        return formatResult(result);
+      },
+      { readOnlyHint: true, title: 'List trash' }
+    );
+
+    // Restore task tool
+    server.tool(
+      'tv_restore_task',
+      'Restore a deleted task from the trash, including the subtask and blocker links other tasks had to it.',
       {
         taskId: z.string().min(1),
       },
       async ({ taskId }, extra) => {
         const session = createSession(extra);
         const principal = session?.extra?.sub || 'anonymous';
-        log.log(`TOOL tv_delete_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId } });
-        const result = await callApi(`/tasks/${enc(taskId)}`, { method: 'DELETE', session });
+        log.log(`TOOL tv_restore_task:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId } });
+        const result = await callApi(`/trash/${enc(taskId)}/restore`, { method: 'POST', session });
         return formatResult(result);
       }
     );
+
+    // Attachments are exposed as resources: the list of a task's attachments, and the contents of
+    // its text attachments (plain text, markdown, CSV, JSON). Other files are download-only.
+    server.resource(
+      'task-attachments',
+      new ResourceTemplate('taskvantage://tasks/{taskId}/attachments', { list: undefined }),
+      { title: 'Task attachments', description: 'The attachments of a task: id, name, type (MIME), size in bytes, uploadedBy, uploadedAt.', mimeType: 'application/json' },
+      async (uri, { taskId }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`RESOURCE task-attachments:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId } });
+        const { items } = await callApi(`/tasks/${enc(taskId)}/attachments`, { session });
+        const list = items.map(a => ({ ...a, uri: `${uri.href}/${enc(a.id)}`, readable: isTextType(a.type) }));
+        return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(list, null, 2) }] };
+      }
+    );
+
+    server.resource(
+      'task-attachment',
+      new ResourceTemplate('taskvantage://tasks/{taskId}/attachments/{attachmentId}', { list: undefined }),
+      { title: 'Text attachment', description: 'The contents of a text attachment of a task.' },
+      async (uri, { taskId, attachmentId }, extra) => {
+        const session = createSession(extra);
+        const principal = session?.extra?.sub || 'anonymous';
+        log.log(`RESOURCE task-attachment:`, { principal, auth: session?.token ? `${session.token[0]}***` : 'none', args: { taskId, attachmentId } });
+        const { items } = await callApi(`/tasks/${enc(taskId)}/attachments`, { session });
+        const meta = items.find(a => a.id === attachmentId);
+        if (!meta) throw new Error(`Attachment ${attachmentId} not found on task ${taskId}`);
+        if (!isTextType(meta.type)) throw new Error(`${meta.name} is ${meta.type}; only text attachments can be read`);
+        const text = await callApi(`/tasks/${enc(taskId)}/attachments/${enc(attachmentId)}`, { session, text: true });
+        return { contents: [{ uri: uri.href, mimeType: meta.type, text }] };
+      }
+    );
   },
   {},
   { basePath: '' }
 );
 
 // Helper to create session from auth info
+// client is 'agent' when the Task Vantage agent sends X-TV-Client, otherwise a generic MCP client
 function createSession(extra) {
   const auth = extra?.authInfo;
+  const client = extra?.requestInfo?.headers?.['x-tv-client'] === 'agent' ? 'agent' : 'mcp';
   return auth
-    ? { token: auth.token, extra: auth.extra || {}, scopes: auth.scopes || [], clientId: auth.clientId }
-    : null;
+    ? { token: auth.token, extra: auth.extra || {}, scopes: auth.scopes || [], clientId: auth.clientId, client }
+    : { client };
 }
 
 const handler = env.AUTH_ENABLED
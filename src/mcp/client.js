@@ -84,8 +84,10 @@ async function bearerForUpstream(subjectToken) {
     }
 }
 
-export async function callApi(path, { method = 'GET', body, session, token } = {}) {
-    const headers = { 'content-type': 'application/json' };
+// `text: true` returns the response body as a string instead of parsing JSON (e.g. attachment contents)
+export async function callApi(path, { method = 'GET', body, session, token, headers: extraHeaders, text: asText = false } = {}) {
+    // X-TV-Client attributes the change in the API's activity history
+    const headers = { 'content-type': 'application/json', 'x-tv-client': session?.client || 'mcp', ...extraHeaders };
     // Use token directly if provided, otherwise try to get from session
     const sourceToken = token || session?.token;
     const { token: bearer, scopes } = await bearerForUpstream(sourceToken);
@@ -106,7 +108,9 @@ export async function callApi(path, { method = 'GET', body, session, token } = {
         log.error(`API ${method} ${path} FAILED`, { status: res.status, error: text });
         throw new Error(`API ${method} ${path} failed ${res.status}: ${text}`);
     }
-    
+
+    if (asText) return res.text();
+
     const result = await res.json();
     
     // Add scopes to response metadata if available
@@ -129,6 +133,8 @@ export const qs = (o) =>
     new URLSearchParams(
         Object.entries(o || {}).flatMap(([k, v]) => (v == null || v === '' ? [] : [[k, String(v)]])),
     );
+// If-Match header for optimistic concurrency; omitted when no version was given
+export const ifMatch = (version) => (version == null ? undefined : { 'if-match': `"${version}"` });
 
 // optional helpers if you need cache control elsewhere
 export function clearTokenCache() {
@@ -0,0 +1,63 @@
+/*
+ * The summary tv_export_project returns: counts for a quick answer, and a markdown file listing
+ * the project's tasks by status that the user can keep or share. Built from the API's JSON export.
+ */
+
+// tasks listed in the file; the counts always cover every task
+const LISTED_TASKS_MAX = 200;
+
+const countBy = (items, key) => items.reduce((acc, x) => {
+  const k = key(x);
+  acc[k] = (acc[k] || 0) + 1;
+  return acc;
+}, {});
+
+const day = iso => (iso ? iso.slice(0, 10) : null);
+
+/**
+ * Summarize a single-project export document. Returns { stats, fileName, markdown }.
+ */
+export function summarizeExport(doc, now = new Date()) {
+  const project = doc.projects[0];
+  const statuses = project.workflow?.statuses || [];
+  const closed = new Set(statuses.filter(s => s.closed).map(s => s.id));
+  const tasks = doc.tasks;
+  const open = tasks.filter(t => !closed.has(t.status));
+  const stats = {
+    project: { id: project.id, name: project.name, archived: !!project.archivedAt },
+    exportedAt: doc.exportedAt,
+    tasks: tasks.length,
+    open: open.length,
+    overdue: open.filter(t => t.dueAt && new Date(t.dueAt) < now).length,
+    comments: tasks.reduce((n, t) => n + t.comments.length, 0),
+    byStatus: countBy(tasks, t => t.status),
+    byPriority: countBy(tasks, t => t.priority),
+    byOwner: countBy(tasks, t => t.ownerId),
+    tags: countBy(tasks.flatMap(t => t.tags), tag => tag),
+  };
+
+  const lines = [
+    `# ${project.name}: export summary`,
+    '',
+    `Exported ${doc.exportedAt}. ${stats.tasks} tasks (${stats.open} open, ${stats.overdue} overdue), ${stats.comments} comments.`,
+    '',
+    '| Status | Tasks |',
+    '| ------ | ----- |',
+    ...statuses.map(s => `| ${s.name}${s.closed ? ' (closed)' : ''} | ${stats.byStatus[s.id] || 0} |`),
+  ];
+  let listed = 0;
+  for (const s of statuses) {
+    const items = tasks.filter(t => t.status === s.id);
+    if (!items.length || listed >= LISTED_TASKS_MAX) continue;
+    lines.push('', `## ${s.name}`, '');
+    for (const t of items.slice(0, LISTED_TASKS_MAX - listed)) {
+      const details = [t.ownerId, t.priority, t.dueAt && `due ${day(t.dueAt)}`, t.tags.length && t.tags.map(x => `#${x}`).join(' '), t.comments.length && `${t.comments.length} comments`];
+      lines.push(`- ${t.title} (${details.filter(Boolean).join(', ')})`);
+      listed++;
+    }
+  }
+  if (listed < tasks.length) lines.push('', `${tasks.length - listed} more tasks are left out; export the project from the web app for all of them.`);
+
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+  return { stats, fileName: `${slug}-summary-${day(doc.exportedAt)}.md`, markdown: lines.join('\n') + '\n' };
+}
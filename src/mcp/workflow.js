@@ -0,0 +1,70 @@
+import { z } from 'zod';
+import { callApi, enc } from './client.js';
+
+/*
+ * Task statuses are configured per project, and tools are registered before anyone signs in, so
+ * tool schemas declare `status` as a string that describes where its values come from. The real
+ * schema is built from the project's workflow at call time, which gives the model the allowed
+ * statuses and transitions instead of a bare 400 from the API.
+ */
+
+// the API's default workflow, which projects without their own use
+const DEFAULT_STATUSES = ['todo', 'in_progress', 'done'];
+
+// the status field of tool inputs
+export const statusInput = z.string().min(1).describe(
+  `Status id from the project's workflow: ${DEFAULT_STATUSES.join(', ')} in the default workflow, or the project's own statuses, which tv_get_workflow lists. An unknown status fails with the allowed ones`);
+
+// input shape for creating or replacing a workflow; the API does the full validation
+export const workflowInput = {
+  statuses: z.array(z.object({
+    id: z.string().regex(/^[a-z][a-z0-9_]{0,31}$/),
+    name: z.string().min(1).optional(),
+    closed: z.boolean().optional(),
+  })).min(1).max(20),
+  initial: z.string().optional(),
+  transitions: z.record(z.array(z.string())).nullable().optional(),
+};
+
+// zod enum of the status ids in a workflow
+export const statusSchema = workflow => z.enum(workflow.statuses.map(s => s.id));
+
+// one-line summary for error messages and tool output
+export function describeWorkflow(workflow) {
+  const statuses = workflow.statuses.map(s => (s.closed ? `${s.id} (closed)` : s.id)).join(', ');
+  if (!workflow.transitions) return `statuses: ${statuses}; any transition allowed`;
+  const moves = Object.entries(workflow.transitions).map(([from, to]) => `${from} -> ${to.join('|') || 'none'}`).join('; ');
+  return `statuses: ${statuses}; transitions: ${moves}`;
+}
+
+export const getWorkflow = (projectId, session) => callApi(`/projects/${enc(projectId)}/workflow`, { session });
+
+/**
+ * Check `status` against the workflow of `projectId` (or of the task's project when only
+ * `taskId` is given, or of every project the caller can see when neither is). `from` is the
+ * task's current status; transitions are checked when set. Throws with the allowed values when
+ * the status is not valid.
+ */
+export async function checkStatus({ status, projectId, taskId, session }) {
+  if (!projectId && !taskId) {
+    const { items } = await callApi('/projects?archived=all&limit=500', { session });
+    const ids = [...new Set(items.flatMap(p => (p.workflow ? p.workflow.statuses.map(s => s.id) : DEFAULT_STATUSES)))];
+    if (!ids.includes(status)) throw new Error(`status "${status}" is not in the workflow of any project you can see; use one of ${ids.join(', ')}`);
+    return;
+  }
+  let from = null;
+  if (taskId) {
+    const task = await callApi(`/tasks/${enc(taskId)}`, { session });
+    // a task moved to another project lands in that workflow without a transition check
+    if (!projectId || projectId === task.projectId) from = task.status;
+    projectId = projectId || task.projectId;
+  }
+  const workflow = await getWorkflow(projectId, session);
+  if (!statusSchema(workflow).safeParse(status).success) {
+    throw new Error(`status "${status}" is not in this project's workflow (${describeWorkflow(workflow)})`);
+  }
+  const allowed = workflow.transitions && from && from !== status ? workflow.transitions[from] || [] : null;
+  if (allowed && !allowed.includes(status)) {
+    throw new Error(`cannot move from ${from} to ${status} (${describeWorkflow(workflow)})`);
+  }
+}
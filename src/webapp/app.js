@@ -1,5 +1,5 @@
 import { Hono } from 'hono';
-import { auth } from '@auth0/auth0-hono';
+import { auth, login } from '@auth0/auth0-hono';
 import { serveStatic } from '@hono/node-server/serve-static';
 import * as fs from 'fs';
 import * as path from 'path';
@@ -7,6 +7,8 @@ import * as env from './env.js';
 
 const app = new Hono();
 
+const LOGIN_SCOPE = 'openid profile email projects:read projects:write tasks:read tasks:write';
+
 // auth for /app/*
 app.use('/app/*', auth({
   enabled: env.AUTH_ENABLED,
@@ -19,7 +21,7 @@ app.use('/app/*', auth({
   routes: { callback: '/app/callback' },
   authorizationParams: {
     audience: env.API_AUTH0_AUDIENCE,
-    scope: 'openid profile email projects:read projects:write tasks:read tasks:write'
+    scope: LOGIN_SCOPE
   }
 }));
 
@@ -85,23 +87,31 @@ function upstreamUrl(pathname, qs) {
  * proxy(method, tpl, opts)
  * opts.expectJson: false to allow 204 or text
  * opts.forwardBody: false to skip reading body
+ * opts.raw: pass the body through untouched both ways (file uploads and downloads)
+ * If-Match is forwarded upstream and ETag is returned to the browser.
  */
 function proxy(method, tpl, opts = {}) {
-  const { expectJson = true, forwardBody = method !== 'GET' && method !== 'DELETE' } = opts;
+  const { expectJson = true, forwardBody = method !== 'GET' && method !== 'DELETE', raw = false } = opts;
 
   return withAuth(async (c, token) => {
-    const id = c.req.param('id') ?? '';
-    const pathname = tpl.replace(':id', id);
+    const pathname = tpl.replace(/:(\w+)/g, (_, name) => encodeURIComponent(c.req.param(name) ?? ''));
     const url = method === 'GET'
       ? upstreamUrl(pathname, c.req.query())
       : `${env.API_BASE_URL}${pathname}`;
 
     const init = {
       method,
-      headers: { Authorization: `Bearer ${token}` }
+      headers: { Authorization: `Bearer ${token}`, 'X-TV-Client': 'webapp' }
     };
 
-    if (forwardBody) {
+    // pass optimistic concurrency headers through in both directions
+    const ifMatch = c.req.header('if-match');
+    if (ifMatch) init.headers['If-Match'] = ifMatch;
+
+    if (raw && forwardBody) {
+      init.headers['Content-Type'] = c.req.header('content-type') || 'application/octet-stream';
+      init.body = await c.req.arrayBuffer();
+    } else if (forwardBody) {
       const body = await readJsonSafe(c);
       if (body !== undefined) {
         init.headers['Content-Type'] = 'application/json';
@@ -110,8 +120,18 @@ function proxy(method, tpl, opts = {}) {
     }
 
     const r = await fetch(url, init);
+    const etag = r.headers.get('etag');
+    if (etag) c.header('ETag', etag);
 
     const ct = r.headers.get('content-type') || '';
+    if (raw && r.ok && !ct.includes('application/json')) {
+      const headers = {};
+      for (const name of ['content-type', 'content-length', 'content-disposition', 'x-content-type-options', 'content-security-policy', 'cache-control']) {
+        const value = r.headers.get(name);
+        if (value) headers[name] = value;
+      }
+      return c.body(await r.arrayBuffer(), r.status, headers);
+    }
     if (!expectJson || r.status === 204 || !ct.includes('application/json')) {
       const text = await r.text().catch(() => '');
       return text ? c.text(text, r.status) : c.body(null, r.status);
@@ -141,15 +161,75 @@ app.get('/app/api/me', async (c) => {
 
 app.get('/app/api/projects', proxy('GET', '/projects'));
 app.post('/app/api/projects', proxy('POST', '/projects'));
-app.delete('/app/api/projects/:id', proxy('DELETE', '/projects/:id'));
+app.patch('/app/api/projects/:id', proxy('PATCH', '/projects/:id'));
+app.post('/app/api/projects/:id/archive', proxy('POST', '/projects/:id/archive', { forwardBody: false }));
+app.post('/app/api/projects/:id/restore', proxy('POST', '/projects/:id/restore', { forwardBody: false }));
+app.get('/app/api/projects/:id/members', proxy('GET', '/projects/:id/members'));
+app.put('/app/api/projects/:id/members', proxy('PUT', '/projects/:id/members'));
+app.delete('/app/api/projects/:id/members/:userId', proxy('DELETE', '/projects/:id/members/:userId'));
+
+app.get('/app/api/members', proxy('GET', '/members'));
+app.get('/app/api/members/me', proxy('GET', '/members/me'));
+
+// the change feed is a long-lived stream, so it is piped through instead of buffered like proxy() does;
+// aborting the upstream request when the browser goes away closes the API's stream too
+app.get('/app/api/events', withAuth(async (c, token) => {
+  const r = await fetch(`${env.API_BASE_URL}/events`, {
+    headers: { Authorization: `Bearer ${token}`, Accept: 'text/event-stream', 'X-TV-Client': 'webapp' },
+    signal: c.req.raw.signal,
+  });
+  if (!r.ok || !r.body) return c.json({ error: 'Change feed unavailable' }, r.status >= 400 ? r.status : 502);
+  return new Response(r.body, {
+    headers: { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' },
+  });
+}));
 
 app.get('/app/api/tasks', proxy('GET', '/tasks'));
 app.post('/app/api/tasks', proxy('POST', '/tasks'));
+app.post('/app/api/tasks/bulk', proxy('POST', '/tasks/bulk'));
+app.patch('/app/api/tasks/:id', proxy('PATCH', '/tasks/:id'));
+app.get('/app/api/tasks/:id/dependencies', proxy('GET', '/tasks/:id/dependencies'));
 app.patch('/app/api/tasks/:id/status', proxy('PATCH', '/tasks/:id/status'));
+app.put('/app/api/tasks/:id/recurrence', proxy('PUT', '/tasks/:id/recurrence'));
+app.get('/app/api/tasks/:id/comments', proxy('GET', '/tasks/:id/comments'));
+app.post('/app/api/tasks/:id/comments', proxy('POST', '/tasks/:id/comments'));
+app.patch('/app/api/tasks/:id/comments/:commentId', proxy('PATCH', '/tasks/:id/comments/:commentId'));
+app.delete('/app/api/tasks/:id/comments/:commentId', proxy('DELETE', '/tasks/:id/comments/:commentId'));
+app.get('/app/api/tasks/:id/attachments', proxy('GET', '/tasks/:id/attachments'));
+app.post('/app/api/tasks/:id/attachments', proxy('POST', '/tasks/:id/attachments', { raw: true }));
+app.get('/app/api/tasks/:id/attachments/:attachmentId', proxy('GET', '/tasks/:id/attachments/:attachmentId', { raw: true }));
+app.delete('/app/api/tasks/:id/attachments/:attachmentId', proxy('DELETE', '/tasks/:id/attachments/:attachmentId'));
 app.delete('/app/api/tasks/:id', proxy('DELETE', '/tasks/:id'));
-
-// clear-all: no body, may return 204 or text
-app.post('/app/api/admin/clear', proxy('POST', '/admin/clear', { expectJson: false, forwardBody: false }));
+app.get('/app/api/views', proxy('GET', '/views'));
+app.post('/app/api/views', proxy('POST', '/views'));
+app.patch('/app/api/views/:id', proxy('PATCH', '/views/:id'));
+app.delete('/app/api/views/:id', proxy('DELETE', '/views/:id'));
+app.get('/app/api/views/:id/tasks', proxy('GET', '/views/:id/tasks'));
+app.get('/app/api/notifications', proxy('GET', '/notifications'));
+app.post('/app/api/notifications/read', proxy('POST', '/notifications/read'));
+app.post('/app/api/notifications/:id/read', proxy('POST', '/notifications/:id/read', { forwardBody: false }));
+app.get('/app/api/notifications/preferences', proxy('GET', '/notifications/preferences'));
+app.patch('/app/api/notifications/preferences', proxy('PATCH', '/notifications/preferences'));
+app.get('/app/api/export', proxy('GET', '/export', { raw: true }));
+app.post('/app/api/import', proxy('POST', '/import'));
+app.get('/app/api/imports', proxy('GET', '/imports'));
+app.post('/app/api/imports', proxy('POST', '/imports'));
+app.get('/app/api/imports/:id', proxy('GET', '/imports/:id'));
+app.get('/app/api/calendar/feeds', proxy('GET', '/calendar/feeds'));
+app.post('/app/api/calendar/feeds', proxy('POST', '/calendar/feeds'));
+app.delete('/app/api/calendar/feeds/:id', proxy('DELETE', '/calendar/feeds/:id'));
+app.get('/app/api/trash', proxy('GET', '/trash'));
+app.post('/app/api/trash/:id/restore', proxy('POST', '/trash/:id/restore', { forwardBody: false }));
+
+// clear-all resets the caller's organization only; body: { dryRun? }
+app.post('/app/api/admin/clear', proxy('POST', '/admin/reset'));
+
+// org admins sign in again here to get a token with admin:org; Auth0 only grants it to users who hold it
+const adminLogin = login({
+  authorizationParams: { scope: `${LOGIN_SCOPE} admin:org` },
+  redirectAfterLogin: '/app',
+});
+app.get('/app/login/admin', (c, next) => (getAuthClient(c) ? adminLogin(c, next) : c.redirect('/app')));
 
 // static assets last
 app.use('/*', serveStatic({ root: './src/webapp/public' }));
@@ -16,6 +16,7 @@ if (isAuth0Configured) {
   console.log(`Using BASE_URL: ${env.WEBAPP_BASE_URL}`);
   console.log(`Authentication required for: /app/*`);
   console.log(`Requesting scopes: openid profile email projects:read projects:write tasks:read tasks:write`);
+  console.log(`Org admin sign-in (adds admin:org): /app/login/admin`);
   console.log(`API audience: ${env.API_AUTH0_AUDIENCE}`);
 }
 
@@ -0,0 +1,85 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+const ARCHIVED = { error: 'project is archived; restore it first' };
+
+let projectId;
+let otherId;
+let task;
+let other;
+let commentId;
+let trashedId;
+let frozen;
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Retired' })).data.id;
+  otherId = (await request('POST', '/projects', { name: 'Active' })).data.id;
+  const create = async (pid, title) => (await request('POST', '/tasks', { projectId: pid, title, ownerId: 'anonymous' })).data;
+  task = await create(projectId, 'Frozen');
+  other = await create(otherId, 'Elsewhere');
+  const trashed = await create(projectId, 'Trashed before archiving');
+  await request('DELETE', `/tasks/${trashed.id}`);
+  trashedId = trashed.id;
+  commentId = (await request('POST', `/tasks/${task.id}/comments`, { text: 'Before archiving' })).data.id;
+  assert.equal((await request('POST', `/projects/${projectId}/archive`)).status, 200);
+  frozen = (await request('GET', `/tasks/${task.id}`)).data;
+});
+
+test('every task write in an archived project answers 409', async () => {
+  const writes = [
+    ['POST', '/tasks', { projectId, title: 'New', ownerId: 'anonymous' }],
+    ['PATCH', `/tasks/${task.id}`, { title: 'Changed' }],
+    ['PATCH', `/tasks/${task.id}`, { projectId: otherId }],
+    ['PATCH', `/tasks/${other.id}`, { projectId }],
+    ['PATCH', `/tasks/${task.id}/status`, { status: 'done' }],
+    ['PATCH', `/tasks/${task.id}/assign`, { ownerId: 'anonymous' }],
+    ['PATCH', `/tasks/${task.id}/tags`, { add: ['x'] }],
+    ['PUT', `/tasks/${task.id}/recurrence`, { recurrence: 'weekly' }],
+    ['POST', `/tasks/${task.id}/blockers`, { taskId: other.id }],
+    ['POST', `/tasks/${task.id}/comments`, { text: 'After archiving' }],
+    ['PATCH', `/tasks/${task.id}/comments/${commentId}`, { text: 'Edited' }],
+    ['DELETE', `/tasks/${task.id}/comments/${commentId}`],
+    ['POST', `/tasks/${task.id}/attachments`, {}],
+    ['DELETE', `/tasks/${task.id}`],
+    ['POST', `/trash/${trashedId}/restore`],
+  ];
+  for (const [method, path, body] of writes) {
+    const res = await request(method, path, body);
+    assert.equal(res.status, 409, `${method} ${path} ${JSON.stringify(body)}`);
+    assert.deepEqual(res.data, ARCHIVED);
+  }
+
+  // reads still work, and nothing changed
+  const current = await request('GET', `/tasks/${task.id}`);
+  assert.equal(current.status, 200);
+  assert.deepEqual(current.data, frozen);
+  assert.equal((await request('GET', `/tasks/${task.id}/comments`)).data.items[0].text, 'Before archiving');
+});
+
+test('bulk operations fail one by one for tasks of archived projects', async () => {
+  const res = await request('POST', '/tasks/bulk', { operations: [
+    { op: 'status', taskId: task.id, status: 'done' },
+    { op: 'tag', taskId: other.id, add: ['fine'] },
+    { op: 'delete', taskId: task.id },
+  ] });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.results.map(r => [r.taskId, r.code, r.error]), [
+    [task.id, 409, ARCHIVED.error], [other.id, 200, undefined], [task.id, 409, ARCHIVED.error],
+  ]);
+
+  const atomic = await request('POST', '/tasks/bulk', { atomic: true, operations: [
+    { op: 'tag', taskId: other.id, add: ['atomic'] },
+    { op: 'tag', taskId: task.id, add: ['atomic'] },
+  ] });
+  assert.equal(atomic.status, 409);
+  assert.deepEqual((await request('GET', `/tasks/${other.id}`)).data.tags, ['fine']);
+});
+
+test('restoring the project makes its tasks writable again', async () => {
+  assert.equal((await request('POST', `/projects/${projectId}/restore`)).status, 200);
+  const res = await request('PATCH', `/tasks/${task.id}`, { title: 'Thawed' });
+  assert.equal(res.status, 200);
+  assert.equal(res.data.title, 'Thawed');
+  assert.equal((await request('POST', `/trash/${trashedId}/restore`)).status, 200);
+});
@@ -0,0 +1,87 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+let projectId;
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Concurrency' })).data.id;
+});
+
+const createTask = async title => (await request('POST', '/tasks', { projectId, title, ownerId: 'anonymous' })).data;
+const ifMatch = tag => ({ 'if-match': tag });
+
+test('reads and writes carry the version as an ETag', async () => {
+  const created = await request('POST', '/tasks', { projectId, title: 'Versioned', ownerId: 'anonymous' });
+  assert.equal(created.headers.get('etag'), '"1"');
+  const read = await request('GET', `/tasks/${created.data.id}`);
+  assert.equal(read.headers.get('etag'), '"1"');
+
+  const edited = await request('PATCH', `/tasks/${created.data.id}`, { title: 'Versioned again' }, ifMatch('"1"'));
+  assert.equal(edited.status, 200);
+  assert.equal(edited.data.version, 2);
+  assert.equal(edited.headers.get('etag'), '"2"');
+});
+
+test('a stale If-Match answers 412 with the current version and changes nothing', async () => {
+  const task = await createTask('Contended');
+  await request('PATCH', `/tasks/${task.id}`, { title: 'First writer' }, ifMatch('"1"'));
+
+  const stale = await request('PATCH', `/tasks/${task.id}`, { title: 'Second writer' }, ifMatch('"1"'));
+  assert.equal(stale.status, 412);
+  assert.deepEqual(stale.data, { error: 'precondition failed', currentVersion: 2 });
+  assert.equal(stale.headers.get('etag'), '"2"');
+
+  for (const [method, path, body] of [
+    ['PATCH', `/tasks/${task.id}/status`, { status: 'in_progress' }],
+    ['PATCH', `/tasks/${task.id}/assign`, { ownerId: 'anonymous' }],
+    ['PATCH', `/tasks/${task.id}/tags`, { add: ['late'] }],
+    ['POST', `/tasks/${task.id}/comments`, { text: 'late' }],
+    ['DELETE', `/tasks/${task.id}`],
+  ]) {
+    const res = await request(method, path, body, ifMatch('"1"'));
+    assert.equal(res.status, 412, `${method} ${path}`);
+    assert.equal(res.data.currentVersion, 2);
+  }
+
+  const current = (await request('GET', `/tasks/${task.id}`)).data;
+  assert.deepEqual([current.title, current.status, current.tags, current.commentCount, current.version], ['First writer', 'todo', [], 0, 2]);
+});
+
+test('If-Match takes *, weak tags and lists of tags', async () => {
+  const task = await createTask('Tags');
+  let res = await request('PATCH', `/tasks/${task.id}`, { priority: 'high' }, ifMatch('*'));
+  assert.equal(res.status, 200);
+  res = await request('PATCH', `/tasks/${task.id}`, { priority: 'low' }, ifMatch('W/"2"'));
+  assert.equal(res.status, 200);
+  res = await request('PATCH', `/tasks/${task.id}`, { priority: 'urgent' }, ifMatch('"1", "3"'));
+  assert.equal(res.status, 200);
+  assert.equal(res.data.version, 4);
+  res = await request('PATCH', `/tasks/${task.id}`, { priority: 'medium' }, ifMatch('"1", "2"'));
+  assert.equal(res.status, 412);
+});
+
+test('two writers with the same version: one wins, the other gets 412', async () => {
+  const task = await createTask('Race');
+  const results = await Promise.all(['A', 'B'].map(who => request('PATCH', `/tasks/${task.id}`, { title: who }, ifMatch('"1"'))));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 412]);
+  const winner = results.find(r => r.status === 200).data.title;
+  assert.equal((await request('GET', `/tasks/${task.id}`)).data.title, winner);
+});
+
+test('projects and bulk operations check versions too', async () => {
+  const project = (await request('POST', '/projects', { name: 'Versioned project' })).data;
+  assert.equal((await request('PATCH', `/projects/${project.id}`, { name: 'Renamed' }, ifMatch(`"${project.version}"`))).status, 200);
+  const stale = await request('PATCH', `/projects/${project.id}`, { name: 'Lost' }, ifMatch(`"${project.version}"`));
+  assert.equal(stale.status, 412);
+  assert.equal(stale.data.currentVersion, project.version + 1);
+
+  const task = await createTask('Bulk');
+  const res = await request('POST', '/tasks/bulk', { operations: [
+    { op: 'status', taskId: task.id, status: 'in_progress', expectedVersion: 1 },
+    { op: 'tag', taskId: task.id, add: ['stale'], expectedVersion: 0 },
+  ] });
+  assert.deepEqual(res.data.results.map(r => [r.ok, r.code]), [[true, 200], [false, 412]]);
+  const current = (await request('GET', `/tasks/${task.id}`)).data;
+  assert.deepEqual([current.status, current.tags], ['in_progress', []]);
+});
@@ -0,0 +1,33 @@
+/*
+ * Shared setup for the API tests: the in-memory store and no Auth0, so requests need no token and
+ * run as the anonymous user of the default organization. Import this before src/api/app.js.
+ */
+process.env.STORE_MEMORY = '1';
+// set, even if empty, so a local .env cannot turn auth on
+process.env.AUTH0_DOMAIN = '';
+process.env.API_AUTH0_AUDIENCE = '';
+
+const { default: createApp } = await import('../src/api/app.js');
+const app = createApp();
+
+// a JSON request to the API, with optional extra headers: { status, data, headers }
+export async function request(method, path, body, headers = {}) {
+  const res = await app.request(path, {
+    method,
+    headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { status: res.status, data: text ? JSON.parse(text) : null, headers: res.headers };
+}
+
+// wait for `check` to return something truthy, polling briefly
+export async function eventually(check, { timeoutMs = 5000, everyMs = 20 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, everyMs));
+  }
+}
@@ -0,0 +1,169 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { request, eventually } from './helpers.js';
+
+const sample = name => readFileSync(new URL(`../docs/import-samples/${name}`, import.meta.url), 'utf8');
+
+// run an import as a background job and return its finished state
+async function importJob(body) {
+  const queued = await request('POST', '/imports', body);
+  assert.equal(queued.status, 202);
+  assert.equal(queued.data.status, 'queued');
+  return eventually(async () => {
+    const { data } = await request('GET', `/imports/${queued.data.id}`);
+    return ['succeeded', 'failed'].includes(data.status) && data;
+  });
+}
+
+async function projectTasks(name) {
+  const project = (await request('GET', '/projects')).data.items.find(p => p.name === name);
+  assert.ok(project, `project ${name} was created`);
+  const tasks = (await request('GET', `/tasks?projectId=${project.id}&limit=100`)).data.items;
+  return { project, byTitle: new Map(tasks.map(t => [t.title, t])) };
+}
+
+// owners in the samples; anyone else is not a member and falls back to the importer
+before(async () => {
+  const res = await request('POST', '/members/import', { members: ['jane.doe', 'sam.lee', 'janedoe', 'samlee'].map(userId => ({ userId })) });
+  assert.equal(res.status, 200);
+});
+
+const summary = t => ({ status: t.status, ownerId: t.ownerId, priority: t.priority, dueAt: t.dueAt, tags: t.tags });
+
+test('Jira CSV: dry run, then a background job', async () => {
+  const dry = await request('POST', '/imports', { source: 'jira', data: sample('jira.csv'), dryRun: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.data.wouldCreate, { projects: 1, tasks: 4, comments: 3 });
+  assert.deepEqual(dry.data.skipped.map(s => [s.id, s.fields]), [['WEB-5', { estimate: 'many is not a number' }]]);
+  assert.deepEqual(dry.data.preview.map(p => [p.title, p.status, p.ownerId]), [
+    ['Set up CI pipeline', 'done', 'jane.doe'],
+    ['Deploy preview environments', 'in_progress', 'sam.lee'],
+    ['Rewrite pricing page', 'to_do', 'anonymous'],
+    ['Update pricing copy', 'code_review', 'anonymous'],
+  ]);
+  assert.ok(dry.data.warnings.some(w => w.includes('unknown.person is not a member of this organization, so the task is assigned to you')));
+
+  const job = await importJob({ source: 'jira', data: sample('jira.csv'), fileName: 'jira.csv', ownerMap: { 'unknown.person': 'sam.lee' } });
+  assert.equal(job.status, 'succeeded');
+  assert.deepEqual(job.report.created, { projects: 1, tasks: 4, comments: 3 });
+  assert.equal(job.progress.done, job.progress.total);
+
+  const { project, byTitle } = await projectTasks('Website');
+  assert.deepEqual(project.workflow.statuses.map(s => [s.id, s.closed]), [
+    ['to_do', false], ['in_progress', false], ['code_review', false], ['done', true], ['won_t_do', true],
+  ]);
+  assert.deepEqual(summary(byTitle.get('Set up CI pipeline')), { status: 'done', ownerId: 'jane.doe', priority: 'high', dueAt: null, tags: ['infra'] });
+  assert.deepEqual(summary(byTitle.get('Deploy preview environments')), {
+    status: 'in_progress', ownerId: 'sam.lee', priority: 'medium', dueAt: '2024-09-30T00:00:00.000Z', tags: ['infra', 'devex'],
+  });
+  assert.deepEqual(summary(byTitle.get('Rewrite pricing page')), {
+    status: 'to_do', ownerId: 'anonymous', priority: 'urgent', dueAt: '2024-10-15T00:00:00.000Z', tags: ['marketing'],
+  });
+  // mapped with ownerMap
+  assert.equal(byTitle.get('Update pricing copy').ownerId, 'sam.lee');
+  assert.equal(byTitle.get('Update pricing copy').parentTaskId, byTitle.get('Rewrite pricing page').id);
+  assert.deepEqual(byTitle.get('Deploy preview environments').blockedBy, [byTitle.get('Set up CI pipeline').id]);
+});
+
+test('Jira XML: dry run, then a background job', async () => {
+  const dry = await request('POST', '/imports', { source: 'jira', data: sample('jira.xml'), dryRun: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.data.wouldCreate, { projects: 1, tasks: 3, comments: 2 });
+  assert.deepEqual(dry.data.preview.map(p => [p.title, p.status, p.ownerId]), [
+    ['Offline mode for the task list', 'in_progress', 'jane.doe'],
+    ['Local database schema', 'open', 'anonymous'],
+    ['Release 2.3 to the stores', 'closed', 'sam.lee'],
+  ]);
+
+  const job = await importJob({ source: 'jira', data: sample('jira.xml'), format: 'xml' });
+  assert.equal(job.status, 'succeeded');
+  const { byTitle } = await projectTasks('Mobile App');
+  const offline = byTitle.get('Offline mode for the task list');
+  assert.deepEqual({ status: offline.status, ownerId: offline.ownerId, dueAt: offline.dueAt, tags: offline.tags }, {
+    status: 'in_progress', ownerId: 'jane.doe', dueAt: '2024-10-11T00:00:00.000Z', tags: ['offline', 'mobile'],
+  });
+  assert.equal(byTitle.get('Release 2.3 to the stores').status, 'closed');
+});
+
+test('Trello: dry run, then a background job', async () => {
+  const dry = await request('POST', '/imports', { source: 'trello', data: sample('trello.json'), dryRun: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.data.wouldCreate, { projects: 1, tasks: 4, comments: 2 });
+  assert.ok(dry.data.warnings.includes('2 archived cards or cards in archived lists were left out'));
+  assert.deepEqual(dry.data.preview.map(p => [p.title, p.status, p.ownerId]), [
+    ['Write the press release', 'to_do', 'samlee'],
+    ['Book the venue', 'to_do', 'anonymous'],
+    ['Design the launch banner', 'doing', 'janedoe'],
+    ['Pick a launch date', 'done', 'janedoe'],
+  ]);
+
+  // the board as parsed JSON works as well as its text
+  const job = await importJob({ source: 'trello', data: JSON.parse(sample('trello.json')) });
+  assert.equal(job.status, 'succeeded');
+  const { project, byTitle } = await projectTasks('Launch Plan');
+  assert.deepEqual(project.workflow.statuses.map(s => [s.id, s.closed]), [['to_do', false], ['doing', false], ['done', true]]);
+  assert.deepEqual(summary(byTitle.get('Design the launch banner')), {
+    status: 'doing', ownerId: 'janedoe', priority: 'high', dueAt: '2024-10-04T16:00:00.000Z', tags: ['design'],
+  });
+});
+
+test('GitHub Issues: dry run, then a background job', async () => {
+  const dry = await request('POST', '/imports', { source: 'github', data: sample('github.json'), dryRun: true });
+  assert.equal(dry.status, 200);
+  assert.deepEqual(dry.data.wouldCreate, { projects: 1, tasks: 2, comments: 2 });
+  assert.deepEqual(dry.data.warnings, ['1 pull requests were left out']);
+
+  const job = await importJob({ source: 'github', data: sample('github.json') });
+  assert.equal(job.status, 'succeeded');
+  const { byTitle } = await projectTasks('acme/widgets');
+  assert.deepEqual(summary(byTitle.get('Crash when the config file is empty')), {
+    status: 'todo', ownerId: 'janedoe', priority: 'high', dueAt: '2024-10-31T07:00:00.000Z', tags: ['bug'],
+  });
+  assert.equal(byTitle.get('Add a --quiet flag').status, 'done');
+});
+
+test('malformed Trello boards are refused or skipped by row, never a server error', async () => {
+  const job = await importJob({ source: 'trello', data: { cards: [null], lists: [] } });
+  assert.equal(job.status, 'succeeded');
+  assert.deepEqual(job.report.skipped.map(s => s.fields), [{ card: 'card 1 is not an object' }]);
+
+  let res = await request('POST', '/imports', { source: 'trello', data: { cards: [], lists: [null] }, dryRun: true });
+  assert.equal(res.status, 400);
+  assert.match(res.data.error, /list 1 needs an id and a name/);
+
+  const board = {
+    name: 7,
+    lists: [{ id: 'l1', name: 'To do' }],
+    members: [null, 'x'],
+    checklists: [null, { idCard: 'c1', name: 'Steps', checkItems: [null, { name: 'one', state: 'complete' }] }],
+    actions: [null, { type: 'commentCard', data: { card: null } }],
+    cards: [{ id: 'c1', name: 'Card', idList: 'l1', labels: [null, 'x', { name: 'ok' }], idMembers: [null, 3], due: 'soon' }],
+  };
+  res = await request('POST', '/imports', { source: 'trello', data: board, dryRun: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.skipped.map(s => Object.keys(s.fields)), [['dueAt']]);
+  res = await request('POST', '/imports', { source: 'trello', data: { ...board, cards: [{ ...board.cards[0], due: null }] }, dryRun: true });
+  assert.deepEqual(res.data.preview.map(p => [p.title, p.project, p.status]), [['Card', 'Trello board', 'to_do']]);
+});
+
+test('malformed GitHub issues are refused or skipped by row, never a server error', async () => {
+  let res = await request('POST', '/imports', { source: 'github', data: { issues: [{ number: 1, title: 'x', labels: [null] }] }, dryRun: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.wouldCreate.tasks, 1);
+
+  res = await request('POST', '/imports', {
+    source: 'github',
+    data: { issues: [{ number: 2, title: 'y', labels: [3, { name: null }, 'bug'], assignees: [null, { login: 4 }], assignee: 'z', milestone: 'v1', comments: [null] }], comments: [null] },
+    dryRun: true,
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.data.preview.map(p => [p.title, p.ownerId]), [['y', 'anonymous']]);
+  assert.deepEqual(res.data.wouldCreate.comments, 0);
+
+  for (const data of [{ issues: [null] }, [{ number: '1' }], { issues: 'x' }]) {
+    res = await request('POST', '/imports', { source: 'github', data, dryRun: true });
+    assert.equal(res.status, 400, JSON.stringify(data));
+    assert.match(res.data.error, /not a GitHub issues export/);
+  }
+});
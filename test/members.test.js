@@ -0,0 +1,58 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+let projectId;
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Owners' })).data.id;
+});
+
+const notMember = id => `${id} is not a member of this organization (see GET /members)`;
+
+test('an unknown owner is refused on create and assign, even while the directory is empty', async () => {
+  assert.deepEqual((await request('GET', '/members')).data.items, []);
+
+  let res = await request('POST', '/tasks', { projectId, title: 'Nobody owns this', ownerId: 'nobody' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data.fields, { ownerId: notMember('nobody') });
+
+  // the caller may always own a task
+  res = await request('POST', '/tasks', { projectId, title: 'Mine', ownerId: 'anonymous' });
+  assert.equal(res.status, 201);
+  const task = res.data;
+
+  res = await request('PATCH', `/tasks/${task.id}/assign`, { ownerId: 'nobody' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data.fields, { ownerId: notMember('nobody') });
+  res = await request('PATCH', `/tasks/${task.id}`, { ownerId: 'nobody' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data.fields, { ownerId: notMember('nobody') });
+  res = await request('POST', '/tasks/bulk', { operations: [{ op: 'assign', taskId: task.id, ownerId: 'nobody' }] });
+  assert.equal(res.data.results[0].code, 400);
+  assert.equal(res.data.results[0].error, notMember('nobody'));
+  res = await request('PUT', `/projects/${projectId}/members`, { userId: 'nobody', role: 'editor' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data.fields, { userId: notMember('nobody') });
+
+  assert.equal((await request('GET', `/tasks/${task.id}`)).data.ownerId, 'anonymous');
+});
+
+test('imported members can own tasks', async () => {
+  const imported = await request('POST', '/members/import', { members: [{ userId: 'maria', name: 'Maria' }] });
+  assert.equal(imported.status, 200);
+
+  const res = await request('POST', '/tasks', { projectId, title: 'For Maria', ownerId: 'maria' });
+  assert.equal(res.status, 201);
+  assert.equal(res.data.ownerId, 'maria');
+  const back = await request('PATCH', `/tasks/${res.data.id}/assign`, { ownerId: 'anonymous' });
+  assert.equal(back.status, 200);
+  assert.equal(back.data.ownerId, 'anonymous');
+});
+
+test('GET /members/me reports the org role', async () => {
+  const res = await request('GET', '/members/me');
+  assert.equal(res.status, 200);
+  // no-auth mode: the anonymous caller has every scope and is not in the directory
+  assert.deepEqual(res.data, { orgId: 'demo-org', userId: 'anonymous', orgRole: 'admin', member: null });
+});
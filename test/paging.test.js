@@ -0,0 +1,102 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+let projectId;
+
+// many ties and missing values, so the order has to come from the tiebreaks
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Paging' })).data.id;
+  for (let i = 0; i < 23; i++) {
+    const res = await request('POST', '/tasks', {
+      projectId,
+      title: `Task ${String(i % 7).padStart(2, '0')}`,
+      ownerId: 'anonymous',
+      dueAt: i % 4 === 3 ? null : `2030-01-0${1 + (i % 3)}T00:00:00Z`,
+      priority: ['low', 'medium', 'high', 'urgent'][i % 4],
+      ...(i % 5 ? { estimate: i % 3 } : {}),
+      ...(i % 6 === 0 ? { status: 'in_progress' } : {}),
+    });
+    assert.equal(res.status, 201);
+  }
+});
+
+const SORTS = [
+  'dueAt', 'dueAt:desc', 'createdAt', 'createdAt:desc', 'updatedAt:desc', 'title', 'title:desc',
+  'priority', 'priority:desc', 'estimate', 'estimate:desc', 'status', 'status:desc',
+];
+
+const list = query => request('GET', `/tasks?projectId=${projectId}&${query}`);
+
+// every page of a sort, following nextCursor
+async function pages(sort, limit) {
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await list(`sort=${sort}&limit=${limit}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+    assert.equal(res.status, 200, `${sort}: ${JSON.stringify(res.data)}`);
+    assert.ok(res.data.items.length <= limit);
+    seen.push(...res.data.items.map(t => t.id));
+    cursor = res.data.nextCursor;
+  } while (cursor);
+  return seen;
+}
+
+test('following cursors visits every task once, in the order of one big page', async () => {
+  for (const sort of SORTS) {
+    const all = (await list(`sort=${sort}&limit=500`)).data.items.map(t => t.id);
+    assert.equal(all.length, 23);
+    for (const limit of [1, 4, 7]) assert.deepEqual(await pages(sort, limit), all, `${sort} limit=${limit}`);
+  }
+});
+
+test('undated tasks sort last in both directions', async () => {
+  for (const sort of ['dueAt', 'dueAt:desc']) {
+    const dues = (await list(`sort=${sort}&limit=500`)).data.items.map(t => t.dueAt);
+    const firstNull = dues.indexOf(null);
+    assert.ok(firstNull > 0);
+    assert.ok(dues.slice(firstNull).every(d => d === null), sort);
+  }
+});
+
+test('writes between pages neither repeat nor skip the tasks that were there', async () => {
+  for (const sort of ['dueAt', 'title:desc', 'priority', 'createdAt']) {
+    const before = (await list(`sort=${sort}&limit=500`)).data.items.map(t => t.id);
+    const first = await list(`sort=${sort}&limit=5`);
+    const firstIds = first.data.items.map(t => t.id);
+
+    // a new task and a deleted one from the pages still to come
+    const added = (await request('POST', '/tasks', { projectId, title: 'Task 00', ownerId: 'anonymous', dueAt: '2030-01-01T00:00:00Z', priority: 'low' })).data;
+    const removed = before[before.length - 2];
+    assert.equal((await request('DELETE', `/tasks/${removed}`)).status, 200);
+
+    const rest = [];
+    let cursor = first.data.nextCursor;
+    while (cursor) {
+      const res = await list(`sort=${sort}&limit=5&cursor=${encodeURIComponent(cursor)}`);
+      rest.push(...res.data.items.map(t => t.id));
+      cursor = res.data.nextCursor;
+    }
+    const visited = [...firstIds, ...rest];
+    assert.equal(new Set(visited).size, visited.length, `${sort}: no task twice`);
+    assert.deepEqual(visited.filter(id => id !== added.id), before.filter(id => id !== removed), sort);
+
+    // put things back for the next sort
+    await request('DELETE', `/tasks/${added.id}`);
+    assert.equal((await request('POST', `/trash/${removed}/restore`)).status, 200);
+  }
+});
+
+test('a cursor only works with the sort it came from', async () => {
+  const { nextCursor } = (await list('sort=title&limit=3')).data;
+  let res = await list(`sort=dueAt&limit=3&cursor=${encodeURIComponent(nextCursor)}`);
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data, { error: 'cursor was issued for sort title:asc' });
+
+  res = await list('sort=title&cursor=not-a-cursor');
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data, { error: 'invalid cursor' });
+  res = await list('sort=colour');
+  assert.equal(res.status, 400);
+  assert.match(res.data.error, /^sort must be one of /);
+});
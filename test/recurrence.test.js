@@ -0,0 +1,124 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+import { spawnScheduledOccurrences } from '../src/api/app.js';
+import { anchorRecurrence, nextOccurrence, normalizeRecurrence, toRRule } from '../src/api/recurrence.js';
+
+const rule = input => {
+  const { recurrence, error } = normalizeRecurrence(input);
+  assert.equal(error, undefined);
+  return recurrence;
+};
+
+// the due dates of a series from its first occurrence on, as the API computes them
+function series(input, first, n = 6) {
+  const r = anchorRecurrence(rule(input), first);
+  const dates = [first];
+  while (dates.length < n) {
+    const next = nextOccurrence(r, dates.at(-1), dates.length);
+    if (!next) break;
+    dates.push(next);
+  }
+  return dates.map(d => new Date(d).toISOString().replace(':00.000Z', 'Z'));
+}
+
+test('monthly rules clamp to short months and return to their day', () => {
+  assert.deepEqual(series('monthly', '2030-01-31T09:30:00Z', 5), [
+    '2030-01-31T09:30Z', '2030-02-28T09:30Z', '2030-03-31T09:30Z', '2030-04-30T09:30Z', '2030-05-31T09:30Z',
+  ]);
+  // leap years have a February 29
+  assert.deepEqual(series('monthly', '2028-01-30T00:00:00Z', 3), ['2028-01-30T00:00Z', '2028-02-29T00:00Z', '2028-03-30T00:00Z']);
+  assert.deepEqual(series({ freq: 'monthly', byMonthDay: -1 }, '2030-01-31T12:00:00Z', 4), [
+    '2030-01-31T12:00Z', '2030-02-28T12:00Z', '2030-03-31T12:00Z', '2030-04-30T12:00Z',
+  ]);
+  assert.deepEqual(series({ freq: 'monthly', interval: 5, byMonthDay: 31 }, '2030-10-31T08:00:00Z', 3), [
+    '2030-10-31T08:00Z', '2031-03-31T08:00Z', '2031-08-31T08:00Z',
+  ]);
+  assert.deepEqual(series('yearly', '2028-02-29T10:00:00Z', 2), ['2028-02-29T10:00Z', '2029-02-28T10:00Z']);
+});
+
+test('weekly byDay with an interval skips the weeks in between', () => {
+  // 2030-01-07 is a Monday
+  assert.deepEqual(series('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE', '2030-01-07T09:00:00Z', 6), [
+    '2030-01-07T09:00Z', '2030-01-09T09:00Z', '2030-01-21T09:00Z', '2030-01-23T09:00Z', '2030-02-04T09:00Z', '2030-02-06T09:00Z',
+  ]);
+  // a first occurrence on another weekday counts its own week as the first
+  assert.deepEqual(series({ freq: 'weekly', interval: 3, byDay: ['friday', 'su'] }, '2030-01-08T18:00:00Z', 4), [
+    '2030-01-08T18:00Z', '2030-01-11T18:00Z', '2030-01-13T18:00Z', '2030-02-01T18:00Z',
+  ]);
+  assert.deepEqual(series({ freq: 'weekly', interval: 2 }, '2030-01-07T09:00:00Z', 3), ['2030-01-07T09:00Z', '2030-01-21T09:00Z', '2030-02-04T09:00Z']);
+});
+
+test('until and count end a series', () => {
+  // a bare date includes that whole day
+  assert.deepEqual(series({ freq: 'daily', until: '2030-01-03' }, '2030-01-01T23:00:00Z'), ['2030-01-01T23:00Z', '2030-01-02T23:00Z', '2030-01-03T23:00Z']);
+  assert.deepEqual(series({ freq: 'daily', until: '2030-01-03T22:00:00Z' }, '2030-01-01T23:00:00Z'), ['2030-01-01T23:00Z', '2030-01-02T23:00Z']);
+  assert.deepEqual(series('FREQ=WEEKLY;COUNT=3', '2030-01-07T09:00:00Z'), ['2030-01-07T09:00Z', '2030-01-14T09:00Z', '2030-01-21T09:00Z']);
+  assert.deepEqual(series({ freq: 'daily', count: 1 }, '2030-01-07T09:00:00Z'), ['2030-01-07T09:00Z']);
+  // whichever comes first
+  assert.deepEqual(series({ freq: 'daily', count: 10, until: '2030-01-02' }, '2030-01-01T09:00:00Z'), ['2030-01-01T09:00Z', '2030-01-02T09:00Z']);
+});
+
+test('rules normalize from every form and refuse what does not apply', () => {
+  const r = rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=WE,MO;UNTIL=20300131;COUNT=10');
+  assert.deepEqual(r, { freq: 'weekly', interval: 2, byDay: ['MO', 'WE'], byMonthDay: null, until: '2030-01-31T23:59:59.999Z', count: 10 });
+  assert.equal(toRRule(r), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20300131T235959Z;COUNT=10');
+  assert.deepEqual(rule(toRRule(r)), { ...r, until: '2030-01-31T23:59:59.000Z' });
+
+  for (const [input, error] of [
+    [{ freq: 'monthly', byDay: ['MO'] }, 'byDay only applies to weekly rules'],
+    [{ freq: 'weekly', byDay: ['someday'] }, 'byDay must be a list of weekdays such as MO, TU or monday'],
+    [{ freq: 'weekly', byMonthDay: 1 }, 'byMonthDay only applies to monthly rules'],
+    [{ freq: 'monthly', byMonthDay: 32 }, 'byMonthDay must be 1 to 31, or -1 for the last day'],
+    [{ freq: 'daily', interval: 0 }, 'interval must be a whole number from 1 to 366'],
+    [{ freq: 'daily', until: 'later' }, 'until must be an ISO 8601 date'],
+    [{ freq: 'daily', count: 0 }, 'count must be a positive whole number'],
+    ['FREQ=DAILY;BYHOUR=9', 'unsupported RRULE parts BYHOUR; use FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT'],
+  ]) {
+    assert.deepEqual(normalizeRecurrence(input), { error }, JSON.stringify(input));
+  }
+});
+
+let projectId;
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Recurring' })).data.id;
+});
+
+test('a monthly task from the 31st follows the same dates through the API, then stops at count', async () => {
+  const created = await request('POST', '/tasks', {
+    projectId, title: 'Month-end report', ownerId: 'anonymous', dueAt: '2030-01-31T09:00:00Z', recurrence: 'FREQ=MONTHLY;COUNT=3',
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.data.seriesIndex, 1);
+  assert.equal(created.data.nextOccurrenceAt, '2030-02-28T09:00:00.000Z');
+
+  // completing the latest occurrence creates the next one
+  const done = await request('PATCH', `/tasks/${created.data.id}/status`, { status: 'done' });
+  assert.equal(done.status, 200);
+  const occurrences = async () => (await request('GET', `/tasks?projectId=${projectId}&sort=dueAt&limit=500`)).data.items
+    .filter(t => t.seriesId === created.data.id);
+  let all = await occurrences();
+  assert.deepEqual(all.map(t => [t.seriesIndex, t.dueAt, t.status]), [
+    [1, '2030-01-31T09:00:00.000Z', 'done'], [2, '2030-02-28T09:00:00.000Z', 'todo'],
+  ]);
+  assert.equal(all[1].nextOccurrenceAt, '2030-03-31T09:00:00.000Z');
+
+  // the third comes once its day starts, and is the last
+  assert.equal(await spawnScheduledOccurrences({ now: Date.parse('2030-03-30T23:59:59Z') }), 0);
+  assert.equal(await spawnScheduledOccurrences({ now: Date.parse('2030-03-31T00:00:00Z') }), 1);
+  all = await occurrences();
+  assert.deepEqual(all.map(t => [t.seriesIndex, t.dueAt]), [
+    [1, '2030-01-31T09:00:00.000Z'], [2, '2030-02-28T09:00:00.000Z'], [3, '2030-03-31T09:00:00.000Z'],
+  ]);
+  assert.equal(all[2].nextOccurrenceAt, null);
+  assert.equal(await spawnScheduledOccurrences({ now: Date.parse('2031-01-01T00:00:00Z') }), 0);
+});
+
+test('a rule without dueAt, or an invalid one, is a 400 on create', async () => {
+  let res = await request('POST', '/tasks', { projectId, title: 'No date', ownerId: 'anonymous', recurrence: 'weekly' });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data.fields, { recurrence: 'needs dueAt, the due date of the first occurrence' });
+  res = await request('POST', '/tasks', { projectId, title: 'Bad', ownerId: 'anonymous', dueAt: '2030-01-01T00:00:00Z', recurrence: { freq: 'hourly' } });
+  assert.deepEqual(res.data.fields, { recurrence: 'freq must be one of daily, weekly, monthly, yearly' });
+});
@@ -0,0 +1,131 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+import { compileQuery, parseQuery, QueryError } from '../src/api/search.js';
+
+const text = value => ({ type: 'text', value });
+const field = (name, op, value) => ({ type: 'field', field: name, op, value });
+
+test('parses terms, keywords, groups and negation', () => {
+  assert.equal(parseQuery(''), null);
+  assert.equal(parseQuery('   '), null);
+  assert.deepEqual(parseQuery('login "checkout page"'), { type: 'and', items: [text('login'), text('checkout page')] });
+  // OR binds looser than AND, and only the upper-case keywords count
+  assert.deepEqual(parseQuery('a b OR c'), { type: 'or', items: [{ type: 'and', items: [text('a'), text('b')] }, text('c')] });
+  assert.deepEqual(parseQuery('a and b'), { type: 'and', items: [text('a'), text('and'), text('b')] });
+  assert.deepEqual(parseQuery('a AND NOT (b OR c)'), {
+    type: 'and', items: [text('a'), { type: 'not', item: { type: 'or', items: [text('b'), text('c')] } }],
+  });
+  assert.deepEqual(parseQuery('-tag:wontfix'), { type: 'not', item: field('tag', ':', 'wontfix') });
+  // a dash inside or after a word is part of it
+  assert.deepEqual(parseQuery('e-mail -'), { type: 'and', items: [text('e-mail'), text('-')] });
+});
+
+test('parses fields, aliases, operators and quoted values', () => {
+  assert.deepEqual(parseQuery('assignee:maria'), field('owner', ':', 'maria'));
+  assert.deepEqual(parseQuery('desc:"two words"'), field('description', ':', 'two words'));
+  assert.deepEqual(parseQuery('status=done'), field('status', ':', 'done'));
+  assert.deepEqual(parseQuery('due>=2026-11-01 priority<high estimate<=3'), {
+    type: 'and', items: [field('due', '>=', '2026-11-01'), field('priority', '<', 'high'), field('estimate', '<=', '3')],
+  });
+  assert.deepEqual(parseQuery('title:"say \\"hi\\""'), field('title', ':', 'say "hi"'));
+  // a URL is a word, not a field
+  assert.deepEqual(parseQuery('https://example.com/x'), text('https://example.com/x'));
+});
+
+test('reports syntax errors with their position', () => {
+  for (const [q, message] of [
+    ['colour:red', /^unknown field "colour" at 1; use status, owner/],
+    ['a status:', /^missing value for status at 3$/],
+    ['tag>bug', /^tag only supports ":" at 1$/],
+    ['a "open', /^unterminated quote at 3$/],
+    ['(a OR b', /^missing \) for \( at 1$/],
+    ['a OR', /^query ends where a term was expected$/],
+    ['a )', /^unexpected \) at 3$/],
+  ]) {
+    assert.throws(() => parseQuery(q), err => err instanceof QueryError && message.test(err.message), q);
+  }
+});
+
+test('date terms cover whole UTC days and read like the operator', () => {
+  const now = Date.parse('2030-01-10T15:00:00Z');
+  const match = q => compileQuery(parseQuery(q), { now, isClosed: () => false, userId: 'me' });
+  const task = dueAt => ({ id: 'x', dueAt });
+
+  const lastMinute = task('2030-01-01T23:59:00Z');
+  const midnight = task('2030-01-02T00:00:00Z');
+  assert.deepEqual([match('due<2030-01-02')(lastMinute), match('due<2030-01-02')(midnight)], [true, false]);
+  assert.deepEqual([match('due<=2030-01-02')(task('2030-01-02T23:59:00Z')), match('due>2030-01-01')(lastMinute)], [true, false]);
+  assert.equal(match('due:2030-01-02')(midnight), true);
+  assert.equal(match('due:today')(task('2030-01-10T01:00:00Z')), true);
+  assert.equal(match('due:tomorrow')(task('2030-01-11T01:00:00Z')), true);
+  assert.equal(match('due:-1w')(task('2030-01-03T12:00:00Z')), true);
+  assert.equal(match('due>=7d')(task('2030-01-16T23:00:00Z')), false);
+  assert.equal(match('due:none')(task(null)), true);
+  assert.equal(match('is:overdue')(task('2030-01-10T14:00:00Z')), true);
+  assert.throws(() => match('due<soon'), /due needs a date like 2026-11-01, today or 7d, not "soon"/);
+  assert.throws(() => match('due<none'), /due:none cannot be compared/);
+});
+
+let projectId;
+const ids = {};
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Search' })).data.id;
+  const make = async (key, body) => {
+    const res = await request('POST', '/tasks', { projectId, ownerId: 'anonymous', ...body });
+    assert.equal(res.status, 201);
+    ids[key] = res.data.id;
+  };
+  await make('crash', { title: 'Login page crashes', description: 'The login form throws on submit', tags: ['bug'], priority: 'urgent', dueAt: '2030-01-01T10:00:00Z' });
+  await make('checkout', { title: 'Fix checkout', description: 'Ask for a login before checkout', tags: ['login'], priority: 'high' });
+  await make('docs', { title: 'Write docs', tags: ['docs'], priority: 'low', dueAt: '2030-02-01T10:00:00Z' });
+  await make('billing', { title: 'Billing report', description: 'Monthly numbers', priority: 'medium', status: 'done' });
+  assert.equal((await request('POST', `/tasks/${ids.docs}/comments`, { text: 'Mention login in the FAQ' })).status, 201);
+});
+
+const search = q => request('GET', `/tasks?projectId=${projectId}&q=${encodeURIComponent(q)}`);
+const titlesOf = res => res.data.items.map(t => t.title);
+
+test('GET /tasks ranks word matches by where they are found', async () => {
+  const res = await search('login');
+  assert.equal(res.status, 200);
+  // title (plus the bonus for starting with the word) and description, a tag and the description, a comment
+  assert.deepEqual(res.data.items.map(t => [t.title, t.score]), [
+    ['Login page crashes', 9.5], ['Fix checkout', 4.5], ['Write docs', 1],
+  ]);
+
+  // another sort still filters, but keeps the scores
+  const byTitle = await request('GET', `/tasks?projectId=${projectId}&q=login&sort=title`);
+  assert.deepEqual(titlesOf(byTitle), ['Fix checkout', 'Login page crashes', 'Write docs']);
+  assert.deepEqual(byTitle.data.items.map(t => t.score), [4.5, 9.5, 1]);
+
+  // negated terms filter but do not rank; without ranking terms there are no scores
+  const negated = await search('login -tag:bug');
+  assert.deepEqual(titlesOf(negated), ['Fix checkout', 'Write docs']);
+  const filtersOnly = await search('tag:docs');
+  assert.deepEqual(filtersOnly.data.items.map(t => [t.title, t.score]), [['Write docs', undefined]]);
+});
+
+test('GET /tasks combines fields with AND, OR and NOT', async () => {
+  const cases = [
+    ['priority>=high', ['Login page crashes', 'Fix checkout']],
+    ['(priority:low OR priority:urgent) due<2030-01-15', ['Login page crashes']],
+    ['is:open NOT tag:login', ['Login page crashes', 'Write docs']],
+    ['status:done OR "before checkout"', ['Billing report', 'Fix checkout']],
+    ['owner:me comment:faq', ['Write docs']],
+    ['due:none', ['Fix checkout', 'Billing report']],
+  ];
+  for (const [q, titles] of cases) {
+    const res = await search(q);
+    assert.equal(res.status, 200, q);
+    assert.deepEqual(titlesOf(res).sort(), [...titles].sort(), q);
+  }
+});
+
+test('GET /tasks answers 400 with the problem in fields.q', async () => {
+  const res = await search('priority:whenever');
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.data, { error: 'invalid query', fields: { q: 'priority must be one of low, medium, high, urgent' } });
+  assert.deepEqual((await search('(login')).data.fields, { q: 'missing ) for ( at 1' });
+});
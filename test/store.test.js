@@ -0,0 +1,120 @@
+/*
+ * query() on Redis answers like the memory store, across writes, moves between index values and
+ * deletes. Needs a Redis at REDIS_URL and is skipped without one. Only records of two orgs made up
+ * for the run are written, and they are deleted at the end; nothing else in that Redis is touched.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+
+// store.js picks its backend when it loads, so each backend gets its own copy of the module
+process.env.STORE_MEMORY = '1';
+const memory = (await import('../src/api/store.js?backend=memory')).createStore();
+delete process.env.STORE_MEMORY;
+const redisStore = process.env.REDIS_URL ? await import('../src/api/store.js?backend=redis') : null;
+const redis = redisStore?.createStore();
+const skip = !redis && 'needs a Redis at REDIS_URL';
+
+const run = randomUUID().slice(0, 8);
+const ORGS = [`parity-a-${run}`, `parity-b-${run}`];
+const DAY = 86400000;
+const BASE = Date.UTC(2030, 0, 1);
+
+// a spread of tasks over both orgs, with every indexed field set, unset or repeated somewhere
+function makeTasks() {
+  return Array.from({ length: 40 }, (_, i) => ({
+    id: `${run}-t${i}`,
+    orgId: ORGS[i % 2],
+    projectId: `p${i % 3}`,
+    ownerId: i % 5 === 0 ? 'ana' : i % 5 === 1 ? 'ben' : 'cy',
+    status: ['todo', 'in_progress', 'done'][i % 3],
+    ...(i % 4 === 0 ? {} : { priority: ['low', 'high', 'urgent'][i % 3] }),
+    tags: [['bug'], ['bug', 'ui'], [], ['ui', 'docs']][i % 4],
+    parentTaskId: i > 10 && i % 7 === 0 ? `${run}-t${i % 10}` : null,
+    blockedBy: i % 6 === 0 ? [`${run}-t1`, `${run}-t2`] : [],
+    seriesId: i % 8 === 0 ? `s${i % 16}` : null,
+    dueAt: i % 3 === 2 ? null : new Date(BASE + (i - 20) * DAY).toISOString(),
+    nextOccurrenceAt: i % 8 === 0 ? new Date(BASE + i * DAY + 3600000).toISOString() : null,
+    nextOccurrenceId: null,
+  }));
+}
+
+// both orgs, one org, and no org (the background sweeps), for each kind of filter
+const FILTERS = [
+  ...ORGS.map(orgId => ({ orgId })),
+  { orgId: ORGS[0], projectId: 'p1' },
+  { orgId: ORGS[1], ownerId: 'ana', status: 'todo' },
+  { orgId: ORGS[0], priority: 'medium' },
+  { orgId: ORGS[1], tag: 'ui' },
+  { orgId: ORGS[0], tag: 'docs' },
+  { orgId: ORGS[0], tag: 'bug', status: 'in_progress' },
+  { orgId: ORGS[0], blockedBy: `${run}-t1` },
+  { orgId: ORGS[1], parentTaskId: `${run}-t1` },
+  { orgId: ORGS[0], seriesId: 's0' },
+  { orgId: ORGS[0], dueAt: { min: BASE } },
+  { orgId: ORGS[1], dueAt: { max: BASE - 5 * DAY } },
+  { orgId: ORGS[0], dueAt: { min: BASE - 10 * DAY, max: BASE + 10 * DAY }, tag: 'bug' },
+  { orgId: ORGS[1], ownerId: 'cy', dueAt: { max: BASE + 30 * DAY } },
+  { spawnAt: { max: BASE + 24 * DAY } },
+  { dueAt: { min: BASE + 5 * DAY } },
+  { orgId: ORGS[0], projectId: '', ownerId: null },
+];
+
+// the ids each store returns for a filter, limited to this run's records when no org is given
+async function ids(store, filter) {
+  return (await store.tasks.query(filter)).map(t => t.id).filter(id => id.startsWith(`${run}-`)).sort();
+}
+
+async function assertSameAnswers(step) {
+  for (const filter of FILTERS) {
+    const expected = await ids(memory, filter);
+    assert.deepEqual(await ids(redis, filter), expected, `${step}: ${JSON.stringify(filter)}`);
+  }
+}
+
+let written = [];
+
+after(async () => {
+  if (!redis) return;
+  for (const id of written) await redis.tasks.delete(id);
+  await redisStore.closeStore();
+});
+
+test('Redis answers every filter like the memory store', { skip }, async () => {
+  const tasks = makeTasks();
+  for (const task of tasks) {
+    await memory.tasks.set(task.id, task);
+    await redis.tasks.set(task.id, task);
+  }
+  written = tasks.map(t => t.id);
+  // the filters are not trivially empty
+  assert.equal((await ids(memory, FILTERS[0])).length, 20);
+  assert.ok((await ids(memory, { orgId: ORGS[0], dueAt: { min: BASE } })).length > 0);
+  await assertSameAnswers('after create');
+
+  // move records between index values, clear some, and delete a few
+  for (const task of tasks.filter((_, i) => i % 3 === 0)) {
+    const next = {
+      ...task,
+      status: 'done',
+      priority: 'urgent',
+      tags: task.tags.includes('bug') ? ['docs'] : ['bug'],
+      blockedBy: [],
+      dueAt: task.dueAt ? null : new Date(BASE + DAY).toISOString(),
+      nextOccurrenceId: task.nextOccurrenceAt ? 'spawned' : null,
+    };
+    await memory.tasks.set(task.id, next);
+    await redis.tasks.set(task.id, next);
+  }
+  for (const task of tasks.filter((_, i) => i % 5 === 4)) {
+    await memory.tasks.delete(task.id);
+    await redis.tasks.delete(task.id);
+  }
+  await assertSameAnswers('after updates and deletes');
+});
+
+test('unknown filters are refused by both stores', { skip }, async () => {
+  for (const store of [memory, redis]) {
+    await assert.rejects(store.tasks.query({ orgId: ORGS[0], colour: 'red' }), /bucket=tasks has no index "colour"/);
+  }
+});
@@ -0,0 +1,51 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from './helpers.js';
+
+let projectId;
+let task;
+
+before(async () => {
+  projectId = (await request('POST', '/projects', { name: 'Validation' })).data.id;
+  task = (await request('POST', '/tasks', { projectId, title: 'Valid', ownerId: 'anonymous' })).data;
+});
+
+// each invalid field, with the error both create and edit answer for it
+const INVALID = [
+  [{ title: 7 }, { title: 'must be a non-empty string' }],
+  [{ title: '   ' }, { title: 'must be a non-empty string' }],
+  [{ description: ['x'] }, { description: 'must be a string' }],
+  [{ dueAt: 'next friday' }, { dueAt: 'must be an ISO 8601 date or null' }],
+  [{ tags: 'bug' }, { tags: 'must be an array of strings' }],
+  [{ tags: ['bug', 3] }, { tags: 'must be an array of strings' }],
+  [{ dueAt: 'soon', tags: 'x', priority: 'whenever' }, {
+    dueAt: 'must be an ISO 8601 date or null', tags: 'must be an array of strings', priority: 'must be one of low, medium, high, urgent',
+  }],
+];
+
+test('create and edit reject the same invalid fields with the same errors', async () => {
+  for (const [body, fields] of INVALID) {
+    const created = await request('POST', '/tasks', { projectId, title: 'Invalid', ownerId: 'anonymous', ...body });
+    assert.equal(created.status, 400, JSON.stringify(body));
+    assert.deepEqual(created.data, { error: 'validation failed', fields });
+
+    const edited = await request('PATCH', `/tasks/${task.id}`, body);
+    assert.equal(edited.status, 400, JSON.stringify(body));
+    assert.deepEqual(edited.data, { error: 'validation failed', fields });
+  }
+  const all = (await request('GET', `/tasks?projectId=${projectId}`)).data.items;
+  assert.deepEqual(all.map(t => t.title), ['Valid']);
+});
+
+test('create keeps valid fields as PATCH would', async () => {
+  const res = await request('POST', '/tasks', {
+    projectId, title: 'Full', ownerId: 'anonymous', description: 'Details', dueAt: '2030-01-15T09:00:00Z', tags: ['bug', 'ui', 'bug'],
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.data.description, 'Details');
+  assert.equal(res.data.dueAt, '2030-01-15T09:00:00.000Z');
+  assert.deepEqual(res.data.tags, ['bug', 'ui']);
+
+  const bare = await request('POST', '/tasks', { projectId, title: 'Bare', ownerId: 'anonymous' });
+  assert.deepEqual([bare.data.description, bare.data.dueAt, bare.data.tags], ['', null, []]);
+});
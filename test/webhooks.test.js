@@ -0,0 +1,151 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { request, eventually } from './helpers.js';
+import { retryWebhookDeliveries } from '../src/api/app.js';
+import { signPayload } from '../src/api/webhooks.js';
+import { API_WEBHOOK_MAX_ATTEMPTS, API_WEBHOOK_RETRY_BASE_SECONDS } from '../src/api/env.js';
+
+const SECRET = 'whsec_test_0123456789abcdef';
+const RETRY_BASE_MS = API_WEBHOOK_RETRY_BASE_SECONDS * 1000;
+
+// a receiver on an ephemeral port that records each request and answers with the next queued status
+const received = [];
+const answers = [];
+const receiver = createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+    res.statusCode = answers.shift() ?? 200;
+    res.end();
+  });
+});
+let url;
+let projectId;
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  projectId = (await request('POST', '/projects', { name: 'Hooks' })).data.id;
+});
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+const createTask = title => request('POST', '/tasks', { projectId, title, ownerId: 'anonymous' });
+const deliveriesOf = async hookId => (await request('GET', `/webhooks/${hookId}/deliveries`)).data.items;
+const ms = iso => new Date(iso).getTime();
+
+// what a receiver does: recompute the signature over the raw body with its timestamp
+function verify({ headers, body }, secret) {
+  const t = /t=(\d+)/.exec(headers['x-tv-signature'])?.[1];
+  return !!t && headers['x-tv-signature'] === signPayload(secret, Number(t), body);
+}
+
+test('delivers signed events, retries with backoff and logs every attempt', async () => {
+  const hook = await request('POST', '/webhooks', { url, events: ['task.created'], secret: SECRET });
+  assert.equal(hook.status, 201);
+
+  // the receiver fails the first attempt
+  answers.push(500);
+  const task = await createTask('Hooked task');
+  assert.equal(task.status, 201);
+  await eventually(() => received.length === 1);
+
+  const [first] = received;
+  assert.equal(first.headers['content-type'], 'application/json');
+  assert.equal(first.headers['x-tv-event'], 'task.created');
+  assert.ok(verify(first, SECRET), 'the signature verifies with the secret');
+  assert.ok(!verify(first, 'whsec_some_other_secret_00'), 'and not with another');
+  const sentAt = Number(/t=(\d+)/.exec(first.headers['x-tv-signature'])[1]);
+  assert.ok(Math.abs(sentAt - Date.now() / 1000) < 60, 'the timestamp is the time of sending');
+  const payload = JSON.parse(first.body);
+  assert.equal(payload.type, 'task.created');
+  assert.equal(payload.entityId, task.data.id);
+  assert.equal(payload.data.title, 'Hooked task');
+
+  const [pending] = await eventually(async () => {
+    const items = await deliveriesOf(hook.data.id);
+    return items[0]?.attempts.length === 1 && items;
+  });
+  assert.equal(pending.id, first.headers['x-tv-delivery']);
+  assert.equal(pending.status, 'pending');
+  assert.equal(pending.attempts[0].statusCode, 500);
+  assert.equal(pending.attempts[0].error, 'HTTP 500');
+  const firstAt = ms(pending.attempts[0].at);
+  assert.ok(Math.abs(ms(pending.nextAttemptAt) - firstAt - RETRY_BASE_MS) < 1000, 'the first retry waits the base delay');
+
+  // nothing is due before the backoff has passed
+  assert.equal(await retryWebhookDeliveries({ now: ms(pending.nextAttemptAt) - 1000 }), 0);
+  assert.equal(received.length, 1);
+
+  // the retry fails again and waits twice as long
+  answers.push(503);
+  assert.equal(await retryWebhookDeliveries({ now: ms(pending.nextAttemptAt) }), 1);
+  assert.equal(received.length, 2);
+  let [delivery] = await deliveriesOf(hook.data.id);
+  assert.deepEqual(delivery.attempts.map(a => a.statusCode), [500, 503]);
+  assert.ok(Math.abs(ms(delivery.nextAttemptAt) - ms(delivery.attempts[1].at) - 2 * RETRY_BASE_MS) < 1000);
+
+  // the same delivery, signed again at its own time
+  const second = received[1];
+  assert.equal(second.headers['x-tv-delivery'], pending.id);
+  assert.equal(second.body, first.body);
+  assert.ok(verify(second, SECRET));
+
+  assert.equal(await retryWebhookDeliveries({ now: ms(delivery.nextAttemptAt) }), 1);
+  [delivery] = await deliveriesOf(hook.data.id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.deepEqual(delivery.attempts.map(a => [a.statusCode, a.error]), [[500, 'HTTP 500'], [503, 'HTTP 503'], [200, null]]);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.equal(delivery.completedAt, delivery.attempts[2].at);
+  assert.equal(await retryWebhookDeliveries({ now: Date.now() + 86400000 }), 0);
+
+  assert.equal((await request('DELETE', `/webhooks/${hook.data.id}`)).status, 200);
+});
+
+test('gives up after the last attempt and keeps the failed delivery in the log', async () => {
+  const hook = await request('POST', '/webhooks', { url, events: ['task.created'], secret: SECRET });
+  received.length = 0;
+  answers.push(...Array(API_WEBHOOK_MAX_ATTEMPTS).fill(500));
+  await createTask('Never delivered');
+  await eventually(async () => (await deliveriesOf(hook.data.id))[0]?.attempts.length === 1);
+
+  for (let n = 2; n <= API_WEBHOOK_MAX_ATTEMPTS; n++) {
+    const [delivery] = await deliveriesOf(hook.data.id);
+    // each wait is twice the one before
+    assert.ok(Math.abs(ms(delivery.nextAttemptAt) - ms(delivery.attempts.at(-1).at) - RETRY_BASE_MS * 2 ** (n - 2)) < 1000);
+    assert.equal(await retryWebhookDeliveries({ now: ms(delivery.nextAttemptAt) }), 1);
+  }
+  const [delivery] = await deliveriesOf(hook.data.id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, API_WEBHOOK_MAX_ATTEMPTS);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.equal(received.length, API_WEBHOOK_MAX_ATTEMPTS);
+  assert.equal((await request('GET', `/webhooks/${hook.data.id}/deliveries?status=failed`)).data.items.length, 1);
+
+  // a ping is tried once, whatever the answer
+  answers.push(404);
+  const ping = await request('POST', `/webhooks/${hook.data.id}/ping`);
+  assert.equal(ping.data.status, 'failed');
+  assert.equal(ping.data.attempts[0].statusCode, 404);
+  assert.ok(verify(received.at(-1), SECRET));
+  assert.equal((await deliveriesOf(hook.data.id)).length, 2);
+
+  // deleting the subscription drops its log
+  await request('DELETE', `/webhooks/${hook.data.id}`);
+  assert.equal((await request('GET', `/webhooks/${hook.data.id}/deliveries`)).status, 404);
+});
+
+test('an unreachable receiver is logged as a failed attempt', async () => {
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const deadUrl = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const hook = await request('POST', '/webhooks', { url: deadUrl, events: ['*'], secret: SECRET });
+  const ping = await request('POST', `/webhooks/${hook.data.id}/ping`);
+  assert.equal(ping.data.status, 'failed');
+  assert.equal(ping.data.attempts[0].statusCode, null);
+  assert.equal(ping.data.attempts[0].error, 'ECONNREFUSED');
+  await request('DELETE', `/webhooks/${hook.data.id}`);
+});